@@ -12,6 +12,38 @@ async function handleUserChoseReceiver(receiverSelect) {
     receiverSelect.disabled = false;
 }
 
+/**
+ * Ask the plugin to add the receiver at the address the user typed in.
+ * @param {HTMLButtonElement} addButton - The add button element.
+ */
+async function handleUserAddedReceiver(addButton) {
+    /** @type {HTMLInputElement | null} SDPI TextField Element */
+    const hostField = document.querySelector('#manualHost');
+    if (!hostField) return;
+
+    addButton.disabled = true;
+    await streamDeckClient.send('sendToPlugin', { event: 'userAddedReceiver', host: hostField.value });
+    addButton.disabled = false;
+}
+
+/**
+ * Inform the plugin that the user has changed how to talk to the receiver.
+ * @param {HTMLSelectElement} transportSelect - The transport select element.
+ */
+async function handleUserChoseTransport(transportSelect) {
+    transportSelect.disabled = true;
+    await streamDeckClient.send('sendToPlugin', { event: 'userChoseTransport' });
+    transportSelect.disabled = false;
+}
+
+/**
+ * Inform the plugin that the user has changed the local port to share the receiver connection on.
+ * @param {HTMLInputElement} sharePortField - The share port text field element.
+ */
+async function handleUserChoseSharePort(sharePortField) {
+    await streamDeckClient.send('sendToPlugin', { event: 'userChoseSharePort', port: sharePortField.value });
+}
+
 /**
  * Update the volume level item based on the selected volume action.
  * @param {HTMLSelectElement} volumeActionSelect - The volume action select element.
@@ -31,6 +63,36 @@ function handleVolumeUIChange(volumeActionSelect) {
     }, 1);
 }
 
+/**
+ * Show either the single mode or the list of modes to cycle through, based on the selected surround action.
+ * @param {HTMLSelectElement | null} surroundActionSelect - The surround action select element, or null when on a dial.
+ */
+function handleSurroundUIChange(surroundActionSelect) {
+    const modeItem = document.querySelector('.action-section.surround .surround-mode-item');
+    const modesItem = document.querySelector('.action-section.surround .surround-modes-item');
+    if (!(modeItem && modesItem)) return;
+
+    setTimeout(() => {
+        // Dials always rotate through the list of modes
+        const isCycling = !surroundActionSelect || surroundActionSelect.value === "cycle";
+        modeItem.classList.toggle('hidden', isCycling);
+        modesItem.classList.toggle('hidden', !isCycling);
+    }, 1);
+}
+
+/**
+ * Only show the preset number when the selected tuner action jumps to a preset.
+ * @param {HTMLSelectElement | null} tunerActionSelect - The tuner action select element, or null when on a dial.
+ */
+function handleTunerUIChange(tunerActionSelect) {
+    const presetItem = document.querySelector('.action-section.tuner .tuner-preset-item');
+    if (!presetItem) return;
+
+    setTimeout(() => {
+        presetItem.classList.toggle('hidden', tunerActionSelect?.value !== "preset");
+    }, 1);
+}
+
 /**
  * Update the layout for the action based on the action ID.
  */
@@ -63,6 +125,72 @@ async function updateLayoutForAction() {
             document.querySelector('.separator')?.classList.add('hidden');
             document.querySelector('.zone-item')?.classList.add('hidden');
             break;
+        case "audyssey":
+            document.querySelector('.zone-item')?.classList.add('hidden');
+            document.querySelector('.action-section.audyssey')?.classList.remove('hidden');
+            break;
+        case "tone":
+            document.querySelector('.separator')?.classList.add('hidden');
+            document.querySelector('.zone-item')?.classList.add('hidden');
+            break;
+        case "nowplaying":
+            document.querySelector('.separator')?.classList.add('hidden');
+            document.querySelector('.zone-item')?.classList.add('hidden');
+            break;
+        case "favorite":
+            document.querySelector('.zone-item')?.classList.add('hidden');
+            document.querySelector('.action-section.favorite')?.classList.remove('hidden');
+            break;
+        case "group":
+            document.querySelector('.zone-item')?.classList.add('hidden');
+            document.querySelector('.action-section.group')?.classList.remove('hidden');
+            break;
+        case "transport":
+            document.querySelector('.zone-item')?.classList.add('hidden');
+            if (controller === "Keypad") {
+                document.querySelector('.action-section.transport')?.classList.remove('hidden');
+            } else {
+                document.querySelector('.separator')?.classList.add('hidden');
+            }
+            break;
+        case "channel":
+            document.querySelector('.zone-item')?.classList.add('hidden');
+            document.querySelector('.action-section.channel')?.classList.remove('hidden');
+            if (controller !== "Keypad") {
+                document.querySelector('.channel-action-item')?.classList.add('hidden');
+            }
+            break;
+        case "quickselect":
+            document.querySelector('.action-section.quickselect')?.classList.remove('hidden');
+            break;
+        case "tuner": {
+            document.querySelector('.zone-item')?.classList.add('hidden');
+            document.querySelector('.action-section.tuner')?.classList.remove('hidden');
+
+            /** @type {HTMLSelectElement | null} */
+            const tunerActionSelect = document.querySelector('sdpi-select[setting="tunerAction"]');
+            if (controller === "Keypad") {
+                handleTunerUIChange(tunerActionSelect);
+            } else {
+                document.querySelector('.tuner-action-item')?.classList.add('hidden');
+                handleTunerUIChange(null);
+            }
+            break;
+        }
+        case "surround": {
+            document.querySelector('.zone-item')?.classList.add('hidden');
+            document.querySelector('.action-section.surround')?.classList.remove('hidden');
+
+            /** @type {HTMLSelectElement | null} */
+            const surroundActionSelect = document.querySelector('sdpi-select[setting="surroundAction"]');
+            if (controller === "Keypad") {
+                handleSurroundUIChange(surroundActionSelect);
+            } else {
+                document.querySelector('.surround-action-item')?.classList.add('hidden');
+                handleSurroundUIChange(null);
+            }
+            break;
+        }
     }
 }
 
@@ -9,11 +9,18 @@ import streamDeck, { SingletonAction } from "@elgato/streamdeck";
 
 /** @typedef {import("../plugin").PluginContext} PluginContext */
 /** @typedef {import("../modules/connection").ReceiverEvent} ReceiverEvent */
+/** @typedef {import("../modules/connection").Transport} Transport */
+/** @typedef {import("../modules/connection").ToneParameter} ToneParameter */
+/** @typedef {import("../modules/connection").AudysseyParameter} AudysseyParameter */
+/** @typedef {import("../modules/connection").QuickSelectKind} QuickSelectKind */
+/** @typedef {import("../modules/heos").HEOSEvent} HEOSEvent */
 
 import { AVRConnection } from "../modules/connection";
+import { HEOSConnection } from "../modules/heos";
 import { AVRTracker } from "../modules/tracker";
 /** @typedef {import("../modules/tracker").ReceiverList} ReceiverList */
 /** @typedef {import("../modules/tracker").ReceiverInfo} ReceiverInfo */
+/** @typedef {import("../modules/http").ReceiverFeature} ReceiverFeature */
 
 /**
  * @typedef {Object} ReceiverDetail
@@ -35,6 +42,24 @@ import { AVRTracker } from "../modules/tracker";
  * @property {string} [powerAction] - The power action to perform on the receiver
  * @property {string} [sourceAction] - The source action to perform on the receiver
  * @property {string} [source] - The source to set on the receiver
+ * @property {boolean} [showSourceName] - Whether to show the name of the current source on the key
+ * @property {string} [surroundAction] - The surround mode action to perform on the receiver
+ * @property {string} [surroundMode] - The surround mode to set on the receiver
+ * @property {string[]} [surroundModes] - The surround modes to cycle through
+ * @property {ToneParameter} [toneParameter] - The tone parameter currently adjusted by the dial
+ * @property {string} [channel] - The speaker channel to adjust on the receiver
+ * @property {string} [channelAction] - The channel level action to perform on the receiver
+ * @property {string} [tunerAction] - The tuner action to perform on the receiver
+ * @property {number} [tunerPreset] - The tuner preset to jump to
+ * @property {number} [quickSelectSlot] - The quick select slot to recall or store
+ * @property {QuickSelectKind} [quickSelectKind] - Whether the receiver calls it Quick Select or Smart Select
+ * @property {string} [transportAction] - The HEOS transport action to perform on the receiver
+ * @property {string} [favorite] - The HEOS favorite ("favorite:<mid>") or playlist ("playlist:<cid>") to play
+ * @property {string} [favoriteName] - The name of the HEOS favorite or playlist, shown on the key
+ * @property {string[]} [groupPlayers] - The IDs of the HEOS players to group with the receiver
+ * @property {AudysseyParameter} [audysseyParameter] - The Audyssey parameter to control on the receiver
+ * @property {Transport} [transport] - How to talk to the receiver
+ * @property {number} [sharePort] - The local port to share the receiver connection on with other tools, if any
  */
 
 /**
@@ -50,6 +75,15 @@ export class PluginAction extends SingletonAction {
 
 	get avrConnections() { return this.plugin.avrConnections; }
 
+	get heosConnections() { return this.plugin.heosConnections; }
+
+	/**
+	 * The optional receiver feature this action needs, receivers known to lack it aren't offered in the PI.
+	 * The PI also tells when the connection's transport doesn't report it.
+	 * @type {ReceiverFeature | undefined}
+	 */
+	requiredFeature;
+
 	/**
 	 * Map of actions to their associated receiver UUIDs.
 	 * Note: This is also used as a list of connections that this class instance is already listening to.
@@ -103,6 +137,17 @@ export class PluginAction extends SingletonAction {
 				return;
 			}
 
+			// HEOS speakers are only controlled over HEOS
+			if (AVRTracker.isHEOSPlayer(receiverId)) {
+				if (this.connectHEOS(receiverId) !== undefined) {
+					this.actionReceiverMap[ev.action.id] = {
+						uuid: receiverId,
+						zone: 0
+					};
+				}
+				return;
+			}
+
 			// Try to open the new connection to this receiver
 			if (await this.connectReceiver(receiverId) === undefined) {
 				return;
@@ -135,6 +180,18 @@ export class PluginAction extends SingletonAction {
 			case "refreshReceiverList":
 				this.onRefreshReceiversForPI(ev);
 				break;
+			case "refreshZoneList":
+				this.onRefreshZonesForPI(ev);
+				break;
+			case "userChoseTransport":
+				this.onUserChoseTransport(ev);
+				break;
+			case "userAddedReceiver":
+				this.onUserAddedReceiver(ev);
+				break;
+			case "userChoseSharePort":
+				this.onUserChoseSharePort(ev);
+				break;
 		}
 	}
 
@@ -151,7 +208,20 @@ export class PluginAction extends SingletonAction {
 
 		if (settings.uuid) {
 			// Connect to the receiver if the user chose one
-			if (settings.uuid in this.avrConnections === false) {
+			if (AVRTracker.isHEOSPlayer(settings.uuid)) {
+				// HEOS speakers are only controlled over HEOS
+				const connection = this.connectHEOS(settings.uuid);
+				if (connection !== undefined) {
+					this.actionReceiverMap[ev.action.id] = {
+						uuid: settings.uuid,
+						zone: 0
+					};
+					statusMsg = connection.connected ? "Connected (HEOS)." : "Connecting (HEOS)...";
+				} else {
+					delete this.actionReceiverMap[ev.action.id];
+					statusMsg = "Can't find receiver";
+				}
+			} else if (settings.uuid in this.avrConnections === false) {
 				// No connection yet, try to connect to the receiver
 				const connection = await this.connectReceiver(settings.uuid);
 				if (connection !== undefined) {
@@ -191,6 +261,107 @@ export class PluginAction extends SingletonAction {
 		}
 
 		this.updateStatusMessage(statusMsg);
+
+		// The zones available may differ between receivers
+		this.onRefreshZonesForPI(ev);
+	}
+
+	/**
+	 * Handle a user adding a receiver by its address from the PI, and choose it for the action.
+	 * @param {SendToPluginEvent} ev - The event object.
+	 */
+	async onUserAddedReceiver(ev) {
+		const host = ev.payload.host?.toString().trim();
+		if (!host) {
+			this.updateStatusMessage("Enter an IP address or hostname");
+			return;
+		}
+
+		this.updateStatusMessage(`Looking for a receiver at ${host}...`);
+
+		const uuid = await AVRTracker.addManualReceiver(host);
+		if (!uuid) {
+			this.updateStatusMessage(`No receiver found at ${host}`);
+			return;
+		}
+
+		/** @type {ActionSettings} */
+		const settings = await ev.action.getSettings();
+		settings.uuid = uuid;
+		settings.name = AVRTracker.getReceivers()[uuid]?.name || host;
+		await ev.action.setSettings(settings);
+
+		// Show the new receiver in the list, then connect to it
+		await this.onRefreshReceiversForPI(ev);
+		await this.onUserChoseReceiver(ev);
+	}
+
+	/**
+	 * Handle a user choosing how to talk to the receiver from the PI.
+	 * The choice applies to the receiver, so every action using it is affected.
+	 * @param {SendToPluginEvent} ev - The event object.
+	 */
+	async onUserChoseTransport(ev) {
+		/** @type {ActionSettings} */
+		const settings = await ev.action.getSettings();
+		if (!settings.uuid) return;
+
+		const transport = settings.transport || "auto";
+
+		AVRTracker.setReceiverTransport(settings.uuid, transport);
+		this.avrConnections[settings.uuid]?.setTransport(transport);
+	}
+
+	/**
+	 * Handle a user choosing the local port to share the receiver connection on from the PI.
+	 * The choice applies to the receiver, so every action using it is affected.
+	 * @param {SendToPluginEvent} ev - The event object.
+	 */
+	async onUserChoseSharePort(ev) {
+		/** @type {ActionSettings} */
+		const settings = await ev.action.getSettings();
+		if (!settings.uuid) return;
+
+		const port = Number(ev.payload.port) || undefined;
+		if (port !== undefined && (!Number.isInteger(port) || port < 1024 || port > 65535)) {
+			this.updateStatusMessage("Share port must be between 1024 and 65535");
+			return;
+		}
+
+		// Another program (or another receiver) may already use the port
+		const shared = await this.avrConnections[settings.uuid]?.setSharePort(port) ?? true;
+		if (!shared) {
+			settings.statusMsg = `Can't share on port ${port}, it's already in use`;
+		}
+
+		settings.sharePort = shared ? port : undefined;
+		await ev.action.setSettings(settings);
+
+		AVRTracker.setReceiverSharePort(settings.uuid, settings.sharePort);
+	}
+
+	/**
+	 * Handle a request from the PI to refresh the zone list
+	 * @param {SendToPluginEvent} ev
+	 */
+	async onRefreshZonesForPI(ev) {
+		/** @type {ActionSettings} */
+		const settings = await ev.action.getSettings();
+		const zone = /** @type {number} */ (settings.zone) || 0;
+		const connection = settings.uuid ? this.avrConnections[settings.uuid] : undefined;
+		const capabilities = settings.uuid ? AVRTracker.getReceivers()[settings.uuid]?.capabilities : undefined;
+
+		// Only list the zones the receiver has reported or its model has, but always keep the currently selected zone
+		const options = AVRConnection.zones
+			.map((definition, index) => ({ label: capabilities?.zoneNames[index] || definition.name, value: index }))
+			.filter(({ value }) => value === 0 || value === zone
+				|| connection?.status.zones[value].present
+				|| (capabilities !== undefined && value < capabilities.zoneCount));
+
+		streamDeck.ui.current?.sendToPropertyInspector({
+			event: "refreshZoneList",
+			items: options
+		});
 	}
 
 	/**
@@ -220,10 +391,13 @@ export class PluginAction extends SingletonAction {
 					: "No receivers detected",
 				value: ""
 			},
-			...Object.entries(receivers).map(([uuid, receiver]) => ({
-				label: receiver.name || receiver.currentIP,
-				value: uuid
-			}))
+			...Object.entries(receivers)
+				// Leave out the receivers that can't do what this action needs, unless one was already chosen
+				.filter(([uuid]) => uuid === settings.uuid || !this.requiredFeature || !AVRTracker.lacksFeature(uuid, this.requiredFeature))
+				.map(([uuid, receiver]) => ({
+					label: `${receiver.name || receiver.currentIP}${receiver.heosPID !== undefined ? " (HEOS)" : ""}`,
+					value: uuid
+				}))
 		];
 
 		streamDeck.ui.current?.sendToPropertyInspector({
@@ -249,13 +423,62 @@ export class PluginAction extends SingletonAction {
 			}
 
 			this.logger.info(`Creating new receiver connection to ${receiverInfo.name || receiverInfo.currentIP}.`);
-			const connection = new AVRConnection(this.plugin, receiverId, receiverInfo.currentIP);
+			const connection = new AVRConnection(this.plugin, receiverId, receiverInfo.currentIP, receiverInfo.transport);
+			connection.setSharePort(receiverInfo.sharePort);
 			this.avrConnections[receiverId] = connection;
+
+			// Follow the receiver if it moves to another address, for every action using it
+			connection.on((ev) => ev.type === "unreachable" && this.relocateReceiver(ev), "tracker");
+
+			// Scripts and dashboards following the local API get this receiver's events too
+			this.plugin.localAPI?.watch(connection);
 		}
 
 		return this.avrConnections[receiverId];
 	}
 
+	/**
+	 * Look for a receiver that stopped answering, and move its connections to its new address if it has one.
+	 * @param {ReceiverEvent} ev - The event object.
+	 */
+	async relocateReceiver(ev) {
+		const { connection } = ev;
+
+		const host = await AVRTracker.locateReceiver(connection.uuid);
+		if (!host || host === connection.host) return;
+
+		this.logger.info(`Receiver ${connection.uuid} moved from ${connection.host} to ${host}.`);
+
+		connection.setHost(host);
+		this.heosConnections[connection.uuid]?.setHost(host);
+	}
+
+	/**
+	 * Create a new HEOS connection to a receiver (if necessary), listen to its events and return it.
+	 * @param {string} receiverId - The receiver UUID.
+	 * @returns {HEOSConnection | undefined}
+	 */
+	connectHEOS(receiverId) {
+		// Check for an existing connection before creating a new one
+		if (receiverId in this.heosConnections === false) {
+			// Get the receiver info from the tracker
+			const receiverInfo = AVRTracker.getReceivers()[receiverId];
+			if (!receiverInfo) {
+				return;
+			}
+
+			this.logger.info(`Creating new HEOS connection to ${receiverInfo.name || receiverInfo.currentIP}.`);
+			this.heosConnections[receiverId] = new HEOSConnection(this.plugin, receiverId, receiverInfo.currentIP);
+		}
+
+		// Set up or refresh the listener for HEOS events
+		if (this.manifestId) {
+			this.heosConnections[receiverId].on(this.routeHEOSEvent.bind(this), this.manifestId);
+		}
+
+		return this.heosConnections[receiverId];
+	}
+
 	/**
 	 * Route a receiver event to the appropriate handler.
 	 * @param {ReceiverEvent} ev - The event object.
@@ -284,7 +507,31 @@ export class PluginAction extends SingletonAction {
 				this.onReceiverMuteChanged(ev);
 				break;
 			case "dynamicVolumeChanged":
-				this.onReceiverDynamicVolumeChanged(ev);
+			case "multEQChanged":
+			case "dynamicEQChanged":
+			case "referenceLevelOffsetChanged":
+				this.onReceiverAudysseyChanged(ev);
+				break;
+			case "surroundModeChanged":
+				this.onReceiverSurroundModeChanged(ev);
+				break;
+			case "toneChanged":
+				this.onReceiverToneChanged(ev);
+				break;
+			case "channelLevelChanged":
+				this.onReceiverChannelLevelChanged(ev);
+				break;
+			case "tunerChanged":
+				this.onReceiverTunerChanged(ev);
+				break;
+			case "sourceChanged":
+				this.onReceiverSourceChanged(ev);
+				break;
+			case "quickSelectChanged":
+				this.onReceiverQuickSelectChanged(ev);
+				break;
+			case "sourceListChanged":
+				this.onReceiverSourceListChanged(ev);
 				break;
 			case "status":
 				this.onReceiverStatusChange(ev);
@@ -292,6 +539,41 @@ export class PluginAction extends SingletonAction {
 		}
 	}
 
+	/**
+	 * Route a HEOS event to the appropriate handler.
+	 * @param {HEOSEvent} ev - The event object.
+	 */
+	routeHEOSEvent(ev) {
+		// HEOS events are for the whole receiver, so inform every action using it
+		ev.actions = this.actions.toArray().filter((action) =>
+			this.actionReceiverMap[action.id]?.uuid === ev.connection.uuid
+		);
+
+		switch (ev.type) {
+			case "closed":
+				this.onHEOSDisconnected(ev);
+				break;
+			case "nowPlayingChanged":
+				this.onHEOSNowPlayingChanged(ev);
+				break;
+			case "playStateChanged":
+				this.onHEOSPlayStateChanged(ev);
+				break;
+			case "playModeChanged":
+				this.onHEOSPlayModeChanged(ev);
+				break;
+			case "playersChanged":
+				this.onHEOSPlayersChanged(ev);
+				break;
+			case "volumeChanged":
+				this.onHEOSVolumeChanged(ev);
+				break;
+			case "groupsChanged":
+				this.onHEOSGroupsChanged(ev);
+				break;
+		}
+	}
+
 	/**
 	 * Update the status message for an action's PI.
 	 * @param {string} newStatusMsg - The new status message.
@@ -311,13 +593,44 @@ export class PluginAction extends SingletonAction {
 	 */
 	syncConnectionStatusToAction() {
 		const action = streamDeck.ui.current?.action;
+		if (!action) return;
+
 		let statusMsg = "";
+		/** @type {Transport | undefined} */
+		let transport;
+		/** @type {number | undefined} */
+		let sharePort;
+
+		if (action.id in this.actionReceiverMap) {
+			const { uuid } = this.actionReceiverMap[action.id];
+			const connection = this.avrConnections[uuid];
+			statusMsg = connection?.status.statusMsg || "";
+			transport = connection?.transport;
+			sharePort = connection?.sharePort;
+
+			// HEOS speakers have no receiver connection, only the HEOS one
+			if (AVRTracker.isHEOSPlayer(uuid)) {
+				statusMsg = this.heosConnections[uuid]?.connected ? "Connected (HEOS)." : "Not connected (HEOS).";
+			}
 
-		if (action && action.id in this.actionReceiverMap) {
-			statusMsg = this.avrConnections[this.actionReceiverMap[action.id].uuid]?.status.statusMsg || "";
+			if (this.requiredFeature && AVRTracker.lacksFeature(uuid, this.requiredFeature)) {
+				statusMsg = "Not supported by this receiver.";
+			} else if (this.requiredFeature && connection && !connection.reportsFeature(this.requiredFeature)) {
+				statusMsg = "Not supported over HTTP, use telnet.";
+			}
 		}
 
-		this.updateStatusMessage(statusMsg);
+		action.getSettings().then((settings) => {
+			settings.statusMsg = statusMsg;
+
+			// Another action may have changed the transport or share port for this receiver
+			if (transport) {
+				settings.transport = transport;
+				settings.sharePort = sharePort;
+			}
+
+			action.setSettings(settings);
+		});
 	}
 
 	/**
@@ -330,10 +643,11 @@ export class PluginAction extends SingletonAction {
 
 	/**
 	 * Fires when the receiver connects and updates the action's PI status message.
+	 * The connection may have switched transports, which changes whether the action is supported.
 	 * @param {ReceiverEvent} ev - The event object.
 	 */
 	onReceiverConnected(ev) {
-		this.updateStatusMessage(ev.connection.status.statusMsg);
+		this.syncConnectionStatusToAction();
 	}
 
 	/**
@@ -362,14 +676,105 @@ export class PluginAction extends SingletonAction {
 	onReceiverVolumeChanged(ev) {}
 
 	/**
-	 * Fires when the receiver's dynamic volume state changes.
+	 * Fires when one of the receiver's Audyssey settings (e.g. dynamic volume) changes.
+	 * @param {ReceiverEvent} ev - The event object.
+	 */
+	onReceiverAudysseyChanged(ev) {}
+
+	/**
+	 * Fires when the receiver's surround mode changes.
+	 * @param {ReceiverEvent} ev - The event object.
+	 */
+	onReceiverSurroundModeChanged(ev) {}
+
+	/**
+	 * Fires when the receiver's tone control, bass or treble changes.
+	 * @param {ReceiverEvent} ev - The event object.
+	 */
+	onReceiverToneChanged(ev) {}
+
+	/**
+	 * Fires when the level of one of the receiver's speaker channels changes.
+	 * @param {ReceiverEvent} ev - The event object.
+	 */
+	onReceiverChannelLevelChanged(ev) {}
+
+	/**
+	 * Fires when the receiver's tuner frequency, preset or station name changes.
+	 * @param {ReceiverEvent} ev - The event object.
+	 */
+	onReceiverTunerChanged(ev) {}
+
+	/**
+	 * Fires when the receiver's source changes.
+	 * @param {ReceiverEvent} ev - The event object.
+	 */
+	onReceiverSourceChanged(ev) {}
+
+	/**
+	 * Fires when the receiver's active quick select slot changes.
+	 * @param {ReceiverEvent} ev - The event object.
+	 */
+	onReceiverQuickSelectChanged(ev) {}
+
+	/**
+	 * Fires when the receiver reports the inputs it uses and their names.
 	 * @param {ReceiverEvent} ev - The event object.
 	 */
-	onReceiverDynamicVolumeChanged(ev) {}
+	onReceiverSourceListChanged(ev) {}
 
 	/**
 	 * Fires when the receiver's mute state changes.
 	 * @param {ReceiverEvent} ev - The event object.
 	 */
 	onReceiverMuteChanged(ev) {}
+
+	/**
+	 * Fires when the HEOS connection is lost.
+	 * Receivers already show an alert through their receiver connection, HEOS speakers only have this one.
+	 * @param {HEOSEvent} ev - The event object.
+	 */
+	onHEOSDisconnected(ev) {
+		if (!AVRTracker.isHEOSPlayer(ev.connection.uuid)) return;
+
+		ev.actions?.forEach((action) => {
+			action.showAlert();
+		});
+	}
+
+	/**
+	 * Fires when what the receiver's HEOS player is playing changes.
+	 * @param {HEOSEvent} ev - The event object.
+	 */
+	onHEOSNowPlayingChanged(ev) {}
+
+	/**
+	 * Fires when the receiver's HEOS player starts playing, pauses or stops.
+	 * @param {HEOSEvent} ev - The event object.
+	 */
+	onHEOSPlayStateChanged(ev) {}
+
+	/**
+	 * Fires when the repeat or shuffle mode of the receiver's HEOS player changes.
+	 * @param {HEOSEvent} ev - The event object.
+	 */
+	onHEOSPlayModeChanged(ev) {}
+
+	/**
+	 * Fires when the volume or mute state of the receiver's HEOS player changes.
+	 * @param {HEOSEvent} ev - The event object.
+	 */
+	onHEOSVolumeChanged(ev) {}
+
+	/**
+	 * Fires when the list of HEOS players on the network is reported.
+	 * @param {HEOSEvent} ev - The event object.
+	 */
+	onHEOSPlayersChanged(ev) {}
+
+	/**
+	 * Fires when the HEOS groups are reported, e.g. after players were grouped or ungrouped.
+	 * @param {HEOSEvent} ev - The event object.
+	 */
+	onHEOSGroupsChanged(ev) {}
 }
\ No newline at end of file
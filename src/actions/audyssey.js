@@ -0,0 +1,148 @@
+import streamDeck, { action } from "@elgato/streamdeck";
+/** @typedef {import("@elgato/streamdeck").KeyDownEvent} KeyDownEvent */
+/** @typedef {import("@elgato/streamdeck").WillAppearEvent} WillAppearEvent */
+/** @typedef {import("@elgato/streamdeck").DidReceiveSettingsEvent} DidReceiveSettingsEvent */
+/** @typedef {import("@elgato/streamdeck").Action} Action */
+/** @typedef {import("@elgato/streamdeck").SendToPluginEvent} SendToPluginEvent */
+
+import { PluginAction } from "./action";
+/** @typedef {import("./action").ActionSettings} ActionSettings */
+
+import { AVRConnection } from "../modules/connection";
+/** @typedef {import("../modules/connection").ReceiverEvent} ReceiverEvent */
+/** @typedef {import("../modules/http").ReceiverFeature} ReceiverFeature */
+/** @typedef {import("../modules/connection").AudysseyParameter} AudysseyParameter */
+
+/**
+ * The image for each value of each Audyssey parameter, "unknown" being used when the value isn't known (yet)
+ * @type {Record<AudysseyParameter, Record<string, string>>}
+ */
+const images = {
+	dynamicVolume: {
+		unknown: "imgs/actions/dynvol/dynvol",
+		OFF: "imgs/actions/dynvol/off",
+		LIT: "imgs/actions/dynvol/light",
+		MED: "imgs/actions/dynvol/medium",
+		HEV: "imgs/actions/dynvol/heavy"
+	},
+	multEQ: {
+		unknown: "imgs/actions/audyssey/multeq/multeq",
+		AUDYSSEY: "imgs/actions/audyssey/multeq/audyssey",
+		"BYP.LR": "imgs/actions/audyssey/multeq/bypass",
+		FLAT: "imgs/actions/audyssey/multeq/flat",
+		OFF: "imgs/actions/audyssey/multeq/off"
+	},
+	dynamicEQ: {
+		unknown: "imgs/actions/audyssey/dyneq/dyneq",
+		ON: "imgs/actions/audyssey/dyneq/on",
+		OFF: "imgs/actions/audyssey/dyneq/off"
+	},
+	referenceLevelOffset: {
+		unknown: "imgs/actions/audyssey/reflev/reflev",
+		"0": "imgs/actions/audyssey/reflev/0",
+		"5": "imgs/actions/audyssey/reflev/5",
+		"10": "imgs/actions/audyssey/reflev/10",
+		"15": "imgs/actions/audyssey/reflev/15"
+	}
+};
+
+/**
+ * The Audyssey action class, cycles through the values of the Audyssey parameter chosen in the PI.
+ * @extends {PluginAction}
+ */
+@action({ UUID: "com.mthiel.denon-controller.audyssey" })
+export class AudysseyAction extends PluginAction {
+	/** @type {ReceiverFeature} */
+	requiredFeature = "audyssey";
+
+	/**
+	 * Get the Audyssey parameter that an action controls.
+	 * @param {ActionSettings} settings - The action settings.
+	 * @returns {AudysseyParameter}
+	 */
+	getAudysseyParameter(settings) {
+		return settings.audysseyParameter || "dynamicVolume";
+	}
+
+	/**
+	 * Handle the action appearing on the Stream Deck.
+	 * @param {WillAppearEvent} ev - The event object.
+	 */
+	async onWillAppear(ev) {
+		await super.onWillAppear(ev);
+
+		// Set the initial state of the action based on the receiver's Audyssey status
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		this.updateActionState(ev.action, connection);
+	}
+
+	/**
+	 * Refresh the displayed value when the user picks another parameter in the PI.
+	 * @param {DidReceiveSettingsEvent} ev - The event object.
+	 */
+	onDidReceiveSettings(ev) {
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		this.updateActionState(ev.action, connection);
+	}
+
+	/**
+	 * Move to the next value of the Audyssey parameter when the key is pressed.
+	 * @param {KeyDownEvent} ev - The event object.
+	 */
+	onKeyDown(ev) {
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		if (!connection) {
+			ev.action.showAlert();
+			return;
+		}
+
+		const parameter = this.getAudysseyParameter(ev.payload.settings);
+		const { values } = AVRConnection.audysseyParameters[parameter];
+
+		// Treat an unknown value as the first one
+		const currentValue = connection.status.zones[0][parameter] || values[0];
+		const newValue = values[(values.indexOf(currentValue) + 1) % values.length];
+
+		connection.setAudyssey(parameter, newValue) || ev.action.showAlert();
+	}
+
+	/**
+	 * Handle a user choosing a receiver from the PI.
+	 * @param {SendToPluginEvent} ev - The event object.
+	 */
+	async onUserChoseReceiver(ev) {
+		await super.onUserChoseReceiver(ev);
+
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		this.updateActionState(ev.action, connection);
+	}
+
+	/**
+	 * Handle a receiver Audyssey status changing, update the actions that control the changed parameter.
+	 * @param {ReceiverEvent} ev - The event object.
+	 */
+	onReceiverAudysseyChanged(ev) {
+		if (!ev.actions) return;
+
+		Promise.all(ev.actions.map(async (action) => {
+			const parameter = this.getAudysseyParameter(await action.getSettings());
+			if (AVRConnection.audysseyParameters[parameter].event !== ev.type) return;
+
+			this.updateActionState(action, ev.connection);
+		}));
+	}
+
+	/**
+	 * Update the image of an action based on the receiver's Audyssey status.
+	 * @param {Action} action - The action object.
+	 * @param {AVRConnection} [connection] - The receiver connection object.
+	 */
+	async updateActionState(action, connection) {
+		if (action.isKey() === false) return;
+
+		const parameter = this.getAudysseyParameter(await action.getSettings());
+		const value = connection !== undefined ? connection.status.zones[0][parameter] : undefined;
+
+		action.setImage(images[parameter][value || "unknown"] || images[parameter].unknown);
+	}
+}
\ No newline at end of file
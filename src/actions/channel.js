@@ -0,0 +1,217 @@
+import streamDeck, { action } from "@elgato/streamdeck";
+/** @typedef {import("@elgato/streamdeck").Action} Action */
+/** @typedef {import("@elgato/streamdeck").KeyDownEvent} KeyDownEvent */
+/** @typedef {import("@elgato/streamdeck").WillAppearEvent} WillAppearEvent */
+/** @typedef {import("@elgato/streamdeck").SendToPluginEvent} SendToPluginEvent */
+/** @typedef {import("@elgato/streamdeck").DialRotateEvent} DialRotateEvent */
+/** @typedef {import("@elgato/streamdeck").DialDownEvent} DialDownEvent */
+/** @typedef {import("@elgato/streamdeck").TouchTapEvent} TouchTapEvent */
+/** @typedef {import("@elgato/streamdeck").DidReceiveSettingsEvent} DidReceiveSettingsEvent */
+
+import { PluginAction } from "./action";
+/** @typedef {import("./action").ActionSettings} ActionSettings */
+
+import { AVRConnection } from "../modules/connection";
+
+/** @typedef {import("../modules/connection").ReceiverEvent} ReceiverEvent */
+/** @typedef {import("../modules/http").ReceiverFeature} ReceiverFeature */
+
+/** The level change for each key press or dial tick, in dB */
+const CHANNEL_LEVEL_STEP = 0.5;
+
+/**
+ * The Channel Level action class.
+ * @extends {PluginAction}
+ */
+@action({ UUID: "com.mthiel.denon-controller.channel" })
+export class ChannelLevelAction extends PluginAction {
+	/** @type {ReceiverFeature} */
+	requiredFeature = "channelLevel";
+
+	/**
+	 * Handle the action appearing on the Stream Deck.
+	 * @param {WillAppearEvent} ev - The event object.
+	 */
+	async onWillAppear(ev) {
+		await super.onWillAppear(ev);
+
+		// Set the initial state of the action based on the receiver's channel level
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		updateActionState(ev.action, connection);
+	}
+
+	/**
+	 * Refresh the displayed level when the user picks another channel in the PI.
+	 * @param {DidReceiveSettingsEvent} ev - The event object.
+	 */
+	onDidReceiveSettings(ev) {
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		updateActionState(ev.action, connection);
+	}
+
+	/**
+	 * Perform the configured channel level action when the key is pressed.
+	 * @param {KeyDownEvent} ev - The event object.
+	 */
+	onKeyDown(ev) {
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		if (!connection) {
+			ev.action.showAlert();
+			return;
+		}
+
+		/** @type {ActionSettings} */
+		const settings = ev.payload.settings;
+		const channel = settings.channel || "C";
+
+		// Default to "up" since PI sometimes sends undefined
+		const channelAction = settings.channelAction || "up";
+
+		switch (channelAction) {
+			case "up":
+				connection.changeChannelLevel(channel, CHANNEL_LEVEL_STEP) || ev.action.showAlert();
+				break;
+			case "down":
+				connection.changeChannelLevel(channel, -CHANNEL_LEVEL_STEP) || ev.action.showAlert();
+				break;
+			case "reset":
+				connection.setChannelLevel(channel, 0) || ev.action.showAlert();
+				break;
+		}
+	}
+
+	/**
+	 * Adjust the channel level when the dial is rotated.
+	 * @param {DialRotateEvent} ev - The event object.
+	 */
+	onDialRotate(ev) {
+		/** @type {ActionSettings} */
+		const settings = ev.payload.settings;
+
+		this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid]?.changeChannelLevel(settings.channel || "C", ev.payload.ticks * CHANNEL_LEVEL_STEP) || ev.action.showAlert();
+	}
+
+	/**
+	 * Reset the channel level to 0 dB when the dial is pressed.
+	 * @param {DialDownEvent} ev - The event object.
+	 */
+	onDialDown(ev) {
+		/** @type {ActionSettings} */
+		const settings = ev.payload.settings;
+
+		this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid]?.setChannelLevel(settings.channel || "C", 0) || ev.action.showAlert();
+	}
+
+	/**
+	 * Reset the channel level to 0 dB when the touch screen is tapped.
+	 * @param {TouchTapEvent} ev - The event object.
+	 */
+	onTouchTap(ev) {
+		/** @type {ActionSettings} */
+		const settings = ev.payload.settings;
+
+		this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid]?.setChannelLevel(settings.channel || "C", 0) || ev.action.showAlert();
+	}
+
+	/**
+	 * Handle events from the Property Inspector.
+	 * @param {SendToPluginEvent} ev - The event object.
+	 */
+	onSendToPlugin(ev) {
+		super.onSendToPlugin(ev);
+
+		const { event } = ev.payload;
+
+		switch (event) {
+			case "refreshChannelList":
+				this.onRefreshChannelListForPI(ev);
+				break;
+		}
+	}
+
+	/**
+	 * Send the list of speaker channels to the PI.
+	 * Only the channels reported by the receiver are listed, if it has reported any.
+	 * @param {SendToPluginEvent} ev - The event object.
+	 */
+	async onRefreshChannelListForPI(ev) {
+		/** @type {ActionSettings} */
+		const settings = await ev.action.getSettings();
+		const connection = settings.uuid ? this.avrConnections[settings.uuid] : undefined;
+		const reported = Object.keys(connection?.status.zones[0].channelLevels || {});
+
+		const options = Object.entries(AVRConnection.channels)
+			.filter(([id]) => reported.length === 0 || reported.includes(id) || id === settings.channel)
+			.map(([id, desc]) => ({
+				label: desc || id,
+				value: id
+			}));
+
+		streamDeck.ui.current?.sendToPropertyInspector({
+			event: "refreshChannelList",
+			items: options
+		});
+	}
+
+	/**
+	 * Handle a user choosing a receiver from the PI.
+	 * @param {SendToPluginEvent} ev - The event object.
+	 */
+	async onUserChoseReceiver(ev) {
+		await super.onUserChoseReceiver(ev);
+
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		updateActionState(ev.action, connection);
+	}
+
+	/**
+	 * Handle a receiver channel level changing, update actions accordingly.
+	 * @param {ReceiverEvent} ev - The event object.
+	 */
+	onReceiverChannelLevelChanged(ev) {
+		if (!ev.actions) return;
+
+		Promise.all(ev.actions.map(async (action) => updateActionState(action, ev.connection, ev.channel)));
+	}
+
+	/**
+	 * Handle a receiver power status changing, update actions accordingly.
+	 * @param {ReceiverEvent} ev - The event object.
+	 */
+	onReceiverPowerChanged(ev) {
+		if (!ev.actions) return;
+
+		Promise.all(ev.actions.map(async (action) => updateActionState(action, ev.connection)));
+	}
+}
+
+/**
+ * Update the title or feedback of an action based on the receiver's channel level.
+ * @param {Action} action - The action object.
+ * @param {AVRConnection} [connection] - The receiver connection object.
+ * @param {string} [channel] - The speaker channel that changed
+ */
+async function updateActionState(action, connection, channel) {
+	const actionChannel = (/** @type {ActionSettings} */ (await action.getSettings())).channel || "C";
+	if (channel !== undefined && channel !== actionChannel) { return; }
+
+	const { power, channelLevels } = connection !== undefined ? connection.status.zones[0] : {};
+	const level = channelLevels?.[actionChannel];
+
+	const value = level === undefined ? "" : `${level > 0 ? "+" : ""}${level} dB`;
+
+	if (action.isDial()) {
+		// Map -12..+12 dB onto the 0..100 indicator
+		const indicatorValue = level !== undefined && power ? ((level + 12) / 24) * 100 : undefined;
+
+		action.setFeedback({
+			title: AVRConnection.channels[actionChannel] || actionChannel,
+			indicator: {
+				value: indicatorValue
+			},
+			value: power === false ? "Off" : value
+		});
+	} else if (action.isKey()) {
+		action.setTitle(`${actionChannel}\n${value}`);
+	}
+}
\ No newline at end of file
@@ -9,6 +9,7 @@ import { PluginAction } from "./action";
 
 /** @typedef {import("../modules/connection").AVRConnection} AVRConnection */
 /** @typedef {import("../modules/connection").ReceiverEvent} ReceiverEvent */
+/** @typedef {import("../modules/http").ReceiverFeature} ReceiverFeature */
 /** @typedef {import("../modules/connection").DynamicVolume} DynamicVolume */
 
 const dynVolStates = {
@@ -20,6 +21,9 @@ const dynVolStates = {
 
 @action({ UUID: "com.mthiel.denon-controller.dynvol" })
 export class DynVolAction extends PluginAction {
+	/** @type {ReceiverFeature} */
+	requiredFeature = "audyssey";
+
 	/**
 	 * Handle the action appearing on the Stream Deck.
 	 * @param {WillAppearEvent} ev - The event object.
@@ -66,8 +70,8 @@ export class DynVolAction extends PluginAction {
 	 * Handle a receiver dynamic volume status changing, update actions accordingly.
 	 * @param {ReceiverEvent} ev - The event object.
 	 */
-	onReceiverDynamicVolumeChanged(ev) {
-		if (!ev.actions) return;
+	onReceiverAudysseyChanged(ev) {
+		if (!ev.actions || ev.type !== "dynamicVolumeChanged") return;
 
 		Promise.all(ev.actions.map(async (action) => updateActionStatus(action, ev.connection)));
 	}
@@ -0,0 +1,194 @@
+import streamDeck, { action } from "@elgato/streamdeck";
+/** @typedef {import("@elgato/streamdeck").Action} Action */
+/** @typedef {import("@elgato/streamdeck").KeyDownEvent} KeyDownEvent */
+/** @typedef {import("@elgato/streamdeck").WillAppearEvent} WillAppearEvent */
+/** @typedef {import("@elgato/streamdeck").DidReceiveSettingsEvent} DidReceiveSettingsEvent */
+/** @typedef {import("@elgato/streamdeck").SendToPluginEvent} SendToPluginEvent */
+
+import { PluginAction } from "./action";
+/** @typedef {import("./action").ActionSettings} ActionSettings */
+
+import { HEOS_FAVORITES_SID, HEOS_PLAYLISTS_SID } from "../modules/heos";
+/** @typedef {import("../modules/heos").HEOSConnection} HEOSConnection */
+
+/**
+ * The HEOS Favorite action class.
+ * Plays one of the HEOS favorites (e.g. an internet radio station) or playlists on the receiver.
+ * @extends {PluginAction}
+ */
+@action({ UUID: "com.mthiel.denon-controller.favorite" })
+export class FavoriteAction extends PluginAction {
+	/**
+	 * Handle the action appearing on the Stream Deck.
+	 * @param {WillAppearEvent} ev - The event object.
+	 */
+	async onWillAppear(ev) {
+		await super.onWillAppear(ev);
+
+		const receiverId = this.actionReceiverMap[ev.action.id]?.uuid;
+		if (receiverId) {
+			this.connectHEOS(receiverId);
+		}
+
+		updateActionState(ev.action);
+	}
+
+	/**
+	 * Show the name of the newly chosen favorite.
+	 * @param {DidReceiveSettingsEvent} ev - The event object.
+	 */
+	onDidReceiveSettings(ev) {
+		updateActionState(ev.action);
+	}
+
+	/**
+	 * Handle events from the Property Inspector.
+	 * @param {SendToPluginEvent} ev - The event object.
+	 */
+	onSendToPlugin(ev) {
+		super.onSendToPlugin(ev);
+
+		const { event } = ev.payload;
+
+		switch (event) {
+			case "refreshFavoriteList":
+				this.onRefreshFavoriteListForPI(ev);
+				break;
+		}
+	}
+
+	/**
+	 * Play the chosen favorite or playlist when the key is pressed.
+	 * @param {KeyDownEvent} ev - The event object.
+	 */
+	onKeyDown(ev) {
+		const connection = this.heosConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		if (!connection) {
+			ev.action.showAlert();
+			return;
+		}
+
+		/** @type {ActionSettings} */
+		const settings = ev.payload.settings;
+		const [kind, id] = splitFavorite(settings.favorite);
+
+		switch (kind) {
+			case "favorite":
+				connection.playFavorite(id)
+					.then((played) => played || ev.action.showAlert())
+					.catch(() => ev.action.showAlert());
+				break;
+			case "playlist":
+				connection.playPlaylist(id) || ev.action.showAlert();
+				break;
+			default:
+				ev.action.showAlert();
+				break;
+		}
+	}
+
+	/**
+	 * Handle a user choosing a receiver from the PI.
+	 * @param {SendToPluginEvent} ev - The event object.
+	 */
+	async onUserChoseReceiver(ev) {
+		await super.onUserChoseReceiver(ev);
+
+		const receiverId = this.actionReceiverMap[ev.action.id]?.uuid;
+		if (receiverId) {
+			this.connectHEOS(receiverId);
+		}
+
+		// The favorites of the newly chosen receiver's HEOS account may be different
+		this.sendFavoriteListToPI(ev.action);
+	}
+
+	/**
+	 * Refresh the favorites for the action.
+	 * @param {SendToPluginEvent} ev - The event object.
+	 */
+	async onRefreshFavoriteListForPI(ev) {
+		this.sendFavoriteListToPI(ev.action);
+	}
+
+	/**
+	 * Send the HEOS favorites and playlists of the action's receiver to the PI.
+	 * @param {Action} action - The action object.
+	 */
+	async sendFavoriteListToPI(action) {
+		/** @type {ActionSettings} */
+		const settings = await action.getSettings();
+		const connection = settings.uuid ? this.connectHEOS(settings.uuid) : undefined;
+
+		/** @type {Array<{label: string, value?: string, children?: Array<{label: string, value: string}>}>} */
+		const options = [];
+
+		try {
+			if (!connection) throw new Error("No receiver selected");
+			if (!await connection.whenConnected()) throw new Error("Not connected to the receiver");
+
+			// Only offer the sources the HEOS account can use, under the names HEOS gives them
+			const sources = (await connection.getMusicSources())
+				.filter((source) => source.available === "true");
+
+			const favoritesSource = sources.find((source) => source.sid === HEOS_FAVORITES_SID);
+			if (favoritesSource) {
+				const favorites = await connection.browse(HEOS_FAVORITES_SID);
+				options.push({
+					label: favoritesSource.name,
+					children: favorites
+						.filter((favorite) => favorite.mid)
+						.map((favorite) => ({ label: favorite.name, value: `favorite:${favorite.mid}` }))
+				});
+			}
+
+			const playlistsSource = sources.find((source) => source.sid === HEOS_PLAYLISTS_SID);
+			if (playlistsSource) {
+				const playlists = await connection.browse(HEOS_PLAYLISTS_SID);
+				options.push({
+					label: playlistsSource.name,
+					children: playlists
+						.filter((playlist) => playlist.cid)
+						.map((playlist) => ({ label: playlist.name, value: `playlist:${playlist.cid}` }))
+				});
+			}
+		} catch (error) {
+			this.logger.warn(`Couldn't get the HEOS favorites: ${error.message}`);
+		}
+
+		const found = options.some((option) => option.children?.length);
+		options.unshift({
+			label: found ? "Select a favorite" : "Could not get favorites",
+			value: ""
+		});
+
+		streamDeck.ui.current?.sendToPropertyInspector({
+			event: "refreshFavoriteList",
+			items: options
+		});
+	}
+}
+
+/**
+ * Split a favorite setting, e.g. "favorite:s6707", into its kind and ID.
+ * @param {string} [favorite] - The favorite setting.
+ * @returns {[string, string]}
+ */
+function splitFavorite(favorite = "") {
+	const separatorIndex = favorite.indexOf(":");
+	if (separatorIndex < 0) return ["", ""];
+
+	return [favorite.substring(0, separatorIndex), favorite.substring(separatorIndex + 1)];
+}
+
+/**
+ * Show the name of the chosen favorite on the key.
+ * @param {Action} action - The action object.
+ */
+async function updateActionState(action) {
+	if (!action.isKey()) return;
+
+	/** @type {ActionSettings} */
+	const settings = await action.getSettings();
+	action.setTitle(settings.favorite ? settings.favoriteName || "" : "");
+}
\ No newline at end of file
@@ -0,0 +1,189 @@
+import streamDeck, { action } from "@elgato/streamdeck";
+/** @typedef {import("@elgato/streamdeck").Action} Action */
+/** @typedef {import("@elgato/streamdeck").KeyDownEvent} KeyDownEvent */
+/** @typedef {import("@elgato/streamdeck").WillAppearEvent} WillAppearEvent */
+/** @typedef {import("@elgato/streamdeck").DidReceiveSettingsEvent} DidReceiveSettingsEvent */
+/** @typedef {import("@elgato/streamdeck").SendToPluginEvent} SendToPluginEvent */
+
+import { PluginAction } from "./action";
+/** @typedef {import("./action").ActionSettings} ActionSettings */
+
+/** @typedef {import("../modules/heos").HEOSConnection} HEOSConnection */
+/** @typedef {import("../modules/heos").HEOSEvent} HEOSEvent */
+/** @typedef {import("../modules/heos").HEOSGroup} HEOSGroup */
+
+/**
+ * The HEOS Group action class.
+ * Groups the receiver with the HEOS players chosen in the PI, or dissolves the group if it exists.
+ * @extends {PluginAction}
+ */
+@action({ UUID: "com.mthiel.denon-controller.group" })
+export class GroupAction extends PluginAction {
+	/**
+	 * Handle the action appearing on the Stream Deck.
+	 * @param {WillAppearEvent} ev - The event object.
+	 */
+	async onWillAppear(ev) {
+		await super.onWillAppear(ev);
+
+		const receiverId = this.actionReceiverMap[ev.action.id]?.uuid;
+		updateActionState(ev.action, receiverId ? this.connectHEOS(receiverId) : undefined);
+	}
+
+	/**
+	 * Refresh the key when the user picks other players in the PI.
+	 * @param {DidReceiveSettingsEvent} ev - The event object.
+	 */
+	onDidReceiveSettings(ev) {
+		updateActionState(ev.action, this.heosConnections[this.actionReceiverMap[ev.action.id]?.uuid]);
+	}
+
+	/**
+	 * Handle events from the Property Inspector.
+	 * @param {SendToPluginEvent} ev - The event object.
+	 */
+	onSendToPlugin(ev) {
+		super.onSendToPlugin(ev);
+
+		const { event } = ev.payload;
+
+		switch (event) {
+			case "refreshPlayerList":
+				this.onRefreshPlayerListForPI(ev);
+				break;
+		}
+	}
+
+	/**
+	 * Create the group when the key is pressed, or dissolve it if it already exists.
+	 * @param {KeyDownEvent} ev - The event object.
+	 */
+	onKeyDown(ev) {
+		const connection = this.heosConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		const pid = connection?.pid;
+		const members = getGroupMembers(ev.payload.settings, pid);
+
+		if (!connection || pid === undefined || members.length === 0) {
+			ev.action.showAlert();
+			return;
+		}
+
+		const group = findGroup(connection, [pid, ...members]);
+
+		// A group is dissolved by sending its leader on its own
+		const pids = group ? [group.gid] : [pid, ...members];
+		connection.setGroup(pids) || ev.action.showAlert();
+	}
+
+	/**
+	 * Handle a user choosing a receiver from the PI.
+	 * @param {SendToPluginEvent} ev - The event object.
+	 */
+	async onUserChoseReceiver(ev) {
+		await super.onUserChoseReceiver(ev);
+
+		const receiverId = this.actionReceiverMap[ev.action.id]?.uuid;
+		const connection = receiverId ? this.connectHEOS(receiverId) : undefined;
+		updateActionState(ev.action, connection);
+
+		// The receiver itself can't be grouped with itself, so the list changes with it
+		this.sendPlayerListToPI(ev.action);
+	}
+
+	/**
+	 * Refresh the players for the action.
+	 * @param {SendToPluginEvent} ev - The event object.
+	 */
+	async onRefreshPlayerListForPI(ev) {
+		this.sendPlayerListToPI(ev.action);
+	}
+
+	/**
+	 * Send the HEOS players that can be grouped with the action's receiver to the PI.
+	 * @param {Action} action - The action object.
+	 */
+	async sendPlayerListToPI(action) {
+		/** @type {ActionSettings} */
+		const settings = await action.getSettings();
+		const connection = settings.uuid ? this.connectHEOS(settings.uuid) : undefined;
+
+		if (connection && !await connection.whenConnected()) {
+			this.logger.warn(`Couldn't get the HEOS players from ${connection.host}`);
+		}
+
+		/** @type {Array<{label: string, value: string}>} */
+		const options = (connection?.players || [])
+			.filter((player) => player.pid !== connection?.pid)
+			.map((player) => ({
+				label: player.model ? `${player.name} (${player.model})` : player.name,
+				value: player.pid.toString()
+			}));
+
+		streamDeck.ui.current?.sendToPropertyInspector({
+			event: "refreshPlayerList",
+			items: options
+		});
+	}
+
+	/**
+	 * Show the players in the PI once they are known.
+	 * @param {HEOSEvent} ev - The event object.
+	 */
+	onHEOSPlayersChanged(ev) {
+		const action = streamDeck.ui.current?.action;
+		if (action && ev.actions?.some((other) => other.id === action.id)) {
+			this.sendPlayerListToPI(action);
+		}
+	}
+
+	/**
+	 * Handle HEOS players being grouped or ungrouped, update actions accordingly.
+	 * @param {HEOSEvent} ev - The event object.
+	 */
+	onHEOSGroupsChanged(ev) {
+		if (!ev.actions) return;
+
+		Promise.all(ev.actions.map(async (action) => updateActionState(action, ev.connection)));
+	}
+}
+
+/**
+ * Get the IDs of the players to group with the receiver from the action settings.
+ * @param {ActionSettings} settings - The action settings.
+ * @param {number} [pid] - The receiver's player ID, left out in case it was chosen.
+ * @returns {number[]}
+ */
+function getGroupMembers(settings, pid) {
+	return (settings.groupPlayers || [])
+		.map(Number)
+		.filter((member) => !isNaN(member) && member !== pid);
+}
+
+/**
+ * Find the group that contains all of the given players.
+ * @param {HEOSConnection} connection - The HEOS connection object.
+ * @param {number[]} pids - The player IDs.
+ * @returns {HEOSGroup | undefined}
+ */
+function findGroup(connection, pids) {
+	return connection.groups.find((group) =>
+		pids.every((pid) => group.players.some((player) => player.pid === pid))
+	);
+}
+
+/**
+ * Light up the key if the group it creates exists.
+ * @param {Action} action - The action object.
+ * @param {HEOSConnection} [connection] - The HEOS connection object.
+ */
+async function updateActionState(action, connection) {
+	if (!action.isKey()) return;
+
+	const pid = connection?.pid;
+	const members = getGroupMembers(await action.getSettings(), pid);
+
+	const grouped = connection !== undefined && pid !== undefined && members.length > 0
+		&& findGroup(connection, [pid, ...members]) !== undefined;
+
+	action.setState(grouped ? 1 : 0);
+}
\ No newline at end of file
@@ -0,0 +1,147 @@
+import { action } from "@elgato/streamdeck";
+/** @typedef {import("@elgato/streamdeck").Action} Action */
+/** @typedef {import("@elgato/streamdeck").KeyDownEvent} KeyDownEvent */
+/** @typedef {import("@elgato/streamdeck").WillAppearEvent} WillAppearEvent */
+/** @typedef {import("@elgato/streamdeck").SendToPluginEvent} SendToPluginEvent */
+/** @typedef {import("@elgato/streamdeck").DialDownEvent} DialDownEvent */
+/** @typedef {import("@elgato/streamdeck").TouchTapEvent} TouchTapEvent */
+
+import { PluginAction } from "./action";
+
+/** @typedef {import("../modules/heos").HEOSConnection} HEOSConnection */
+/** @typedef {import("../modules/heos").HEOSEvent} HEOSEvent */
+
+/** The image shown on the dial when there's no album art */
+const DEFAULT_ICON = "imgs/actions/nowplaying/nowplaying";
+
+/** How many album art images to keep around, so that going back to a song doesn't fetch it again */
+const ALBUM_ART_CACHE_SIZE = 16;
+
+/**
+ * Album art already fetched, as data URLs keyed by the HEOS image URL
+ * @type {Map<string, string>}
+ */
+const albumArtCache = new Map();
+
+/**
+ * The Now Playing action class.
+ * Shows what the receiver's HEOS player is playing, with album art on keys and title and artist on dials.
+ * @extends {PluginAction}
+ */
+@action({ UUID: "com.mthiel.denon-controller.nowplaying" })
+export class NowPlayingAction extends PluginAction {
+	/**
+	 * Handle the action appearing on the Stream Deck.
+	 * @param {WillAppearEvent} ev - The event object.
+	 */
+	async onWillAppear(ev) {
+		await super.onWillAppear(ev);
+
+		const receiverId = this.actionReceiverMap[ev.action.id]?.uuid;
+		updateActionState(ev.action, receiverId ? this.connectHEOS(receiverId) : undefined);
+	}
+
+	/**
+	 * Ask the receiver what it's playing again when the key is pressed.
+	 * @param {KeyDownEvent} ev - The event object.
+	 */
+	onKeyDown(ev) {
+		this.heosConnections[this.actionReceiverMap[ev.action.id]?.uuid]?.requestNowPlaying() || ev.action.showAlert();
+	}
+
+	/**
+	 * Ask the receiver what it's playing again when the dial is pressed.
+	 * @param {DialDownEvent} ev - The event object.
+	 */
+	onDialDown(ev) {
+		this.heosConnections[this.actionReceiverMap[ev.action.id]?.uuid]?.requestNowPlaying() || ev.action.showAlert();
+	}
+
+	/**
+	 * Ask the receiver what it's playing again when the touch screen is tapped.
+	 * @param {TouchTapEvent} ev - The event object.
+	 */
+	onTouchTap(ev) {
+		this.heosConnections[this.actionReceiverMap[ev.action.id]?.uuid]?.requestNowPlaying() || ev.action.showAlert();
+	}
+
+	/**
+	 * Handle a user choosing a receiver from the PI.
+	 * @param {SendToPluginEvent} ev - The event object.
+	 */
+	async onUserChoseReceiver(ev) {
+		await super.onUserChoseReceiver(ev);
+
+		const receiverId = this.actionReceiverMap[ev.action.id]?.uuid;
+		updateActionState(ev.action, receiverId ? this.connectHEOS(receiverId) : undefined);
+	}
+
+	/**
+	 * Handle the receiver's HEOS player changing what it's playing, update actions accordingly.
+	 * @param {HEOSEvent} ev - The event object.
+	 */
+	onHEOSNowPlayingChanged(ev) {
+		if (!ev.actions) return;
+
+		Promise.all(ev.actions.map(async (action) => updateActionState(action, ev.connection)));
+	}
+}
+
+/**
+ * Fetch album art and convert it to a data URL that can be shown on a key or dial.
+ * @param {string} url - The image URL reported by HEOS.
+ * @returns {Promise<string | undefined>} The data URL, or undefined if the image couldn't be fetched.
+ */
+async function getAlbumArt(url) {
+	const cached = albumArtCache.get(url);
+	if (cached) return cached;
+
+	try {
+		const response = await fetch(url, { signal: AbortSignal.timeout(5000) });
+		if (!response.ok) return;
+
+		const contentType = response.headers.get("content-type") || "image/jpeg";
+		const data = Buffer.from(await response.arrayBuffer()).toString("base64");
+		const dataUrl = `data:${contentType};base64,${data}`;
+
+		// Drop the oldest image once the cache is full
+		if (albumArtCache.size >= ALBUM_ART_CACHE_SIZE) {
+			albumArtCache.delete(albumArtCache.keys().next().value);
+		}
+		albumArtCache.set(url, dataUrl);
+
+		return dataUrl;
+	} catch (error) {
+		return;
+	}
+}
+
+/**
+ * Update the image, title or feedback of an action based on what the HEOS player is playing.
+ * @param {Action} action - The action object.
+ * @param {HEOSConnection} [connection] - The HEOS connection object.
+ */
+async function updateActionState(action, connection) {
+	const nowPlaying = connection?.nowPlaying || {};
+
+	const title = nowPlaying.song || nowPlaying.station || "";
+	const artist = nowPlaying.artist || nowPlaying.station || "";
+	const imageUrl = nowPlaying.image_url;
+
+	const albumArt = imageUrl ? await getAlbumArt(imageUrl) : undefined;
+
+	// Something else may have started playing while the album art was being fetched
+	if (connection && connection.nowPlaying.image_url !== imageUrl) return;
+
+	if (action.isDial()) {
+		action.setFeedback({
+			title: artist || "Now Playing",
+			value: title,
+			icon: albumArt || DEFAULT_ICON
+		});
+	} else if (action.isKey()) {
+		// Album art says it all, otherwise fall back to the song title
+		action.setImage(albumArt);
+		action.setTitle(albumArt ? "" : title);
+	}
+}
\ No newline at end of file
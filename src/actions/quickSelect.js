@@ -0,0 +1,157 @@
+import streamDeck, { action } from "@elgato/streamdeck";
+/** @typedef {import("@elgato/streamdeck").Action} Action */
+/** @typedef {import("@elgato/streamdeck").KeyDownEvent} KeyDownEvent */
+/** @typedef {import("@elgato/streamdeck").KeyUpEvent} KeyUpEvent */
+/** @typedef {import("@elgato/streamdeck").WillAppearEvent} WillAppearEvent */
+/** @typedef {import("@elgato/streamdeck").WillDisappearEvent} WillDisappearEvent */
+/** @typedef {import("@elgato/streamdeck").DidReceiveSettingsEvent} DidReceiveSettingsEvent */
+/** @typedef {import("@elgato/streamdeck").SendToPluginEvent} SendToPluginEvent */
+
+import { PluginAction } from "./action";
+/** @typedef {import("./action").ActionSettings} ActionSettings */
+
+/** @typedef {import("../modules/connection").AVRConnection} AVRConnection */
+/** @typedef {import("../modules/connection").ReceiverEvent} ReceiverEvent */
+/** @typedef {import("../modules/connection").QuickSelectKind} QuickSelectKind */
+/** @typedef {import("../modules/http").ReceiverFeature} ReceiverFeature */
+
+/** How long the key has to be held to store the current state into the slot, in milliseconds */
+const LONG_PRESS_DURATION = 1000;
+
+/**
+ * The Quick Select action class.
+ * Recalls the chosen slot on press, and stores the current state into it on long press.
+ * @extends {PluginAction}
+ */
+@action({ UUID: "com.mthiel.denon-controller.quickselect" })
+export class QuickSelectAction extends PluginAction {
+	/** @type {ReceiverFeature} */
+	requiredFeature = "quickSelect";
+
+	/**
+	 * The pending long press timers, keyed by action ID
+	 * @type {Map<string, NodeJS.Timeout>}
+	 */
+	#longPressTimers = new Map();
+
+	/**
+	 * Handle the action appearing on the Stream Deck.
+	 * @param {WillAppearEvent} ev - The event object.
+	 */
+	async onWillAppear(ev) {
+		await super.onWillAppear(ev);
+
+		// Set the initial state of the action based on the receiver's active slot
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		updateActionState(ev.action, connection);
+	}
+
+	/**
+	 * Forget any long press in progress when the action disappears.
+	 * @param {WillDisappearEvent} ev - The event object.
+	 */
+	onWillDisappear(ev) {
+		clearTimeout(this.#longPressTimers.get(ev.action.id));
+		this.#longPressTimers.delete(ev.action.id);
+	}
+
+	/**
+	 * Refresh the key when the user picks another slot in the PI.
+	 * @param {DidReceiveSettingsEvent} ev - The event object.
+	 */
+	onDidReceiveSettings(ev) {
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		updateActionState(ev.action, connection);
+	}
+
+	/**
+	 * Start timing the press, the slot is stored if the key is held long enough.
+	 * @param {KeyDownEvent} ev - The event object.
+	 */
+	onKeyDown(ev) {
+		clearTimeout(this.#longPressTimers.get(ev.action.id));
+
+		this.#longPressTimers.set(ev.action.id, setTimeout(() => {
+			this.#longPressTimers.delete(ev.action.id);
+
+			const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+
+			/** @type {ActionSettings} */
+			const settings = ev.payload.settings;
+			const { slot, zone, kind } = getQuickSelectSettings(settings);
+
+			if (connection?.memorizeQuickSelect(slot, zone, kind)) {
+				ev.action.showOk();
+			} else {
+				ev.action.showAlert();
+			}
+		}, LONG_PRESS_DURATION));
+	}
+
+	/**
+	 * Recall the slot if the key was released before it counted as a long press.
+	 * @param {KeyUpEvent} ev - The event object.
+	 */
+	onKeyUp(ev) {
+		const timer = this.#longPressTimers.get(ev.action.id);
+
+		// The long press already stored the slot
+		if (timer === undefined) return;
+
+		clearTimeout(timer);
+		this.#longPressTimers.delete(ev.action.id);
+
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		const { slot, zone, kind } = getQuickSelectSettings(ev.payload.settings);
+
+		connection?.recallQuickSelect(slot, zone, kind) || ev.action.showAlert();
+	}
+
+	/**
+	 * Handle a user choosing a receiver from the PI.
+	 * @param {SendToPluginEvent} ev - The event object.
+	 */
+	async onUserChoseReceiver(ev) {
+		await super.onUserChoseReceiver(ev);
+
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		updateActionState(ev.action, connection);
+	}
+
+	/**
+	 * Handle the receiver's active quick select slot changing, update actions accordingly.
+	 * @param {ReceiverEvent} ev - The event object.
+	 */
+	onReceiverQuickSelectChanged(ev) {
+		if (!ev.actions) return;
+
+		Promise.all(ev.actions.map(async (action) => updateActionState(action, ev.connection)));
+	}
+}
+
+/**
+ * Get the quick select slot, zone and kind from the action settings, with defaults for what the PI didn't send.
+ * @param {ActionSettings} settings - The action settings.
+ * @returns {{slot: number, zone: number, kind: QuickSelectKind}}
+ */
+function getQuickSelectSettings(settings) {
+	return {
+		slot: Number(settings.quickSelectSlot) || 1,
+		zone: Number(settings.zone) || 0,
+		kind: settings.quickSelectKind || "QUICK"
+	};
+}
+
+/**
+ * Light up the key if its slot is the receiver's active quick select slot.
+ * @param {Action} action - The action object.
+ * @param {AVRConnection} [connection] - The receiver connection object.
+ */
+async function updateActionState(action, connection) {
+	if (!action.isKey()) return;
+
+	const { slot, zone } = getQuickSelectSettings(await action.getSettings());
+	const activeSlot = connection !== undefined ? connection.status.zones[zone]?.quickSelect : undefined;
+
+	action.setState(activeSlot === slot ? 1 : 0);
+}
\ No newline at end of file
@@ -1,12 +1,15 @@
 import streamDeck, { action } from "@elgato/streamdeck";
 /** @typedef {import("@elgato/streamdeck").Action} Action */
 /** @typedef {import("@elgato/streamdeck").KeyDownEvent} KeyDownEvent */
+/** @typedef {import("@elgato/streamdeck").WillAppearEvent} WillAppearEvent */
+/** @typedef {import("@elgato/streamdeck").DidReceiveSettingsEvent} DidReceiveSettingsEvent */
 /** @typedef {import("@elgato/streamdeck").SendToPluginEvent} SendToPluginEvent */
 
 import { PluginAction } from "./action";
 /** @typedef {import("./action").ActionSettings} ActionSettings */
 
 import { AVRConnection } from "../modules/connection";
+import { AVRTracker } from "../modules/tracker";
 
 /** @typedef {import("../modules/connection").ReceiverEvent} ReceiverEvent */
 
@@ -16,6 +19,27 @@ import { AVRConnection } from "../modules/connection";
  */
 @action({ UUID: "com.mthiel.denon-controller.source" })
 export class SourceAction extends PluginAction {
+	/**
+	 * Handle the action appearing on the Stream Deck.
+	 * @param {WillAppearEvent} ev - The event object.
+	 */
+	async onWillAppear(ev) {
+		await super.onWillAppear(ev);
+
+		// Set the initial state of the action based on the receiver's current source
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		updateActionState(ev.action, connection);
+	}
+
+	/**
+	 * Refresh the key when the user changes the source or zone in the PI.
+	 * @param {DidReceiveSettingsEvent} ev - The event object.
+	 */
+	onDidReceiveSettings(ev) {
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		updateActionState(ev.action, connection);
+	}
+
 	/**
 	 * Change to the configured source when the key is pressed
 	 * @param {KeyDownEvent} ev - The event object.
@@ -62,13 +86,74 @@ export class SourceAction extends PluginAction {
 	 * @param {SendToPluginEvent} ev - The event object.
 	 */
 	async onRefreshSourceListForPI(ev) {
+		this.sendSourceListToPI(ev.action);
+	}
+
+	/**
+	 * Remember the inputs reported by the receiver, and show them if a Source action's PI is open.
+	 * @param {ReceiverEvent} ev - The event object.
+	 */
+	onReceiverSourceListChanged(ev) {
+		const { sources } = ev.connection.status;
+		if (sources) {
+			AVRTracker.setReceiverSources(ev.connection.uuid, sources);
+		}
+
+		const action = streamDeck.ui.current?.action;
+		if (action && action.manifestId === this.manifestId) {
+			this.sendSourceListToPI(action);
+		}
+
+		// The source names shown on the keys may have changed
+		Promise.all(this.getReceiverActions(ev.connection).map(async (action) => updateActionState(action, ev.connection)));
+	}
+
+	/**
+	 * Handle a user choosing a receiver from the PI.
+	 * @param {SendToPluginEvent} ev - The event object.
+	 */
+	async onUserChoseReceiver(ev) {
+		await super.onUserChoseReceiver(ev);
+
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		updateActionState(ev.action, connection);
+	}
+
+	/**
+	 * Handle a receiver source changing, update actions accordingly.
+	 * @param {ReceiverEvent} ev - The event object.
+	 */
+	onReceiverSourceChanged(ev) {
+		// Secondary zones can follow the main zone's source, so a main zone change may concern every zone
+		const actions = ev.zone === 0 ? this.getReceiverActions(ev.connection) : ev.actions;
+		if (!actions) return;
+
+		Promise.all(actions.map(async (action) => updateActionState(action, ev.connection)));
+	}
+
+	/**
+	 * Get the actions of this type that are connected to a receiver, in any zone.
+	 * @param {AVRConnection} connection - The receiver connection object.
+	 * @returns {Action[]}
+	 */
+	getReceiverActions(connection) {
+		return this.actions.toArray().filter((action) => this.actionReceiverMap[action.id]?.uuid === connection.uuid);
+	}
+
+	/**
+	 * Send the sources of the action's receiver to the PI.
+	 * @param {Action} action - The action the PI belongs to.
+	 */
+	async sendSourceListToPI(action) {
 		/** @type {ActionSettings} */
-		const settings = await ev.action.getSettings();
+		const settings = await action.getSettings();
 		const zone = /** @type {number} */ (settings.zone) || 0;
 
-		// This is currently just a static list of sources, but in the future
-		// I hope I can make this dynamic by asking the receiver each it supports
-		const sources = AVRConnection.sources;
+		// Prefer the inputs the receiver reported, then the ones it reported last time, then every known input
+		const connection = settings.uuid ? this.avrConnections[settings.uuid] : undefined;
+		const sources = connection?.status.sources
+			|| (settings.uuid ? AVRTracker.getReceivers()[settings.uuid]?.sources : undefined)
+			|| AVRConnection.sources;
 
 		/** @type {Array<{label: string, value: string}>} */
 		let options = [
@@ -96,6 +181,45 @@ export class SourceAction extends PluginAction {
 			event: "refreshSourceList",
 			items: options
 		});
+	}
+}
 
+/**
+ * Get the display name of a source, preferring the name the receiver reported for it.
+ * @param {AVRConnection} connection - The receiver connection object.
+ * @param {string} source - The source ID, e.g. "CD".
+ * @returns {string}
+ */
+function getSourceName(connection, source) {
+	return connection.status.sources?.[source] || AVRConnection.sources[source] || source;
+}
+
+/**
+ * Highlight the key if its source is the zone's current source, and show the current source name if asked to.
+ * @param {Action} action - The action object.
+ * @param {AVRConnection} [connection] - The receiver connection object.
+ */
+async function updateActionState(action, connection) {
+	if (!action.isKey()) return;
+
+	/** @type {ActionSettings} */
+	const settings = await action.getSettings();
+	const zone = settings.zone || 0;
+	const current = connection?.status.zones[zone]?.source;
+
+	// Video select keys don't pick the zone's source, so they're never dimmed
+	const isActive = settings.sourceAction === "vs" || (!!current && current === settings.source);
+	action.setState(isActive ? 1 : 0);
+
+	if (!settings.showSourceName) return;
+
+	if (!connection || !current) {
+		action.setTitle("");
+	} else if (current === "SOURCE") {
+		// The zone follows the main zone, show what that is
+		const mainSource = connection.status.zones[0].source;
+		action.setTitle(mainSource ? `Main:\n${getSourceName(connection, mainSource)}` : "Main Zone");
+	} else {
+		action.setTitle(getSourceName(connection, current));
 	}
 }
\ No newline at end of file
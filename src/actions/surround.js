@@ -0,0 +1,197 @@
+import streamDeck, { action } from "@elgato/streamdeck";
+/** @typedef {import("@elgato/streamdeck").Action} Action */
+/** @typedef {import("@elgato/streamdeck").KeyDownEvent} KeyDownEvent */
+/** @typedef {import("@elgato/streamdeck").WillAppearEvent} WillAppearEvent */
+/** @typedef {import("@elgato/streamdeck").SendToPluginEvent} SendToPluginEvent */
+/** @typedef {import("@elgato/streamdeck").DialRotateEvent} DialRotateEvent */
+/** @typedef {import("@elgato/streamdeck").DialDownEvent} DialDownEvent */
+/** @typedef {import("@elgato/streamdeck").TouchTapEvent} TouchTapEvent */
+
+import { PluginAction } from "./action";
+/** @typedef {import("./action").ActionSettings} ActionSettings */
+
+import { AVRConnection } from "../modules/connection";
+
+/** @typedef {import("../modules/connection").ReceiverEvent} ReceiverEvent */
+
+/**
+ * The Surround Mode action class.
+ * @extends {PluginAction}
+ */
+@action({ UUID: "com.mthiel.denon-controller.surround" })
+export class SurroundAction extends PluginAction {
+	/**
+	 * Handle the action appearing on the Stream Deck.
+	 * @param {WillAppearEvent} ev - The event object.
+	 */
+	async onWillAppear(ev) {
+		await super.onWillAppear(ev);
+
+		// Set the initial state of the action based on the receiver's surround mode
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		updateActionState(ev.action, connection);
+	}
+
+	/**
+	 * Perform the configured surround mode action when the key is pressed.
+	 * @param {KeyDownEvent} ev - The event object.
+	 */
+	onKeyDown(ev) {
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id].uuid];
+		if (!connection) {
+			ev.action.showAlert();
+			return;
+		}
+
+		/** @type {ActionSettings} */
+		const settings = ev.payload.settings;
+
+		// Default to "set" since PI sometimes sends undefined
+		const surroundAction = settings.surroundAction || "set";
+
+		switch (surroundAction) {
+			case "set":
+				connection.setSurroundMode(/** @type {string} */ (settings.surroundMode)) || ev.action.showAlert();
+				break;
+			case "cycle":
+				connection.setSurroundMode(nextSurroundMode(connection, settings, 1)) || ev.action.showAlert();
+				break;
+		}
+	}
+
+	/**
+	 * Rotate through the surround modes when the dial is rotated.
+	 * @param {DialRotateEvent} ev - The event object.
+	 */
+	onDialRotate(ev) {
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+
+		connection?.setSurroundMode(nextSurroundMode(connection, ev.payload.settings, ev.payload.ticks)) || ev.action.showAlert();
+	}
+
+	/**
+	 * Move to the next surround mode when the dial is pressed.
+	 * @param {DialDownEvent} ev - The event object.
+	 */
+	onDialDown(ev) {
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+
+		connection?.setSurroundMode(nextSurroundMode(connection, ev.payload.settings, 1)) || ev.action.showAlert();
+	}
+
+	/**
+	 * Move to the next surround mode when the touch screen is tapped.
+	 * @param {TouchTapEvent} ev - The event object.
+	 */
+	onTouchTap(ev) {
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+
+		connection?.setSurroundMode(nextSurroundMode(connection, ev.payload.settings, 1)) || ev.action.showAlert();
+	}
+
+	/**
+	 * Handle events from the Property Inspector.
+	 * @param {SendToPluginEvent} ev - The event object.
+	 */
+	onSendToPlugin(ev) {
+		super.onSendToPlugin(ev);
+
+		const { event } = ev.payload;
+
+		switch (event) {
+			case "refreshSurroundModeList":
+				this.onRefreshSurroundModeListForPI(ev);
+				break;
+		}
+	}
+
+	/**
+	 * Send the list of surround modes to the PI.
+	 * @param {SendToPluginEvent} ev - The event object.
+	 */
+	async onRefreshSurroundModeListForPI(ev) {
+		const surroundModes = AVRConnection.surroundModes;
+
+		/** @type {Array<{label: string, value: string}>} */
+		const options = Object.entries(surroundModes).map(([id, desc]) => ({
+			label: desc || id,
+			value: id
+		}));
+
+		streamDeck.ui.current?.sendToPropertyInspector({
+			event: "refreshSurroundModeList",
+			items: options
+		});
+	}
+
+	/**
+	 * Handle a user choosing a receiver from the PI.
+	 * @param {SendToPluginEvent} ev - The event object.
+	 */
+	async onUserChoseReceiver(ev) {
+		await super.onUserChoseReceiver(ev);
+
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		updateActionState(ev.action, connection);
+	}
+
+	/**
+	 * Handle a receiver surround mode changing, update actions accordingly.
+	 * @param {ReceiverEvent} ev - The event object.
+	 */
+	onReceiverSurroundModeChanged(ev) {
+		if (!ev.actions) return;
+
+		Promise.all(ev.actions.map(async (action) => updateActionState(action, ev.connection)));
+	}
+
+	/**
+	 * Handle a receiver power status changing, update actions accordingly.
+	 * @param {ReceiverEvent} ev - The event object.
+	 */
+	onReceiverPowerChanged(ev) {
+		if (!ev.actions) return;
+
+		Promise.all(ev.actions.map(async (action) => updateActionState(action, ev.connection)));
+	}
+}
+
+/**
+ * Get the surround mode that is the given number of steps away from the current one.
+ * Uses the modes chosen in the PI, or every known mode if none were chosen.
+ * @param {AVRConnection} connection - The receiver connection object.
+ * @param {ActionSettings} settings - The action settings.
+ * @param {number} steps - The number of steps to move, negative to move backwards.
+ * @returns {string} The surround mode to set.
+ */
+function nextSurroundMode(connection, settings, steps) {
+	const modes = settings.surroundModes?.length ? settings.surroundModes : Object.keys(AVRConnection.surroundModes);
+	const currentIndex = modes.indexOf(connection.status.zones[0].surroundMode || "");
+
+	// Start from the first mode if the current one isn't in the list
+	if (currentIndex < 0) return modes[0];
+
+	const nextIndex = ((currentIndex + steps) % modes.length + modes.length) % modes.length;
+	return modes[nextIndex];
+}
+
+/**
+ * Update the title or feedback of an action based on the receiver's surround mode.
+ * @param {Action} action - The action object.
+ * @param {AVRConnection} [connection] - The receiver connection object.
+ */
+async function updateActionState(action, connection) {
+	const { surroundMode, power } = connection !== undefined ? connection.status.zones[0] : {};
+
+	const label = surroundMode !== undefined
+		? AVRConnection.surroundModes[surroundMode] || surroundMode
+		: "";
+
+	if (action.isDial()) {
+		action.setFeedback({
+			value: power === false ? "Off" : label
+		});
+	} else if (action.isKey()) {
+		action.setTitle(label);
+	}
+}
\ No newline at end of file
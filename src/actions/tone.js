@@ -0,0 +1,148 @@
+import streamDeck, { action } from "@elgato/streamdeck";
+/** @typedef {import("@elgato/streamdeck").Action} Action */
+/** @typedef {import("@elgato/streamdeck").WillAppearEvent} WillAppearEvent */
+/** @typedef {import("@elgato/streamdeck").SendToPluginEvent} SendToPluginEvent */
+/** @typedef {import("@elgato/streamdeck").DialRotateEvent} DialRotateEvent */
+/** @typedef {import("@elgato/streamdeck").DialDownEvent} DialDownEvent */
+/** @typedef {import("@elgato/streamdeck").TouchTapEvent} TouchTapEvent */
+
+import { PluginAction } from "./action";
+/** @typedef {import("./action").ActionSettings} ActionSettings */
+
+/** @typedef {import("../modules/connection").AVRConnection} AVRConnection */
+/** @typedef {import("../modules/connection").ReceiverEvent} ReceiverEvent */
+/** @typedef {import("../modules/http").ReceiverFeature} ReceiverFeature */
+/** @typedef {import("../modules/connection").ToneParameter} ToneParameter */
+
+const images = {
+	bass: "imgs/actions/tone/bass",
+	treble: "imgs/actions/tone/treble"
+};
+
+const labels = {
+	bass: "Bass",
+	treble: "Treble"
+};
+
+/**
+ * The Tone Control action class.
+ * @extends {PluginAction}
+ */
+@action({ UUID: "com.mthiel.denon-controller.tone" })
+export class ToneAction extends PluginAction {
+	/** @type {ReceiverFeature} */
+	requiredFeature = "toneControl";
+
+	/**
+	 * Handle the action appearing on the Stream Deck.
+	 * @param {WillAppearEvent} ev - The event object.
+	 */
+	async onWillAppear(ev) {
+		await super.onWillAppear(ev);
+
+		// Set the initial state of the action based on the receiver's tone status
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		updateActionState(ev.action, connection);
+	}
+
+	/**
+	 * Adjust the selected tone parameter when the dial is rotated.
+	 * @param {DialRotateEvent} ev - The event object.
+	 */
+	onDialRotate(ev) {
+		/** @type {ActionSettings} */
+		const settings = ev.payload.settings;
+		const toneParameter = settings.toneParameter || "bass";
+
+		this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid]?.changeTone(toneParameter, ev.payload.ticks) || ev.action.showAlert();
+	}
+
+	/**
+	 * Switch between bass and treble when the dial is pressed.
+	 * @param {DialDownEvent} ev - The event object.
+	 */
+	async onDialDown(ev) {
+		/** @type {ActionSettings} */
+		const settings = ev.payload.settings;
+		settings.toneParameter = settings.toneParameter === "treble" ? "bass" : "treble";
+
+		await ev.action.setSettings(settings);
+
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		updateActionState(ev.action, connection);
+	}
+
+	/**
+	 * Reset the selected tone parameter to 0 dB when the touch screen is tapped.
+	 * @param {TouchTapEvent} ev - The event object.
+	 */
+	onTouchTap(ev) {
+		/** @type {ActionSettings} */
+		const settings = ev.payload.settings;
+		const toneParameter = settings.toneParameter || "bass";
+
+		this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid]?.setTone(toneParameter, 0) || ev.action.showAlert();
+	}
+
+	/**
+	 * Handle a user choosing a receiver from the PI.
+	 * @param {SendToPluginEvent} ev - The event object.
+	 */
+	async onUserChoseReceiver(ev) {
+		await super.onUserChoseReceiver(ev);
+
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		updateActionState(ev.action, connection);
+	}
+
+	/**
+	 * Handle a receiver tone status changing, update actions accordingly.
+	 * @param {ReceiverEvent} ev - The event object.
+	 */
+	onReceiverToneChanged(ev) {
+		if (!ev.actions) return;
+
+		Promise.all(ev.actions.map(async (action) => updateActionState(action, ev.connection)));
+	}
+
+	/**
+	 * Handle a receiver power status changing, update actions accordingly.
+	 * @param {ReceiverEvent} ev - The event object.
+	 */
+	onReceiverPowerChanged(ev) {
+		if (!ev.actions) return;
+
+		Promise.all(ev.actions.map(async (action) => updateActionState(action, ev.connection)));
+	}
+}
+
+/**
+ * Update the feedback of an action based on the receiver's tone status.
+ * @param {Action} action - The action object.
+ * @param {AVRConnection} [connection] - The receiver connection object.
+ */
+async function updateActionState(action, connection) {
+	if (!action.isDial()) return;
+
+	/** @type {ToneParameter} */
+	const toneParameter = (/** @type {ActionSettings} */ (await action.getSettings())).toneParameter || "bass";
+
+	const { power, toneControl, [toneParameter]: level } = connection !== undefined ? connection.status.zones[0] : {};
+
+	// Map -6..+6 dB onto the 0..100 indicator
+	const indicatorValue = level !== undefined && power && toneControl !== false ? ((level + 6) / 12) * 100 : undefined;
+
+	const value = power === undefined || level === undefined ? ""
+		: !power ? "Off"
+		: toneControl === false ? "Tone Off"
+		: `${level > 0 ? "+" : ""}${level} dB`;
+
+	action.setFeedback({
+		title: labels[toneParameter],
+		icon: images[toneParameter],
+		indicator: {
+			value: indicatorValue
+		},
+		value: value
+	});
+}
\ No newline at end of file
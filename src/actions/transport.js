@@ -0,0 +1,209 @@
+import { action } from "@elgato/streamdeck";
+/** @typedef {import("@elgato/streamdeck").Action} Action */
+/** @typedef {import("@elgato/streamdeck").KeyDownEvent} KeyDownEvent */
+/** @typedef {import("@elgato/streamdeck").WillAppearEvent} WillAppearEvent */
+/** @typedef {import("@elgato/streamdeck").DidReceiveSettingsEvent} DidReceiveSettingsEvent */
+/** @typedef {import("@elgato/streamdeck").SendToPluginEvent} SendToPluginEvent */
+/** @typedef {import("@elgato/streamdeck").DialRotateEvent} DialRotateEvent */
+/** @typedef {import("@elgato/streamdeck").DialDownEvent} DialDownEvent */
+/** @typedef {import("@elgato/streamdeck").TouchTapEvent} TouchTapEvent */
+
+import { PluginAction } from "./action";
+/** @typedef {import("./action").ActionSettings} ActionSettings */
+
+/** @typedef {import("../modules/heos").HEOSConnection} HEOSConnection */
+/** @typedef {import("../modules/heos").HEOSEvent} HEOSEvent */
+
+const images = {
+	transport: "imgs/actions/transport/transport",
+	play: "imgs/actions/transport/play",
+	pause: "imgs/actions/transport/pause",
+	stop: "imgs/actions/transport/stop",
+	next: "imgs/actions/transport/next",
+	previous: "imgs/actions/transport/previous",
+	shuffle: {
+		on: "imgs/actions/transport/shuffle-on",
+		off: "imgs/actions/transport/shuffle-off"
+	},
+	repeat: {
+		on_all: "imgs/actions/transport/repeat-all",
+		on_one: "imgs/actions/transport/repeat-one",
+		off: "imgs/actions/transport/repeat-off"
+	}
+};
+
+/** How the play state is shown on the dial display */
+const playStateLabels = {
+	play: "Playing",
+	pause: "Paused",
+	stop: "Stopped"
+};
+
+/**
+ * The Transport action class.
+ * Controls playback of the receiver's HEOS player: play/pause, skipping songs, shuffle and repeat.
+ * @extends {PluginAction}
+ */
+@action({ UUID: "com.mthiel.denon-controller.transport" })
+export class TransportAction extends PluginAction {
+	/**
+	 * Handle the action appearing on the Stream Deck.
+	 * @param {WillAppearEvent} ev - The event object.
+	 */
+	async onWillAppear(ev) {
+		await super.onWillAppear(ev);
+
+		const receiverId = this.actionReceiverMap[ev.action.id]?.uuid;
+		updateActionState(ev.action, receiverId ? this.connectHEOS(receiverId) : undefined);
+	}
+
+	/**
+	 * Refresh the key when the user picks another transport action in the PI.
+	 * @param {DidReceiveSettingsEvent} ev - The event object.
+	 */
+	onDidReceiveSettings(ev) {
+		updateActionState(ev.action, this.heosConnections[this.actionReceiverMap[ev.action.id]?.uuid]);
+	}
+
+	/**
+	 * Perform the configured transport action when the key is pressed.
+	 * @param {KeyDownEvent} ev - The event object.
+	 */
+	onKeyDown(ev) {
+		const connection = this.heosConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		if (!connection) {
+			ev.action.showAlert();
+			return;
+		}
+
+		/** @type {ActionSettings} */
+		const settings = ev.payload.settings;
+
+		// Default to "playPause" since PI sometimes sends undefined
+		const transportAction = settings.transportAction || "playPause";
+
+		switch (transportAction) {
+			case "playPause":
+				connection.togglePlayState() || ev.action.showAlert();
+				break;
+			case "play":
+			case "pause":
+			case "stop":
+				connection.setPlayState(transportAction) || ev.action.showAlert();
+				break;
+			case "next":
+				connection.playNext() || ev.action.showAlert();
+				break;
+			case "previous":
+				connection.playPrevious() || ev.action.showAlert();
+				break;
+			case "shuffle":
+				connection.toggleShuffle() || ev.action.showAlert();
+				break;
+			case "repeat":
+				connection.cycleRepeat() || ev.action.showAlert();
+				break;
+		}
+	}
+
+	/**
+	 * Skip forwards or backwards when the dial is rotated.
+	 * @param {DialRotateEvent} ev - The event object.
+	 */
+	onDialRotate(ev) {
+		const connection = this.heosConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+
+		const sent = ev.payload.ticks > 0 ? connection?.playNext() : connection?.playPrevious();
+		sent || ev.action.showAlert();
+	}
+
+	/**
+	 * Play or pause when the dial is pressed.
+	 * @param {DialDownEvent} ev - The event object.
+	 */
+	onDialDown(ev) {
+		this.heosConnections[this.actionReceiverMap[ev.action.id]?.uuid]?.togglePlayState() || ev.action.showAlert();
+	}
+
+	/**
+	 * Play or pause when the touch screen is tapped.
+	 * @param {TouchTapEvent} ev - The event object.
+	 */
+	onTouchTap(ev) {
+		this.heosConnections[this.actionReceiverMap[ev.action.id]?.uuid]?.togglePlayState() || ev.action.showAlert();
+	}
+
+	/**
+	 * Handle a user choosing a receiver from the PI.
+	 * @param {SendToPluginEvent} ev - The event object.
+	 */
+	async onUserChoseReceiver(ev) {
+		await super.onUserChoseReceiver(ev);
+
+		const receiverId = this.actionReceiverMap[ev.action.id]?.uuid;
+		updateActionState(ev.action, receiverId ? this.connectHEOS(receiverId) : undefined);
+	}
+
+	/**
+	 * Handle the receiver's HEOS player starting, pausing or stopping, update actions accordingly.
+	 * @param {HEOSEvent} ev - The event object.
+	 */
+	onHEOSPlayStateChanged(ev) {
+		if (!ev.actions) return;
+
+		Promise.all(ev.actions.map(async (action) => updateActionState(action, ev.connection)));
+	}
+
+	/**
+	 * Handle the receiver's HEOS player changing its repeat or shuffle mode, update actions accordingly.
+	 * @param {HEOSEvent} ev - The event object.
+	 */
+	onHEOSPlayModeChanged(ev) {
+		if (!ev.actions) return;
+
+		Promise.all(ev.actions.map(async (action) => updateActionState(action, ev.connection)));
+	}
+}
+
+/**
+ * Update the image or feedback of an action based on the HEOS player's play state and modes.
+ * @param {Action} action - The action object.
+ * @param {HEOSConnection} [connection] - The HEOS connection object.
+ */
+async function updateActionState(action, connection) {
+	const playState = connection?.playState;
+
+	if (action.isDial()) {
+		action.setFeedback({
+			title: "Playback",
+			value: playState ? playStateLabels[playState] : "",
+			icon: playState === "play" ? images.pause : images.play
+		});
+		return;
+	}
+
+	if (!action.isKey()) return;
+
+	/** @type {ActionSettings} */
+	const settings = await action.getSettings();
+
+	switch (settings.transportAction || "playPause") {
+		case "playPause":
+			// Show what pressing the key will do
+			action.setImage(playState === undefined ? images.transport : playState === "play" ? images.pause : images.play);
+			break;
+		case "play":
+		case "pause":
+		case "stop":
+		case "next":
+		case "previous":
+			action.setImage(images[settings.transportAction]);
+			break;
+		case "shuffle":
+			action.setImage(images.shuffle[connection?.playMode.shuffle || "off"]);
+			break;
+		case "repeat":
+			action.setImage(images.repeat[connection?.playMode.repeat || "off"]);
+			break;
+	}
+}
\ No newline at end of file
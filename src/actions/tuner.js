@@ -0,0 +1,163 @@
+import streamDeck, { action } from "@elgato/streamdeck";
+/** @typedef {import("@elgato/streamdeck").Action} Action */
+/** @typedef {import("@elgato/streamdeck").KeyDownEvent} KeyDownEvent */
+/** @typedef {import("@elgato/streamdeck").WillAppearEvent} WillAppearEvent */
+/** @typedef {import("@elgato/streamdeck").SendToPluginEvent} SendToPluginEvent */
+/** @typedef {import("@elgato/streamdeck").DialRotateEvent} DialRotateEvent */
+/** @typedef {import("@elgato/streamdeck").DialDownEvent} DialDownEvent */
+/** @typedef {import("@elgato/streamdeck").TouchTapEvent} TouchTapEvent */
+
+import { PluginAction } from "./action";
+/** @typedef {import("./action").ActionSettings} ActionSettings */
+
+/** @typedef {import("../modules/connection").AVRConnection} AVRConnection */
+/** @typedef {import("../modules/connection").ReceiverEvent} ReceiverEvent */
+/** @typedef {import("../modules/http").ReceiverFeature} ReceiverFeature */
+/** @typedef {import("../modules/connection").TunerStatus} TunerStatus */
+
+/**
+ * The Tuner action class.
+ * @extends {PluginAction}
+ */
+@action({ UUID: "com.mthiel.denon-controller.tuner" })
+export class TunerAction extends PluginAction {
+	/** @type {ReceiverFeature} */
+	requiredFeature = "tuner";
+
+	/**
+	 * Handle the action appearing on the Stream Deck.
+	 * @param {WillAppearEvent} ev - The event object.
+	 */
+	async onWillAppear(ev) {
+		await super.onWillAppear(ev);
+
+		// Set the initial state of the action based on the receiver's tuner status
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		updateActionState(ev.action, connection);
+	}
+
+	/**
+	 * Perform the configured tuner action when the key is pressed.
+	 * @param {KeyDownEvent} ev - The event object.
+	 */
+	onKeyDown(ev) {
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		if (!connection) {
+			ev.action.showAlert();
+			return;
+		}
+
+		/** @type {ActionSettings} */
+		const settings = ev.payload.settings;
+
+		// Default to "presetUp" since PI sometimes sends undefined
+		const tunerAction = settings.tunerAction || "presetUp";
+
+		switch (tunerAction) {
+			case "presetUp":
+				connection.changeTunerPreset(1) || ev.action.showAlert();
+				break;
+			case "presetDown":
+				connection.changeTunerPreset(-1) || ev.action.showAlert();
+				break;
+			case "preset":
+				connection.setTunerPreset(Number(settings.tunerPreset)) || ev.action.showAlert();
+				break;
+			case "frequencyUp":
+				connection.changeTunerFrequency(1) || ev.action.showAlert();
+				break;
+			case "frequencyDown":
+				connection.changeTunerFrequency(-1) || ev.action.showAlert();
+				break;
+		}
+	}
+
+	/**
+	 * Tune the frequency up or down when the dial is rotated.
+	 * @param {DialRotateEvent} ev - The event object.
+	 */
+	onDialRotate(ev) {
+		this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid]?.changeTunerFrequency(ev.payload.ticks) || ev.action.showAlert();
+	}
+
+	/**
+	 * Move to the next preset when the dial is pressed.
+	 * @param {DialDownEvent} ev - The event object.
+	 */
+	onDialDown(ev) {
+		this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid]?.changeTunerPreset(1) || ev.action.showAlert();
+	}
+
+	/**
+	 * Move to the next preset when the touch screen is tapped.
+	 * @param {TouchTapEvent} ev - The event object.
+	 */
+	onTouchTap(ev) {
+		this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid]?.changeTunerPreset(1) || ev.action.showAlert();
+	}
+
+	/**
+	 * Handle a user choosing a receiver from the PI.
+	 * @param {SendToPluginEvent} ev - The event object.
+	 */
+	async onUserChoseReceiver(ev) {
+		await super.onUserChoseReceiver(ev);
+
+		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
+		updateActionState(ev.action, connection);
+	}
+
+	/**
+	 * Handle a receiver tuner status changing, update actions accordingly.
+	 * @param {ReceiverEvent} ev - The event object.
+	 */
+	onReceiverTunerChanged(ev) {
+		if (!ev.actions) return;
+
+		Promise.all(ev.actions.map(async (action) => updateActionState(action, ev.connection)));
+	}
+
+	/**
+	 * Handle a receiver power status changing, update actions accordingly.
+	 * @param {ReceiverEvent} ev - The event object.
+	 */
+	onReceiverPowerChanged(ev) {
+		if (!ev.actions) return;
+
+		Promise.all(ev.actions.map(async (action) => updateActionState(action, ev.connection)));
+	}
+}
+
+/**
+ * Format the tuned frequency for display, e.g. "FM 105.70" or "AM 1080"
+ * @param {TunerStatus} tuner - The tuner status
+ * @returns {string}
+ */
+function formatFrequency(tuner) {
+	if (tuner.frequency === undefined) return "";
+
+	return tuner.band === "AM"
+		? `AM ${tuner.frequency}`
+		: `FM ${tuner.frequency.toFixed(2)}`;
+}
+
+/**
+ * Update the title or feedback of an action based on the receiver's tuner status.
+ * @param {Action} action - The action object.
+ * @param {AVRConnection} [connection] - The receiver connection object.
+ */
+async function updateActionState(action, connection) {
+	const { power, tuner = {} } = connection !== undefined ? connection.status.zones[0] : {};
+
+	const preset = tuner.preset !== undefined ? `P${tuner.preset.toString().padStart(2, "0")}` : "";
+	const frequency = formatFrequency(tuner);
+
+	if (action.isDial()) {
+		action.setFeedback({
+			title: tuner.stationName || "Tuner",
+			value: power === false ? "Off" : [preset, frequency].filter(Boolean).join(" ")
+		});
+	} else if (action.isKey()) {
+		action.setTitle([preset, frequency, tuner.stationName].filter(Boolean).join("\n"));
+	}
+}
\ No newline at end of file
@@ -13,6 +13,11 @@ import { PluginAction } from "./action";
 /** @typedef {import("../modules/connection").AVRConnection} AVRConnection */
 /** @typedef {import("../modules/connection").ReceiverEvent} ReceiverEvent */
 
+import { HEOSConnection, HEOS_MAX_VOLUME } from "../modules/heos";
+/** @typedef {import("../modules/heos").HEOSEvent} HEOSEvent */
+
+import { AVRTracker } from "../modules/tracker";
+
 const images = {
 	unmuted: "imgs/actions/volume/volume2",
 	muted: "imgs/actions/volume/volumeMute"
@@ -24,6 +29,19 @@ const images = {
  */
 @action({ UUID: "com.mthiel.denon-controller.volume" })
 export class VolumeAction extends PluginAction {
+	/**
+	 * Get the connection that controls the volume of an action's receiver:
+	 * the HEOS connection for HEOS speakers, the receiver connection otherwise.
+	 * @param {string} actionId - The action ID.
+	 * @returns {AVRConnection | HEOSConnection | undefined}
+	 */
+	getVolumeConnection(actionId) {
+		const uuid = this.actionReceiverMap[actionId]?.uuid;
+		if (!uuid) return;
+
+		return AVRTracker.isHEOSPlayer(uuid) ? this.heosConnections[uuid] : this.avrConnections[uuid];
+	}
+
 	/**
 	 * Handle the will appear event.
 	 * @param {WillAppearEvent} ev - The event object.
@@ -32,8 +50,7 @@ export class VolumeAction extends PluginAction {
 		await super.onWillAppear(ev);
 
 		// Set the initial state of the action based on the receiver's volume & mute status
-		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
-		updateActionState(ev.action, connection);
+		updateActionState(ev.action, this.getVolumeConnection(ev.action.id));
 	}
 
 	/**
@@ -44,7 +61,7 @@ export class VolumeAction extends PluginAction {
 		/** @type {ActionSettings} */
 		const settings = ev.payload.settings;
 
-		this.avrConnections[this.actionReceiverMap[ev.action.id].uuid]?.changeVolume(ev.payload.ticks, settings.zone) || ev.action.showAlert();
+		this.getVolumeConnection(ev.action.id)?.changeVolume(ev.payload.ticks, settings.zone) || ev.action.showAlert();
 	}
 
 	/**
@@ -55,7 +72,7 @@ export class VolumeAction extends PluginAction {
 		/** @type {ActionSettings} */
 		const settings = ev.payload.settings;
 
-		this.avrConnections[this.actionReceiverMap[ev.action.id].uuid]?.setMute(undefined, settings.zone) || ev.action.showAlert();
+		this.getVolumeConnection(ev.action.id)?.setMute(undefined, settings.zone) || ev.action.showAlert();
 	}
 
 	/**
@@ -66,7 +83,7 @@ export class VolumeAction extends PluginAction {
 		/** @type {ActionSettings} */
 		const settings = ev.payload.settings;
 
-		this.avrConnections[this.actionReceiverMap[ev.action.id].uuid]?.setMute(undefined, settings.zone) || ev.action.showAlert();
+		this.getVolumeConnection(ev.action.id)?.setMute(undefined, settings.zone) || ev.action.showAlert();
 	}
 
 	/**
@@ -74,7 +91,7 @@ export class VolumeAction extends PluginAction {
 	 * @param {KeyDownEvent} ev - The event object.
 	 */
 	onKeyDown(ev) {
-		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id].uuid];
+		const connection = this.getVolumeConnection(ev.action.id);
 		if (!connection) {
 			ev.action.showAlert();
 			return;
@@ -86,6 +103,29 @@ export class VolumeAction extends PluginAction {
 		// Default to "toggleMute" if no volume action is set
 		const volumeAction = settings.volumeAction || "toggleMute";
 
+		// HEOS speakers have a single volume, from 0 to 100
+		if (connection instanceof HEOSConnection) {
+			switch (volumeAction) {
+				case "set":
+					if (settings.volumeLevel !== undefined && settings.volumeLevel > 0) {
+						connection.setVolume(settings.volumeLevel) || ev.action.showAlert();
+					} else {
+						ev.action.showAlert();
+					}
+					break;
+				case "toggleMute":
+					connection.setMute() || ev.action.showAlert();
+					break;
+				case "mute":
+					connection.setMute(true) || ev.action.showAlert();
+					break;
+				case "unmute":
+					connection.setMute(false) || ev.action.showAlert();
+					break;
+			}
+			return;
+		}
+
 		switch (volumeAction) {
 			case "set":
 				if (settings.volumeLevel !== undefined && settings.volumeLevel > 0) {
@@ -114,8 +154,18 @@ export class VolumeAction extends PluginAction {
 		await super.onUserChoseReceiver(ev);
 
 		// Update the action state for the new receiver
-		const connection = this.avrConnections[this.actionReceiverMap[ev.action.id]?.uuid];
-		updateActionState(ev.action, connection);
+		updateActionState(ev.action, this.getVolumeConnection(ev.action.id));
+	}
+
+	/**
+	 * Handle a HEOS speaker's volume or mute status changing.
+	 * @param {HEOSEvent} ev - The event object.
+	 */
+	onHEOSVolumeChanged(ev) {
+		// Receivers report their volume over their own connection
+		if (!ev.actions || !AVRTracker.isHEOSPlayer(ev.connection.uuid)) return;
+
+		Promise.all(ev.actions.map((action) => updateActionState(action, ev.connection)));
 	}
 
 	/**
@@ -149,18 +199,37 @@ export class VolumeAction extends PluginAction {
 	}
 }
 
+/**
+ * Get the volume & mute status of a receiver zone or HEOS speaker.
+ * @param {AVRConnection | HEOSConnection} [connection] - The receiver or HEOS connection object.
+ * @param {number} zone - The receiver zone.
+ * @returns {{muted?: boolean, volume?: number, maxVolume?: number, power?: boolean}}
+ */
+function getVolumeStatus(connection, zone) {
+	if (connection instanceof HEOSConnection) {
+		// HEOS speakers can't be turned off, so treat them as on once they've answered
+		return {
+			muted: connection.muted,
+			volume: connection.volume,
+			maxVolume: HEOS_MAX_VOLUME,
+			power: connection.volume !== undefined ? true : undefined
+		};
+	}
+
+	return connection !== undefined ? connection.status.zones[zone] : {};
+}
+
 /**
  * Update the state of an action based on the receiver's volume & mute status.
  * @param {Action} action - The action object.
- * @param {AVRConnection} [connection] - The receiver connection object.
+ * @param {AVRConnection | HEOSConnection} [connection] - The receiver or HEOS connection object.
  * @param {number} [zone] - The zone that the volume status changed for
  */
 async function updateActionState(action, connection, zone) {
 	const actionZone = (/** @type {ActionSettings} */ (await action.getSettings())).zone || 0;
 	if (zone !== undefined && zone !== actionZone) { return; }
 
-	const { muted, volume, maxVolume, power } = connection !== undefined
-		? connection.status.zones[actionZone] : {};
+	const { muted, volume, maxVolume, power } = getVolumeStatus(connection, actionZone);
 
 	if (action.isDial()) {
 		const indicatorValue = volume !== undefined && maxVolume !== undefined
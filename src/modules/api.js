@@ -0,0 +1,604 @@
+import http from "http";
+import crypto from "crypto";
+
+import { AVRConnection } from "./connection";
+import { AVRTracker } from "./tracker";
+
+/** @typedef {import("@elgato/streamdeck").Logger} Logger */
+/** @typedef {import("./connection").ReceiverEvent} ReceiverEvent */
+/** @typedef {import("../plugin").PluginContext} PluginContext */
+/** @typedef {import("net").Socket} Socket */
+
+/**
+ * The plugin-wide settings of the API, as saved from the PI
+ * @typedef {Object} LocalAPISettings
+ * @property {boolean} [apiEnabled] - Whether the API is turned on
+ * @property {number | string} [apiPort] - The local port to listen on
+ * @property {string} [apiToken] - The token callers must send, the API stays off without one
+ */
+
+/**
+ * A command sent to a receiver through the API
+ * @typedef {Object} LocalAPICommand
+ * @property {"volume" | "mute" | "power" | "source"} command - What to change
+ * @property {number | boolean | string} [value] - The new volume, mute or power state, or source. Mute and power toggle without one.
+ * @property {number} [delta] - The amount to change the volume by, instead of a value
+ * @property {number} [zone] - The zone to change, the main zone by default
+ */
+
+/** The address the server listens on, only tools on this computer can connect */
+const API_HOST = "127.0.0.1";
+const API_DEFAULT_PORT = 8766;
+
+/** The largest request body accepted, commands are tiny */
+const API_MAX_BODY = 4096;
+
+/** How long a WebSocket client without an Authorization header has to send the token, in milliseconds */
+const WEBSOCKET_AUTH_TIMEOUT = 5000;
+
+/** The close code sent to WebSocket clients with a missing or invalid token (policy violation) */
+const WEBSOCKET_CLOSE_UNAUTHORIZED = 1008;
+
+/** The GUID every WebSocket handshake is hashed with (RFC 6455) */
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+/** The WebSocket frame types used here */
+const WEBSOCKET_OPCODES = {
+	text: 0x1,
+	close: 0x8,
+	ping: 0x9,
+	pong: 0xa
+};
+
+/**
+ * A local HTTP server for scripts and dashboards to read the status of the receivers the plugin is connected to,
+ * change their volume, mute, power and source, and follow their events over a WebSocket.
+ *
+ * - GET /receivers - The status of every receiver connection
+ * - GET /receivers/:uuid - The status of one receiver connection
+ * - POST /receivers/:uuid/commands - Send a command, see {@link LocalAPICommand}
+ * - GET /events - A WebSocket stream of receiver events
+ *
+ * Every request needs the token as a bearer token in the Authorization header. Browsers can't set headers on a WebSocket,
+ * so WebSocket clients can send the token as their first message instead. It's never taken from the URL, where it would end up in logs.
+ */
+export class LocalAPIServer {
+	/** @type {Logger} */
+	logger;
+
+	/** @type {PluginContext} */
+	#plugin;
+
+	/**
+	 * The running server, while the API is turned on
+	 * @type {http.Server | undefined}
+	 */
+	#server;
+
+	/**
+	 * The port the server listens on
+	 * @type {number | undefined}
+	 */
+	#port;
+
+	/**
+	 * The token callers must send
+	 * @type {string}
+	 */
+	#token = "";
+
+	/**
+	 * The sockets of the WebSocket clients following the events
+	 * @type {Set<Socket>}
+	 */
+	#eventClients = new Set();
+
+	/**
+	 * The receiver connections whose events are already forwarded
+	 * @type {WeakSet<AVRConnection>}
+	 */
+	#watchedConnections = new WeakSet();
+
+	/**
+	 * Create the API server, it only starts once it's turned on in the settings
+	 * @param {PluginContext} plugin - The plugin context to use
+	 */
+	constructor(plugin) {
+		this.logger = plugin.logger.createScope(this.constructor.name);
+		this.#plugin = plugin;
+	}
+
+	/**
+	 * Start, stop or restart the server to match the plugin-wide settings
+	 * @param {LocalAPISettings} settings - The plugin-wide settings
+	 */
+	configure(settings) {
+		const token = typeof settings.apiToken === "string" ? settings.apiToken.trim() : "";
+		const port = Number(settings.apiPort) || API_DEFAULT_PORT;
+
+		if (settings.apiEnabled !== true || !token) {
+			if (settings.apiEnabled === true) {
+				this.logger.warn("The local API needs a token, it stays off until one is set.");
+			}
+			this.#stop();
+			return;
+		}
+
+		// Followers authenticated with the old token have to reconnect with the new one
+		if (token !== this.#token) {
+			this.#closeEventClients();
+		}
+		this.#token = token;
+
+		if (this.#server && port === this.#port) return;
+
+		this.#stop();
+		this.#start(port);
+	}
+
+	/**
+	 * Forward the events of a receiver connection to the WebSocket clients
+	 * @param {AVRConnection} connection - The receiver connection
+	 */
+	watch(connection) {
+		if (this.#watchedConnections.has(connection)) return;
+		this.#watchedConnections.add(connection);
+
+		connection.on((ev) => this.#onReceiverEvent(ev), "api");
+	}
+
+	/**
+	 * Start listening
+	 * @param {number} port - The local port to listen on
+	 */
+	#start(port) {
+		const server = http.createServer((request, response) => {
+			this.#onRequest(request, response).catch((error) => {
+				this.logger.warn(`Local API request failed: ${error.message}`);
+				if (response.headersSent) {
+					response.destroy();
+				} else {
+					sendJSON(response, 500, { error: "Internal error" });
+				}
+			});
+		});
+
+		server.on("upgrade", (request, socket) => this.#onUpgrade(request, /** @type {Socket} */ (socket)));
+		server.on("error", (error) => {
+			this.logger.warn(`Can't start the local API on port ${port}: ${error.message}`);
+			if (this.#server === server) {
+				this.#server = undefined;
+				this.#port = undefined;
+			}
+		});
+
+		server.listen(port, API_HOST, () => {
+			this.logger.info(`Local API listening on http://${API_HOST}:${port}`);
+		});
+
+		this.#server = server;
+		this.#port = port;
+
+		Object.values(this.#plugin.avrConnections).forEach((connection) => this.watch(connection));
+	}
+
+	/**
+	 * Stop listening and disconnect the WebSocket clients
+	 */
+	#stop() {
+		if (!this.#server) return;
+
+		this.#closeEventClients();
+		this.#server.close();
+		this.#server = undefined;
+		this.#port = undefined;
+
+		this.logger.info("Local API stopped.");
+	}
+
+	/**
+	 * Check the bearer token in the Authorization header of a request
+	 * @param {http.IncomingMessage} request - The request
+	 * @returns {boolean}
+	 */
+	#isAuthorized(request) {
+		const header = request.headers.authorization || "";
+		return header.startsWith("Bearer ") && this.#isToken(header.substring(7));
+	}
+
+	/**
+	 * Compare a token to the one callers must send, in constant time
+	 * @param {string} token - The token sent
+	 * @returns {boolean}
+	 */
+	#isToken(token) {
+		const expected = Buffer.from(this.#token);
+		const actual = Buffer.from(token);
+
+		return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+	}
+
+	/**
+	 * Handle an HTTP request
+	 * @param {http.IncomingMessage} request - The request
+	 * @param {http.ServerResponse} response - The response
+	 */
+	async #onRequest(request, response) {
+		const url = new URL(request.url || "/", `http://${API_HOST}`);
+
+		if (!this.#isAuthorized(request)) {
+			sendJSON(response, 401, { error: "Missing or invalid token" });
+			return;
+		}
+
+		let parts;
+		try {
+			parts = url.pathname.split("/").filter((part) => part.length > 0).map(decodeURIComponent);
+		} catch (error) {
+			sendJSON(response, 400, { error: `Invalid path: ${error.message}` });
+			return;
+		}
+
+		const [collection, uuid, action, ...rest] = parts;
+
+		if (collection === "events") {
+			sendJSON(response, 426, { error: "Connect to /events with a WebSocket" });
+			return;
+		}
+
+		if (collection !== "receivers" || rest.length > 0) {
+			sendJSON(response, 404, { error: "Not found" });
+			return;
+		}
+
+		if (!uuid) {
+			if (request.method !== "GET") {
+				sendJSON(response, 405, { error: "Use GET" });
+				return;
+			}
+
+			sendJSON(response, 200, Object.values(this.#plugin.avrConnections).map(getReceiverStatus));
+			return;
+		}
+
+		const connection = this.#plugin.avrConnections[uuid];
+		if (!connection) {
+			sendJSON(response, 404, { error: "The plugin isn't connected to this receiver" });
+			return;
+		}
+
+		if (!action && request.method === "GET") {
+			sendJSON(response, 200, getReceiverStatus(connection));
+		} else if (action === "commands" && request.method === "POST") {
+			await this.#onCommand(request, response, connection);
+		} else if (action && action !== "commands") {
+			sendJSON(response, 404, { error: "Not found" });
+		} else {
+			sendJSON(response, 405, { error: action ? "Use POST" : "Use GET" });
+		}
+	}
+
+	/**
+	 * Handle a command for a receiver, through the same methods the actions use so everything stays in sync
+	 * @param {http.IncomingMessage} request - The request
+	 * @param {http.ServerResponse} response - The response
+	 * @param {AVRConnection} connection - The receiver connection
+	 */
+	async #onCommand(request, response, connection) {
+		/** @type {LocalAPICommand} */
+		let body;
+		try {
+			body = JSON.parse(await readBody(request));
+		} catch (error) {
+			// The rest of a body that's too large is never read, so close the connection once the answer is sent
+			if (error.statusCode === 413) {
+				response.setHeader("Connection", "close");
+			}
+			sendJSON(response, error.statusCode ?? 400, { error: `Invalid request body: ${error.message}` });
+			return;
+		}
+
+		if (typeof body !== "object" || body === null || Array.isArray(body)) {
+			sendJSON(response, 400, { error: "The request body must be a JSON object" });
+			return;
+		}
+
+		const zone = body.zone ?? 0;
+		if (!Number.isInteger(zone) || !connection.status.zones[zone]) {
+			sendJSON(response, 400, { error: `Invalid zone: ${zone}` });
+			return;
+		}
+
+		const { command, value, delta } = body;
+		let isSent;
+
+		switch (command) {
+			case "volume":
+				if (typeof delta === "number" && Number.isFinite(delta)) {
+					isSent = connection.changeVolume(delta, zone);
+				} else if (Number.isInteger(value) && /** @type {number} */ (value) >= 0 && /** @type {number} */ (value) <= connection.status.zones[zone].maxVolume) {
+					isSent = connection.changeVolumeAbsolute(/** @type {number} */ (value), zone);
+				} else {
+					sendJSON(response, 400, { error: "Volume needs a whole number value up to the maximum volume, or a delta" });
+					return;
+				}
+				break;
+			case "mute":
+			case "power":
+				if (value !== undefined && typeof value !== "boolean") {
+					sendJSON(response, 400, { error: `The ${command} value must be true, false or left out to toggle` });
+					return;
+				}
+				isSent = command === "mute" ? connection.setMute(value, zone) : connection.setPower(value, zone);
+				break;
+			case "source":
+				// Only known inputs, so a crafted value can't smuggle in other commands
+				if (typeof value !== "string" || !(value in AVRConnection.sources || value in (connection.status.sources || {}))) {
+					sendJSON(response, 400, { error: `Unknown source: ${value}` });
+					return;
+				}
+				isSent = connection.setSource(value, zone);
+				break;
+			default:
+				sendJSON(response, 400, { error: `Unknown command: ${command}` });
+				return;
+		}
+
+		if (!isSent) {
+			sendJSON(response, 503, { error: "The command couldn't be sent, the receiver may be off or disconnected" });
+			return;
+		}
+
+		sendJSON(response, 202, { sent: true });
+	}
+
+	/**
+	 * Accept a WebSocket client on the events endpoint
+	 * @param {http.IncomingMessage} request - The upgrade request
+	 * @param {Socket} socket - The client socket
+	 */
+	#onUpgrade(request, socket) {
+		const url = new URL(request.url || "/", `http://${API_HOST}`);
+		const key = request.headers["sec-websocket-key"];
+
+		/** @param {string} status */
+		const refuse = (status) => {
+			socket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+		};
+
+		if (url.pathname !== "/events" || request.headers.upgrade?.toLowerCase() !== "websocket" || !key) {
+			refuse("404 Not Found");
+			return;
+		}
+
+		// A wrong token in the header is refused right away, without one the token must be the first message
+		const hasHeader = request.headers.authorization !== undefined;
+		if (hasHeader && !this.#isAuthorized(request)) {
+			refuse("401 Unauthorized");
+			return;
+		}
+
+		const accept = crypto.createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+		socket.write("HTTP/1.1 101 Switching Protocols\r\n" +
+			"Upgrade: websocket\r\n" +
+			"Connection: Upgrade\r\n" +
+			`Sec-WebSocket-Accept: ${accept}\r\n` +
+			"\r\n");
+
+		const follow = () => {
+			this.#eventClients.add(socket);
+			this.logger.debug(`Event client connected, ${this.#eventClients.size} following.`);
+		};
+
+		/** @param {string} reason */
+		const close = (reason) => {
+			this.logger.debug(`Closed an event client: ${reason}`);
+
+			const payload = Buffer.alloc(2);
+			payload.writeUInt16BE(WEBSOCKET_CLOSE_UNAUTHORIZED);
+			socket.end(createFrame(WEBSOCKET_OPCODES.close, Buffer.concat([payload, Buffer.from(reason)])));
+		};
+
+		let isAuthorized = hasHeader;
+		/** @type {NodeJS.Timeout | undefined} */
+		let authTimer;
+
+		if (isAuthorized) {
+			follow();
+		} else {
+			authTimer = setTimeout(() => close("Missing token"), WEBSOCKET_AUTH_TIMEOUT);
+		}
+
+		let buffer = Buffer.alloc(0);
+		socket.on("data", (data) => {
+			buffer = Buffer.concat([buffer, data]);
+
+			// Control frames are small, anything this large isn't meant for us
+			if (buffer.length > API_MAX_BODY) {
+				socket.destroy();
+				return;
+			}
+
+			// The clients only follow, so only control frames need an answer
+			let frame;
+			while ((frame = readFrame(buffer))) {
+				buffer = buffer.subarray(frame.length);
+
+				if (frame.opcode === WEBSOCKET_OPCODES.close) {
+					socket.end(createFrame(WEBSOCKET_OPCODES.close, Buffer.alloc(0)));
+				} else if (frame.opcode === WEBSOCKET_OPCODES.ping) {
+					socket.write(createFrame(WEBSOCKET_OPCODES.pong, frame.payload));
+				} else if (frame.opcode === WEBSOCKET_OPCODES.text && !isAuthorized) {
+					clearTimeout(authTimer);
+
+					if (!this.#isToken(frame.payload.toString())) {
+						close("Invalid token");
+						return;
+					}
+
+					isAuthorized = true;
+					follow();
+				}
+			}
+		});
+
+		socket.on("error", (error) => {
+			this.logger.debug(`Event client error: ${error.message}`);
+		});
+
+		socket.on("close", () => {
+			clearTimeout(authTimer);
+			this.#eventClients.delete(socket);
+			this.logger.debug(`Event client disconnected, ${this.#eventClients.size} following.`);
+		});
+	}
+
+	/**
+	 * Send a receiver event to the WebSocket clients
+	 * @param {ReceiverEvent} ev - The event
+	 */
+	#onReceiverEvent(ev) {
+		if (this.#eventClients.size === 0) return;
+
+		const zone = ev.zone ?? 0;
+		const frame = createFrame(WEBSOCKET_OPCODES.text, Buffer.from(JSON.stringify({
+			type: ev.type,
+			uuid: ev.connection.uuid,
+			zone,
+			channel: ev.channel,
+			status: ev.connection.status.zones[zone],
+			state: ev.connection.state
+		})));
+
+		for (const socket of this.#eventClients) {
+			socket.write(frame);
+		}
+	}
+
+	/**
+	 * Disconnect the WebSocket clients
+	 */
+	#closeEventClients() {
+		for (const socket of this.#eventClients) {
+			socket.end(createFrame(WEBSOCKET_OPCODES.close, Buffer.alloc(0)));
+		}
+		this.#eventClients.clear();
+	}
+}
+
+/**
+ * Describe a receiver connection for the API
+ * @param {AVRConnection} connection - The receiver connection
+ */
+function getReceiverStatus(connection) {
+	return {
+		uuid: connection.uuid,
+		name: AVRTracker.getReceivers()[connection.uuid]?.name,
+		host: connection.host,
+		transport: connection.transport,
+		state: connection.state,
+		status: connection.status
+	};
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} response - The response
+ * @param {number} statusCode - The HTTP status code
+ * @param {any} [body] - The response body, none if undefined
+ */
+function sendJSON(response, statusCode, body) {
+	// No CORS headers, so web pages open in a browser can't call the API
+	response.writeHead(statusCode, { "Content-Type": "application/json" });
+	response.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+/**
+ * Read the body of a request, up to the size limit
+ * @param {http.IncomingMessage} request - The request
+ * @returns {Promise<string>}
+ */
+function readBody(request) {
+	return new Promise((resolve, reject) => {
+		let body = "";
+
+		/** @param {Buffer} chunk */
+		const onData = (chunk) => {
+			body += chunk;
+			if (body.length > API_MAX_BODY) {
+				// Stop reading, the caller answers before the connection is closed
+				request.off("data", onData);
+				request.pause();
+				reject(Object.assign(new Error("Too large"), { statusCode: 413 }));
+			}
+		};
+
+		request.on("data", onData);
+		request.on("end", () => resolve(body));
+		request.on("error", reject);
+	});
+}
+
+/**
+ * Create an unmasked WebSocket frame, as sent by servers
+ * @param {number} opcode - The frame type
+ * @param {Buffer} payload - The frame payload
+ * @returns {Buffer}
+ */
+function createFrame(opcode, payload) {
+	let header;
+
+	if (payload.length < 126) {
+		header = Buffer.from([0x80 | opcode, payload.length]);
+	} else if (payload.length < 0x10000) {
+		header = Buffer.alloc(4);
+		header.writeUInt8(0x80 | opcode, 0);
+		header.writeUInt8(126, 1);
+		header.writeUInt16BE(payload.length, 2);
+	} else {
+		header = Buffer.alloc(10);
+		header.writeUInt8(0x80 | opcode, 0);
+		header.writeUInt8(127, 1);
+		header.writeBigUInt64BE(BigInt(payload.length), 2);
+	}
+
+	return Buffer.concat([header, payload]);
+}
+
+/**
+ * Read a WebSocket frame sent by a client, once all of it has arrived
+ * @param {Buffer} buffer - The data received so far
+ * @returns {{opcode: number, payload: Buffer, length: number} | undefined} The frame and its length in the buffer
+ */
+export function readFrame(buffer) {
+	if (buffer.length < 2) return;
+
+	const opcode = buffer[0] & 0x0f;
+	const isMasked = (buffer[1] & 0x80) !== 0;
+	let payloadLength = buffer[1] & 0x7f;
+	let offset = 2;
+
+	if (payloadLength === 126) {
+		if (buffer.length < 4) return;
+		payloadLength = buffer.readUInt16BE(2);
+		offset = 4;
+	} else if (payloadLength === 127) {
+		if (buffer.length < 10) return;
+		payloadLength = Number(buffer.readBigUInt64BE(2));
+		offset = 10;
+	}
+
+	const maskOffset = offset;
+	if (isMasked) offset += 4;
+
+	if (buffer.length < offset + payloadLength) return;
+
+	const payload = Buffer.from(buffer.subarray(offset, offset + payloadLength));
+	if (isMasked) {
+		for (let i = 0; i < payload.length; i++) {
+			payload[i] ^= buffer[maskOffset + (i % 4)];
+		}
+	}
+
+	return { opcode, payload, length: offset + payloadLength };
+}
\ No newline at end of file
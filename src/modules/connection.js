@@ -4,11 +4,15 @@ import { setTimeout } from "timers/promises";
 
 import { TelnetSocket } from "telnet-stream";
 
+import { AVRHTTPSocket, TELNET_ONLY_FEATURES } from "./http";
+import { TelnetMultiplexer } from "./multiplexer";
+
 /** @typedef {import("@elgato/streamdeck").Logger} Logger */
 /** @typedef {import("@elgato/streamdeck").Action} Action */
 
 /** @typedef {import("../plugin").PluginContext} PluginContext */
 /** @typedef {import("./tracker").ReceiverInfo} ReceiverInfo */
+/** @typedef {import("./http").ReceiverFeature} ReceiverFeature */
 
 /**
  * @typedef {Object} ReceiverEvent
@@ -19,8 +23,20 @@ import { TelnetSocket } from "telnet-stream";
  * 			 | "muteChanged"
  * 			 | "status"
  * 			 | "sourceChanged"
- * 			 | "dynamicVolumeChanged"} type - The type of event.
+ * 			 | "dynamicVolumeChanged"
+ * 			 | "multEQChanged"
+ * 			 | "dynamicEQChanged"
+ * 			 | "referenceLevelOffsetChanged"
+ * 			 | "surroundModeChanged"
+ * 			 | "toneChanged"
+ * 			 | "channelLevelChanged"
+ * 			 | "tunerChanged"
+ * 			 | "quickSelectChanged"
+ * 			 | "sourceListChanged"
+ * 			 | "unreachable"
+ * 			 | "stateChanged"} type - The type of event.
  * @property {number} [zone] - The zone that the event occurred on.
+ * @property {string} [channel] - The speaker channel that changed, for channel level events.
  * @property {AVRConnection} connection - The receiver connection.
  * @property {Action[]} [actions] - The actions to inform of the event.
  */
@@ -29,21 +45,225 @@ import { TelnetSocket } from "telnet-stream";
  * @typedef {"OFF" | "LIT" | "MED" | "HEV" | undefined} DynamicVolume
  */
 
+/**
+ * @typedef {"AUDYSSEY" | "BYP.LR" | "FLAT" | "OFF" | undefined} MultEQ
+ */
+
+/**
+ * @typedef {"ON" | "OFF" | undefined} DynamicEQ
+ */
+
+/**
+ * @typedef {"0" | "5" | "10" | "15" | undefined} ReferenceLevelOffset
+ */
+
+/**
+ * @typedef {"dynamicVolume" | "multEQ" | "dynamicEQ" | "referenceLevelOffset"} AudysseyParameter
+ */
+
+/**
+ * @typedef {Object} AudysseyDefinition
+ * @property {string} name - The display name of the parameter
+ * @property {string} command - The "PS" command for the parameter
+ * @property {string} separator - The separator between the command and its value
+ * @property {string[]} values - The values of the parameter, in the order to cycle through them
+ * @property {ReceiverEvent["type"]} event - The event emitted when the parameter changes
+ */
+
 /**
  * @typedef {Object} ReceiverZoneStatus
  * @property {boolean} power - Whether the zone is powered on.
  * @property {number} volume - The current volume of the zone.
  * @property {number} maxVolume - The (current) maximum volume of the receiver.
  * @property {DynamicVolume} [dynamicVolume] - Whether the volume is dynamic.
+ * @property {MultEQ} [multEQ] - The Audyssey MultEQ room correction mode.
+ * @property {DynamicEQ} [dynamicEQ] - Whether Audyssey Dynamic EQ is enabled.
+ * @property {ReferenceLevelOffset} [referenceLevelOffset] - The Dynamic EQ reference level offset in dB.
  * @property {boolean} muted - Whether the zone is muted.
  * @property {string} source - The current source of the zone.
+ * @property {string} [surroundMode] - The current surround (sound) mode of the zone.
+ * @property {boolean} [toneControl] - Whether tone control is enabled.
+ * @property {number} [bass] - The bass level in dB, from -6 to +6.
+ * @property {number} [treble] - The treble level in dB, from -6 to +6.
+ * @property {Record<string, number>} [channelLevels] - The level offset of each speaker channel in dB, from -12 to +12.
+ * @property {TunerStatus} [tuner] - The status of the receiver's tuner.
+ * @property {number} [quickSelect] - The active Quick Select (or Smart Select) slot, undefined if none is active.
+ * @property {boolean} present - Whether the receiver has reported any status for this zone (i.e. the zone exists).
+ */
+
+/**
+ * Denon receivers call their presets "Quick Select", Marantz receivers call them "Smart Select"
+ * @typedef {"QUICK" | "SMART"} QuickSelectKind
+ */
+
+/**
+ * @typedef {Object} TunerStatus
+ * @property {"FM" | "AM"} [band] - The band the tuner is on.
+ * @property {number} [frequency] - The tuned frequency, in MHz for FM and kHz for AM.
+ * @property {number} [preset] - The preset number the tuner is on, undefined if the frequency isn't a preset.
+ * @property {string} [mode] - The tuning mode, e.g. "AUTO" or "MANUAL".
+ * @property {string} [stationName] - The station name sent by RDS, if any.
+ */
+
+/**
+ * @typedef {Object} QueuedCommand
+ * @property {string} command - The command to send, without the trailing carriage return
+ * @property {string} key - Commands with the same key supersede each other while waiting in the queue
+ * @property {number} [value] - The value the setting is expected to reach once the command is sent, e.g. the volume
  */
 
 /**
  * @typedef {Object} ReceiverStatus
  * @property {ReceiverZoneStatus[]} zones - The status of each zone.
  * @property {string} statusMsg - The status message for this connection.
+ * @property {Record<string, string>} [sources] - The inputs the receiver uses, mapped to the names shown on its display.
+ */
+
+/**
+ * How to talk to the receiver: telnet on port 23, the HTTP/XML interface, or telnet with a fallback to HTTP
+ * @typedef {"telnet" | "http" | "auto"} Transport
+ */
+
+/**
+ * Where the connection is in its lifecycle:
+ * - "connecting": a connection attempt is in progress
+ * - "connected": the receiver is answering
+ * - "backingOff": the connection was lost, and the next attempt is waiting for its delay
+ * - "failed": the connection can't be attempted at all (e.g. no address is set), no attempts are made
+ * - "disconnected": the connection was closed on purpose
+ * @typedef {"connecting" | "connected" | "backingOff" | "failed" | "disconnected"} ConnectionStateName
+ */
+
+/**
+ * @typedef {Object} ConnectionState
+ * @property {ConnectionStateName} name - The current state.
+ * @property {number} since - When the connection entered the state, in milliseconds since the epoch.
+ * @property {number} attempts - The number of failed connection attempts in a row.
+ * @property {number} [retryAt] - When the next connection attempt is due, while backing off.
+ * @property {number} [lastConnected] - When the connection was last established.
+ * @property {string} [lastError] - The last connection error, if any.
+ */
+
+/**
+ * The delay before reconnecting after the connection is lost, doubled after each failed attempt up to the maximum.
+ * Attempts never stop, so a receiver that comes back after a long time is picked up again.
+ */
+const RECONNECT_DELAY_MIN = 1000;
+const RECONNECT_DELAY_MAX = 60000;
+
+/**
+ * Get the delay before a reconnect attempt, shared by the receiver and HEOS connections
+ * @param {number} attempt - The number of the attempt, starting at 1
+ * @returns {number} The delay in milliseconds
+ */
+export function getReconnectDelay(attempt) {
+	return Math.min(RECONNECT_DELAY_MIN * 2 ** (attempt - 1), RECONNECT_DELAY_MAX);
+}
+
+/**
+ * How long a telnet connection may stay quiet before the receiver is asked for its power status,
+ * and how long it then has to answer before the connection is considered dead, in milliseconds.
+ * A receiver that loses power or network doesn't close the socket, so nothing else would notice.
+ */
+const HEARTBEAT_INTERVAL = 30000;
+const HEARTBEAT_TIMEOUT = 5000;
+
+/**
+ * The number of failed telnet connection attempts in a row before "auto" falls back to HTTP.
+ * The receiver only accepts a single telnet client, so another tool holding it looks like this.
+ */
+const AUTO_FALLBACK_ATTEMPTS = 3;
+
+/**
+ * How often "auto" checks whether telnet is available again while it's using HTTP, in milliseconds,
+ * and how long a test connection has to stay open to count, as a busy receiver may accept it and drop it right away.
+ */
+const AUTO_TELNET_RETRY_INTERVAL = 60000;
+const AUTO_TELNET_PROBE_TIME = 1000;
+
+/**
+ * @typedef {"bass" | "treble"} ToneParameter
+ */
+
+/**
+ * The tone parameters mapped to their commands. Levels are sent as 50 + dB, e.g. "PSBAS 53" for +3 dB.
+ * @type {Record<ToneParameter, string>}
+ */
+const toneCommands = {
+	bass: "BAS",
+	treble: "TRE"
+};
+const TONE_MIN = -6;
+const TONE_MAX = 6;
+
+/**
+ * The Audyssey parameters of the main zone
+ * @type {Record<AudysseyParameter, AudysseyDefinition>}
+ */
+const audysseyParameters = {
+	dynamicVolume: { name: "Dynamic Volume", command: "DYNVOL", separator: " ", values: ["OFF", "LIT", "MED", "HEV"], event: "dynamicVolumeChanged" },
+	multEQ: { name: "MultEQ", command: "MULTEQ", separator: ":", values: ["AUDYSSEY", "BYP.LR", "FLAT", "OFF"], event: "multEQChanged" },
+	dynamicEQ: { name: "Dynamic EQ", command: "DYNEQ", separator: " ", values: ["OFF", "ON"], event: "dynamicEQChanged" },
+	referenceLevelOffset: { name: "Reference Level Offset", command: "REFLEV", separator: " ", values: ["0", "5", "10", "15"], event: "referenceLevelOffsetChanged" }
+};
+
+/**
+ * The speaker channels that support a level offset, mapped to their display names.
+ * Levels are sent as 50 + dB in 0.5 dB steps, e.g. "CVC 525" for +2.5 dB.
+ */
+const channels = {
+	"FL": "Front Left",
+	"FR": "Front Right",
+	"C": "Center",
+	"SW": "Subwoofer",
+	"SW2": "Subwoofer 2",
+	"SL": "Surround Left",
+	"SR": "Surround Right",
+	"SBL": "Surround Back Left",
+	"SBR": "Surround Back Right",
+	"SB": "Surround Back",
+	"FHL": "Front Height Left",
+	"FHR": "Front Height Right",
+	"FWL": "Front Wide Left",
+	"FWR": "Front Wide Right",
+	"TFL": "Top Front Left",
+	"TFR": "Top Front Right",
+	"TML": "Top Middle Left",
+	"TMR": "Top Middle Right",
+	"TRL": "Top Rear Left",
+	"TRR": "Top Rear Right",
+	"RHL": "Rear Height Left",
+	"RHR": "Rear Height Right",
+	"FDL": "Front Dolby Left",
+	"FDR": "Front Dolby Right",
+	"SDL": "Surround Dolby Left",
+	"SDR": "Surround Dolby Right",
+	"BDL": "Back Dolby Left",
+	"BDR": "Back Dolby Right"
+};
+const CHANNEL_LEVEL_MIN = -12;
+const CHANNEL_LEVEL_MAX = 12;
+
+/** The highest Quick Select slot, some models only have 4 */
+const QUICK_SELECT_MAX = 5;
+
+/** The highest tuner preset number */
+const TUNER_PRESET_MAX = 56;
+
+/**
+ * Tuner frequencies are sent as six digits in hundredths, e.g. "010570" for FM 105.70 MHz and "052200" for AM 522 kHz.
+ * Values from this one up are AM frequencies.
+ */
+const TUNER_AM_THRESHOLD = 50000;
+
+/**
+ * The minimum gap between commands sent to the receiver, in milliseconds.
+ * The protocol specification asks for at least 50ms, leave some margin for slower models.
  */
+const COMMAND_INTERVAL = 100;
+
+/** How far the volume moves with a single up or down command */
+const VOLUME_STEP = 0.5;
 
 const sources = {
 	"PHONO": "Phono",
@@ -83,6 +303,55 @@ const sources = {
 	"OFF": "Video Select: Off"
 };
 
+/**
+ * The surround modes that can be selected, mapped to their display names.
+ * The receiver may report other (more detailed) modes, e.g. "DOLBY AUDIO-DD+DSUR".
+ */
+const surroundModes = {
+	"AUTO": "Auto",
+	"DIRECT": "Direct",
+	"PURE DIRECT": "Pure Direct",
+	"STEREO": "Stereo",
+	"MCH STEREO": "Multi Ch Stereo",
+	"MOVIE": "Movie",
+	"MUSIC": "Music",
+	"GAME": "Game",
+	"DOLBY DIGITAL": "Dolby Digital",
+	"DTS SURROUND": "DTS Surround",
+	"NEURAL:X": "Neural:X",
+	"VIRTUAL": "Virtual",
+	"ROCK ARENA": "Rock Arena",
+	"JAZZ CLUB": "Jazz Club",
+	"MONO MOVIE": "Mono Movie",
+	"MATRIX": "Matrix",
+	"VIDEO GAME": "Video Game"
+};
+
+/**
+ * @typedef {Object} ZoneDefinition
+ * @property {string} name - The display name of the zone
+ * @property {string} label - The short label used when logging messages for the zone
+ * @property {string} prefix - The prefix of status messages and queries for the zone ("" for the main zone)
+ * @property {string} power - The power command
+ * @property {string} powerOff - The parameter that turns the zone off
+ * @property {string} volume - The volume command
+ * @property {string} mute - The mute command
+ * @property {string} source - The source command
+ * @property {string} quickSelect - The prefix of the Quick Select and Smart Select commands
+ * @property {string} httpName - The name of the zone in the HTTP interface
+ */
+
+/**
+ * The zones supported by the protocol, indexed by zone number.
+ * The main zone uses dedicated commands, while the other zones share a prefix for most commands.
+ * @type {ZoneDefinition[]}
+ */
+const zones = [
+	{ name: "Main", label: "ZM", prefix: "", power: "PW", powerOff: "STANDBY", volume: "MV", mute: "MU", source: "SI", quickSelect: "MS", httpName: "MAIN ZONE" },
+	{ name: "Zone 2", label: "Z2", prefix: "Z2", power: "Z2", powerOff: "OFF", volume: "Z2", mute: "Z2MU", source: "Z2", quickSelect: "Z2", httpName: "ZONE2" },
+	{ name: "Zone 3", label: "Z3", prefix: "Z3", power: "Z3", powerOff: "OFF", volume: "Z3", mute: "Z3MU", source: "Z3", quickSelect: "Z3", httpName: "ZONE3" },
+];
+
 /**
  * Represents a connection to a Denon AVR receiver
  */
@@ -95,23 +364,15 @@ export class AVRConnection {
 	 * @type {ReceiverStatus}
 	 */
 	status = {
-		zones: [
-			{
-				power: false,
-				volume: 0,
-				maxVolume: 85,
-				muted: false,
-				dynamicVolume: "OFF",
-				source: "",
-			},
-			{
-				power: false,
-				volume: 0,
-				maxVolume: 85,
-				muted: false,
-				source: "",
-			},
-		],
+		zones: zones.map((_, index) => ({
+			power: false,
+			volume: 0,
+			maxVolume: 85,
+			muted: false,
+			dynamicVolume: index === 0 ? "OFF" : undefined,
+			source: "",
+			present: index === 0,
+		})),
 		statusMsg: "Initializing...",
 	};
 
@@ -134,10 +395,86 @@ export class AVRConnection {
 	#rawSocket;
 
 	/**
-	 * The telnet socket connection to the receiver
-	 * @type {TelnetSocket | undefined}
+	 * The telnet (or HTTP stand-in) socket connection to the receiver
+	 * @type {TelnetSocket | AVRHTTPSocket | undefined}
+	 */
+	#socket;
+
+	/**
+	 * The transport chosen for this receiver
+	 * @type {Transport}
+	 */
+	#transport;
+	get transport() { return this.#transport; }
+
+	/**
+	 * Whether the "auto" transport has given up on telnet and is using HTTP
+	 * @type {boolean}
+	 */
+	#usingFallback = false;
+
+	/**
+	 * Whether the current connection uses the HTTP interface
+	 * @returns {boolean}
+	 */
+	get isHTTP() {
+		return this.#transport === "http" || (this.#transport === "auto" && this.#usingFallback);
+	}
+
+	/**
+	 * The timer that checks whether telnet is available again, while "auto" is using HTTP
+	 * @type {NodeJS.Timeout | undefined}
+	 */
+	#telnetRetryTimer;
+
+	/**
+	 * The outbound commands waiting to be sent to the receiver
+	 * @type {QueuedCommand[]}
+	 */
+	#commandQueue = [];
+
+	/**
+	 * The values that commands which were sent but not yet confirmed should reach, keyed by command key
+	 * @type {Map<string, number>}
+	 */
+	#expectedValues = new Map();
+
+	/**
+	 * Whether tone control has been turned on but the receiver hasn't confirmed it yet
+	 * @type {boolean}
+	 */
+	#enablingToneControl = false;
+
+	/**
+	 * The inputs reported as used (or deleted) by the receiver, while it's listing them.
+	 * Undefined until the first list has been received.
+	 * @type {string[] | undefined}
+	 */
+	#usedSources;
+
+	/**
+	 * The custom input names reported by the receiver
+	 * @type {Record<string, string>}
 	 */
-	#telnet;
+	#sourceNames = {};
+
+	/**
+	 * Whether the receiver is in the middle of listing the used inputs or the input names
+	 * @type {{ used: boolean, names: boolean }}
+	 */
+	#receivingSources = { used: false, names: false };
+
+	/**
+	 * The number of step commands (e.g. "TPANUP") queued so far, used to keep repeated steps apart in the queue
+	 * @type {number}
+	 */
+	#stepCount = 0;
+
+	/**
+	 * Whether the command queue is currently being sent
+	 * @type {boolean}
+	 */
+	#isSendingQueue = false;
 
 	/**
 	 * The number of times in a row that we've retried connecting
@@ -145,6 +482,54 @@ export class AVRConnection {
 	 */
 	#reconnectCount = 0;
 
+	/**
+	 * The local server sharing this connection with other tools, while enabled
+	 * @type {TelnetMultiplexer | undefined}
+	 */
+	#multiplexer;
+
+	/**
+	 * The local port chosen to share the connection on, kept while disconnected to share it again on reconnecting
+	 * @type {number | undefined}
+	 */
+	#sharePort;
+
+	/**
+	 * The local port the connection is shared on, undefined if it isn't shared (or sharing it failed)
+	 * @returns {number | undefined}
+	 */
+	get sharePort() { return this.#multiplexer?.port; }
+
+	/**
+	 * The number of commands received from the tools sharing the connection, used to keep them apart in the queue
+	 * @type {number}
+	 */
+	#sharedCommandCount = 0;
+
+	/**
+	 * Where the connection is in its lifecycle
+	 * @type {ConnectionState}
+	 */
+	#state = { name: "connecting", since: Date.now(), attempts: 0 };
+
+	/**
+	 * A copy of the connection state, with its timing details
+	 * @returns {ConnectionState}
+	 */
+	get state() { return { ...this.#state }; }
+
+	/**
+	 * When data was last received from the receiver, in milliseconds since the epoch
+	 * @type {number}
+	 */
+	#lastDataTime = 0;
+
+	/**
+	 * The timer that checks whether a quiet telnet connection is still alive
+	 * @type {NodeJS.Timeout | undefined}
+	 */
+	#heartbeatTimer;
+
 	/**
 	 * The host address of the receiver
 	 * @type {string}
@@ -161,17 +546,27 @@ export class AVRConnection {
 
 	static get sources() { return sources; }
 
+	static get zones() { return zones; }
+
+	static get surroundModes() { return surroundModes; }
+
+	static get channels() { return channels; }
+
+	static get audysseyParameters() { return audysseyParameters; }
+
 	/**
 	 * Create a new DenonAVR instance and attempt to connect to the receiver
 	 * @param {PluginContext} plugin - The plugin context to use
 	 * @param {string} uuid - The UUID of the receiver on the network
 	 * @param {string} host - The IP address of the receiver to connect to
+	 * @param {Transport} [transport="auto"] - How to talk to the receiver
 	 */
-	constructor(plugin, uuid, host) {
+	constructor(plugin, uuid, host, transport = "auto") {
 		this.logger = plugin.logger.createScope(this.constructor.name);
 
 		this.#host = host;
 		this.#uuid = uuid;
+		this.#transport = transport;
 		this.connect();
 	}
 
@@ -179,6 +574,31 @@ export class AVRConnection {
 	 * Connect to a receiver
 	 */
 	async connect() {
+		if (!this.#host) {
+			this.status.statusMsg = "No receiver address set.";
+			this.#setState("failed", { lastError: this.status.statusMsg });
+			this.emit("status");
+			return;
+		}
+
+		this.#setState("connecting");
+		this.#openMultiplexer();
+
+		if (this.isHTTP) {
+			this.logger.debug(`Connecting to Denon receiver over HTTP: ${this.#host}`);
+
+			const http = new AVRHTTPSocket(this.#host, zones, sources, this.logger);
+
+			http.on("connect", () => this.#onConnect());
+			http.on("close", (hadError) => this.#socket === http && this.#onClose(hadError));
+			http.on("error", (error) => this.#onError(error));
+			http.on("data", (data) => this.#onData(data));
+
+			this.#rawSocket = undefined;
+			this.#socket = http;
+			return;
+		}
+
 		this.logger.debug(`Connecting to Denon receiver: ${this.#host}`);
 
 		let rawSocket = net.createConnection(23, this.#host);
@@ -186,7 +606,7 @@ export class AVRConnection {
 
 		// Connection lifecycle events
 		telnet.on("connect", () => this.#onConnect());
-		telnet.on("close", (hadError) => this.#onClose(hadError));
+		telnet.on("close", (hadError) => this.#socket === telnet && this.#onClose(hadError));
 		telnet.on("error", (error) => this.#onError(error));
 
 		// Ignore standard telnet negotiation
@@ -198,36 +618,182 @@ export class AVRConnection {
 
 		// Assign the telnet socket to the instance
 		this.#rawSocket = rawSocket;
-		this.#telnet = telnet;
+		this.#socket = telnet;
+	}
+
+	/**
+	 * Change how to talk to the receiver and reconnect with the new transport
+	 * @param {Transport} transport - The new transport
+	 */
+	setTransport(transport) {
+		if (transport === this.#transport) return;
+
+		this.logger.info(`Switching receiver at ${this.#host} to the ${transport} transport.`);
+
+		this.#transport = transport;
+		this.#usingFallback = false;
+		this.#reconnectCount = 0;
+
+		this.reconnect();
+	}
+
+	/**
+	 * Share the connection with other tools on a local port, or stop sharing it.
+	 * The clients stay connected while the connection to the receiver reconnects.
+	 * @param {number} [port] - The local port, 0 or undefined to stop sharing
+	 * @returns {Promise<boolean>} Whether the connection is now shared as asked, false if the port can't be used
+	 */
+	async setSharePort(port) {
+		port = port || undefined;
+		if (port === this.#sharePort && port === this.sharePort) return true;
+
+		this.#closeMultiplexer();
+		this.#sharePort = port;
+
+		return this.#openMultiplexer();
+	}
+
+	/**
+	 * Start sharing the connection on the chosen local port, unless it's already shared
+	 * @returns {Promise<boolean>} Whether the connection is shared, or true if no port was chosen
+	 */
+	async #openMultiplexer() {
+		const port = this.#sharePort;
+		if (!port || this.#multiplexer) return true;
+
+		// Commands from other tools are sent as-is, and never supersede each other in the queue
+		const multiplexer = new TelnetMultiplexer(port, (command) => {
+			this.#enqueue({ command, key: `shared:${++this.#sharedCommandCount}` });
+		}, this.logger);
+		this.#multiplexer = multiplexer;
+
+		try {
+			await multiplexer.listening;
+			return true;
+		} catch (error) {
+			// Don't keep a server that isn't listening, so the port shows as not shared
+			multiplexer.close();
+			if (this.#multiplexer === multiplexer) {
+				this.#multiplexer = undefined;
+				this.#sharePort = undefined;
+			}
+			return false;
+		}
+	}
+
+	/**
+	 * Stop sharing the connection, disconnecting the clients
+	 */
+	#closeMultiplexer() {
+		this.#multiplexer?.close();
+		this.#multiplexer = undefined;
+	}
+
+	/**
+	 * Move the connection to the receiver's new address, e.g. after it got a new IP address from DHCP
+	 * @param {string} host - The new IP address of the receiver
+	 */
+	setHost(host) {
+		if (host === this.#host) return;
+
+		this.logger.info(`Receiver at ${this.#host} moved to ${host}, reconnecting.`);
+
+		this.#host = host;
+		this.#usingFallback = false;
+		this.#reconnectCount = 0;
+
+		// The actions listening to this receiver stay bound to it at its new address
+		this.reconnect();
+	}
+
+	/**
+	 * Skip the wait before the next reconnect attempt, e.g. when the receiver announced it's back
+	 */
+	reconnectNow() {
+		if (this.#state.name !== "backingOff") return;
+
+		this.logger.debug(`Reconnecting to Denon receiver at ${this.#host} without waiting.`);
+
+		this.#reconnectCount = 0;
+		this.connect();
 	}
 
 	/**
-	 * Disconnect from the receiver and clean up resources
+	 * Treat the connection as lost, e.g. when the receiver announced it's leaving the network.
+	 * Otherwise the socket could stay open until the heartbeat notices, with the actions showing a stale state.
+	 * @param {string} reason - Why the connection was lost, shown as the status
+	 */
+	drop(reason) {
+		if (this.#state.name !== "connected") return;
+
+		this.logger.info(`Dropping the connection to Denon receiver at ${this.#host}: ${reason}`);
+
+		this.status.statusMsg = reason;
+		this.#state.lastError = reason;
+
+		// Closing the socket reconnects like any other lost connection
+		this.#socket?.destroy();
+	}
+
+	/**
+	 * Close the connection and open it again, e.g. after waking up.
+	 * Unlike disconnecting, the tools sharing the connection stay connected.
+	 */
+	reconnect() {
+		this.#closeSocket();
+		this.connect();
+	}
+
+	/**
+	 * Disconnect from the receiver and clean up resources, including the shared port
 	 */
 	disconnect() {
+		this.#closeMultiplexer();
+		this.#closeSocket();
+		this.#setState("disconnected");
+
+		// The listeners stay registered, so the actions keep receiving events when the connection is reopened
+	}
+
+	/**
+	 * Close the socket to the receiver, without reconnecting
+	 */
+	#closeSocket() {
 		let rawSocket = this.#rawSocket;
-		let telnet = this.#telnet;
+		let socket = this.#socket;
+
+		this.#stopHeartbeat();
+		this.#stopTelnetRetry();
 
-		// Clear the listeners for this instance
-		this.#listenerIds = [];
+		// Drop any commands that haven't been sent yet
+		this.#commandQueue = [];
 
 		// Dispose of this instance's sockets
 		this.#rawSocket = undefined;
-		this.#telnet = undefined;
+		this.#socket = undefined;
 
-		if (telnet && rawSocket?.destroyed !== true) {
-			telnet.destroy();
+		if (socket && rawSocket?.destroyed !== true) {
+			socket.destroy();
 
 			// Set a timeout to clean up the sockets
 			setTimeout(1000).then(() => {
-				if (telnet && rawSocket?.destroyed !== true) {
-					telnet.unref();
+				if (socket && rawSocket?.destroyed !== true) {
+					socket.unref();
 					rawSocket?.unref();
 				}
 			});
 		}
 	}
 
+	/**
+	 * Whether the current transport reports the status of a feature, so its actions can show it
+	 * @param {ReceiverFeature} feature - The feature to check
+	 * @returns {boolean}
+	 */
+	reportsFeature(feature) {
+		return !this.isHTTP || !TELNET_ONLY_FEATURES.includes(feature);
+	}
+
 	/**
 	 * Change the volume by the given delta
 	 * @param {number} delta - The amount to change the volume by
@@ -235,27 +801,32 @@ export class AVRConnection {
 	 * @returns {boolean} Whether the command was sent successfully
 	 */
 	changeVolume(delta, zone = 0) {
-		const telnet = this.#telnet;
+		const socket = this.#socket;
 		const status = this.status.zones[zone];
 
-		if (!telnet || !status.power || status.volume === undefined) return false;
+		if (!socket || !status?.power || status.volume === undefined) return false;
 
 		try {
-			let command = ["MV", "Z2"][zone];
-
-			if (delta === 1) {
-				command += "UP";
-			} else if (delta === -1) {
-				command += "DOWN";
+			const key = `volume:${zone}`;
+			let command = zones[zone].volume;
+
+			// Build on top of a volume change that is still waiting to be sent or confirmed, if any
+			const pending = this.#commandQueue.find((entry) => entry.key === key);
+			const currentVolume = this.#expectedValue(key) ?? status.volume;
+			let newVolume;
+
+			if (!pending && (delta === 1 || delta === -1)) {
+				// The receiver moves a single step on its own
+				newVolume = Math.max(0, Math.min(status.maxVolume, currentVolume + delta * VOLUME_STEP));
+				command += delta === 1 ? "UP" : "DOWN";
 			} else {
-				let newVolumeStr = Math.max(0, Math.min(status.maxVolume, Math.round(status.volume + delta)))
-					.toString()
-					.padStart(2, "0");
-				command += newVolumeStr;
+				// Merge into a single absolute volume command, in the receiver's half steps
+				newVolume = Math.max(0, Math.min(status.maxVolume, Math.round((currentVolume + delta) / VOLUME_STEP) * VOLUME_STEP));
+				command += formatLevel(newVolume);
 			}
 
-			telnet.write(command + "\r");
-			this.logger.debug(`Sent volume command: ${command}`);
+			this.#enqueue({ command, key, value: newVolume });
+			this.logger.debug(`Queued volume command: ${command}`);
 		} catch (error) {
 			this.logger.error(`Error sending volume command: ${error.message}`);
 			return false;
@@ -271,17 +842,18 @@ export class AVRConnection {
 	 * @returns {boolean} Whether the command was sent successfully
 	 */
 	changeVolumeAbsolute(value, zone = 0) {
-		const telnet = this.#telnet;
+		const socket = this.#socket;
 		const status = this.status.zones[zone];
 
-		if (!telnet || !status.power) return false;
+		if (!socket || !status?.power) return false;
 
 		try {
-			let command = ["MV", "Z2"][zone];
-			command += value.toString().padStart(2, "0");
+			let command = zones[zone].volume;
+			command += formatLevel(value);
 
-			telnet.write(command + "\r");
-			this.logger.debug(`Sent volume command: ${command}`);
+			// Replaces any relative volume change that is still waiting to be sent
+			this.#enqueue({ command, key: `volume:${zone}`, value });
+			this.logger.debug(`Queued volume command: ${command}`);
 		} catch (error) {
 			this.logger.error(`Error sending volume command: ${error.message}`);
 			return false;
@@ -297,22 +869,23 @@ export class AVRConnection {
 	 * @returns {boolean} Whether the command was sent successfully
 	 */
 	setMute(value, zone = 0) {
-		const telnet = this.#telnet;
+		const socket = this.#socket;
 		const status = this.status.zones[zone];
 
-		if (!telnet || !status.power) return false;
+		if (!socket || !status?.power) return false;
 
 		if (value === undefined) value = !status.muted;
 
-		let command = ["MU", "Z2MU"][zone];
+		let command = zones[zone].mute;
 		command += value ? "ON" : "OFF";
 
-		telnet.write(command + "\r");
+		// A newer mute state replaces one that hasn't been sent yet
+		this.#enqueue({ command, key: `mute:${zone}` });
 		this.logger.debug(`Sent mute command: ${command}`);
 
 		// Refresh the mute status to avoid synchronization issues
 		command = "?";
-		telnet.write(command + "\r");
+		this.#send(command);
 		this.logger.debug(`Sent mute status request: ${command}`);
 
 		return true;
@@ -325,17 +898,18 @@ export class AVRConnection {
 	 * @returns {boolean} Whether the command was sent successfully
 	 */
 	setPower(value, zone = 0) {
-		const telnet = this.#telnet;
+		const socket = this.#socket;
 		const status = this.status.zones[zone];
 
-		if (!telnet) return false;
+		if (!socket || !status) return false;
 
 		if (value === undefined) value = !status.power;
 
-		let command = ["PW", "Z2"][zone];
-		command += value ? "ON" : ["STANDBY", "OFF"][zone];
+		let command = zones[zone].power;
+		command += value ? "ON" : zones[zone].powerOff;
 
-		telnet.write(command + "\r");
+		// A newer power state replaces one that hasn't been sent yet
+		this.#enqueue({ command, key: `power:${zone}` });
 		this.logger.debug(`Sent power command: ${command}`);
 
 		return true;
@@ -348,13 +922,14 @@ export class AVRConnection {
 	 * @returns {boolean} Whether the command was sent successfully
 	 */
 	setSource(value, zone = 0) {
-		const telnet = this.#telnet;
-		if (!telnet || !value) return false;
+		const socket = this.#socket;
+		if (!socket || !value || !zones[zone]) return false;
 
-		let command = ["SI", "Z2"][zone];
+		let command = zones[zone].source;
 		command += value;
 
-		telnet.write(command + "\r");
+		// A newer source replaces one that hasn't been sent yet
+		this.#enqueue({ command, key: `source:${zone}` });
 		this.logger.debug(`Sent source command: ${command}`);
 
 		return true;
@@ -366,13 +941,13 @@ export class AVRConnection {
 	 * @returns {boolean} Whether the command was sent successfully
 	 */
 	setVideoSelectSource(value) {
-		const telnet = this.#telnet;
-		if (!telnet || !value) return false;
+		const socket = this.#socket;
+		if (!socket || !value) return false;
 
 		let command = "SV";
 		command += value;
 
-		telnet.write(command + "\r");
+		this.#send(command);
 		this.logger.debug(`Sent video select source command: ${command}`);
 
 		return true;
@@ -384,49 +959,465 @@ export class AVRConnection {
 	 * @returns {boolean} Whether the command was sent successfully
 	 */
 	setDynamicVolume(value) {
-		const telnet = this.#telnet;
-		if (!telnet) return false;
+		return this.setAudyssey("dynamicVolume", value);
+	}
 
-		let command = "PSDYNVOL ";
+	/**
+	 * Set an Audyssey parameter
+	 * @param {AudysseyParameter} parameter - The Audyssey parameter to set
+	 * @param {string | undefined} value - The new value, one of the parameter's values
+	 * @returns {boolean} Whether the command was sent successfully
+	 */
+	setAudyssey(parameter, value) {
+		const socket = this.#socket;
+		const definition = audysseyParameters[parameter];
+		if (!socket || !definition || !value) return false;
+
+		let command = `PS${definition.command}${definition.separator}`;
 		command += value;
 
-		telnet.write(command + "\r");
-		this.logger.debug(`Sent dynamic volume command: ${command}`);
+		// A newer value replaces one that hasn't been sent yet
+		this.#enqueue({ command, key: `audyssey:${parameter}` });
+		this.logger.debug(`Sent ${definition.name} command: ${command}`);
 
 		return true;
 	}
 
-	/** @typedef {(...args: any[]) => void} EventListener */
-
 	/**
-	 * Subscribe to events from this receiver
-	 * @param {EventListener} listener - The listener function to call when the event is emitted
-	 * @param {string} id - The binding ID for this listener, should be the manifest ID of the action that is listening
+	 * Recall a Quick Select slot, restoring its stored source, volume and sound mode
+	 * @param {number} slot - The slot to recall, from 1 to 5
+	 * @param {number} [zone=0] - The zone to recall the slot for
+	 * @param {QuickSelectKind} [kind="QUICK"] - Whether the receiver calls it Quick Select or Smart Select
+	 * @returns {boolean} Whether the command was sent successfully
 	 */
-	on(listener, id) {
-		const listenerId = `${id}-${listener.name}`;
+	recallQuickSelect(slot, zone = 0, kind = "QUICK") {
+		const socket = this.#socket;
+		if (!socket || !zones[zone] || !Number.isInteger(slot) || slot < 1 || slot > QUICK_SELECT_MAX) return false;
 
-		// Don't add the same listener twice
-		if (this.#listenerIds.includes(listenerId)) {
-			return;
-		}
+		let command = `${zones[zone].quickSelect}${kind}`;
+		command += slot.toString();
 
-		this.#listenerIds.push(listenerId);
+		// A newer recall replaces one that hasn't been sent yet
+		this.#enqueue({ command, key: `quickSelect:${zone}` });
+		this.logger.debug(`Sent quick select command: ${command}`);
 
-		this.#eventEmitter.on("event", listener);
+		// The receiver doesn't always report the newly active slot on its own
+		this.#send(`${zones[zone].quickSelect}${kind} ?`);
+
+		return true;
 	}
 
 	/**
-	 * Emit an event from this receiver
-	 * @param {ReceiverEvent["type"]} type - The type of event to emit
-	 * @param {ReceiverEvent["zone"]} [zone] - The zone that the event occurred on
+	 * Store the current source, volume and sound mode into a Quick Select slot
+	 * @param {number} slot - The slot to store into, from 1 to 5
+	 * @param {number} [zone=0] - The zone to store the slot for
+	 * @param {QuickSelectKind} [kind="QUICK"] - Whether the receiver calls it Quick Select or Smart Select
+	 * @returns {boolean} Whether the command was sent successfully
 	 */
-	emit(type, zone = 0) {
+	memorizeQuickSelect(slot, zone = 0, kind = "QUICK") {
+		const socket = this.#socket;
+		if (!socket || !zones[zone] || !Number.isInteger(slot) || slot < 1 || slot > QUICK_SELECT_MAX) return false;
+
+		let command = `${zones[zone].quickSelect}${kind}`;
+		command += `${slot} MEMORY`;
+
+		this.#send(command);
+		this.logger.debug(`Sent quick select memory command: ${command}`);
+
+		return true;
+	}
+
+	/**
+	 * Ask the receiver for the inputs it uses and the names they were given.
+	 * The answer is reported with a "sourceListChanged" event.
+	 * @returns {boolean} Whether the command was sent successfully
+	 */
+	requestSourceList() {
+		const socket = this.#socket;
+		if (!socket) return false;
+
+		this.#send("SSSOD ?"); // Request the used inputs
+		this.#send("SSFUN ?"); // Request the input names
+
+		return true;
+	}
+
+	/**
+	 * Move the tuner through its presets
+	 * @param {number} steps - The number of presets to move, negative to move down
+	 * @returns {boolean} Whether the command was sent successfully
+	 */
+	changeTunerPreset(steps) {
+		const socket = this.#socket;
+		if (!socket || !steps) return false;
+
+		const command = steps > 0 ? "TPANUP" : "TPANDOWN";
+		this.#sendSteps(command, Math.abs(steps));
+		this.logger.debug(`Sent tuner preset command: ${command} x${Math.abs(steps)}`);
+
+		return true;
+	}
+
+	/**
+	 * Tune to a preset
+	 * @param {number} preset - The preset number, from 1 to 56
+	 * @returns {boolean} Whether the command was sent successfully
+	 */
+	setTunerPreset(preset) {
+		const socket = this.#socket;
+		if (!socket || !Number.isInteger(preset) || preset < 1 || preset > TUNER_PRESET_MAX) return false;
+
+		let command = "TPAN";
+		command += preset.toString().padStart(2, "0");
+
+		// A newer preset replaces one that hasn't been sent yet
+		this.#enqueue({ command, key: "tunerPreset" });
+		this.logger.debug(`Sent tuner preset command: ${command}`);
+
+		return true;
+	}
+
+	/**
+	 * Move the tuner frequency by the receiver's tuning step
+	 * @param {number} steps - The number of steps to move, negative to move down
+	 * @returns {boolean} Whether the command was sent successfully
+	 */
+	changeTunerFrequency(steps) {
+		const socket = this.#socket;
+		if (!socket || !steps) return false;
+
+		const command = steps > 0 ? "TFANUP" : "TFANDOWN";
+		this.#sendSteps(command, Math.abs(steps));
+		this.logger.debug(`Sent tuner frequency command: ${command} x${Math.abs(steps)}`);
+
+		return true;
+	}
+
+	/**
+	 * Queue a step command once per step. Unlike #send, repeated steps aren't merged with each other.
+	 * @param {string} command - The command to send, e.g. "TPANUP"
+	 * @param {number} steps - The number of times to send it
+	 */
+	#sendSteps(command, steps) {
+		for (let i = 0; i < steps; i++) {
+			this.#enqueue({ command, key: `step:${this.#stepCount++}` });
+		}
+	}
+
+	/**
+	 * Queue a command to be sent to the receiver, dropping any exact duplicates still waiting in the queue
+	 * @param {string} command - The command to send
+	 */
+	#send(command) {
+		this.#enqueue({ command, key: command });
+	}
+
+	/**
+	 * Add a command to the outbound queue and start sending if needed.
+	 * A command that has the same key as one already waiting replaces it, and moves to the end of the queue
+	 * so it's still sent after the commands that were queued in between.
+	 * @param {QueuedCommand} entry - The command to queue
+	 */
+	#enqueue(entry) {
+		const index = this.#commandQueue.findIndex((queued) => queued.key === entry.key);
+		if (index >= 0) {
+			this.logger.trace(`Superseded queued command: ${this.#commandQueue[index].command} -> ${entry.command}`);
+			this.#commandQueue.splice(index, 1);
+		}
+		this.#commandQueue.push(entry);
+
+		this.#sendQueue();
+	}
+
+	/**
+	 * Get the value a setting is headed to from a command that is still queued, or sent but not yet confirmed
+	 * @param {string} key - The command key of the setting
+	 * @returns {number | undefined}
+	 */
+	#expectedValue(key) {
+		const pending = this.#commandQueue.find((entry) => entry.key === key);
+		return pending?.value ?? this.#expectedValues.get(key);
+	}
+
+	/**
+	 * Send the queued commands to the receiver, leaving the minimum gap between each
+	 */
+	async #sendQueue() {
+		if (this.#isSendingQueue) return;
+		this.#isSendingQueue = true;
+
+		while (this.#commandQueue.length > 0) {
+			const socket = this.#socket;
+			if (!socket) {
+				this.#commandQueue = [];
+				break;
+			}
+
+			const { command, key, value } = /** @type {QueuedCommand} */ (this.#commandQueue.shift());
+			try {
+				socket.write(command + "\r");
+
+				// Remember where the setting is headed until the receiver confirms it
+				if (value !== undefined) {
+					this.#expectedValues.set(key, value);
+				}
+				this.logger.trace(`Wrote command to receiver at ${this.#host}: ${command}`);
+			} catch (error) {
+				this.logger.error(`Error sending command ${command}: ${error.message}`);
+			}
+
+			await setTimeout(COMMAND_INTERVAL);
+		}
+
+		this.#isSendingQueue = false;
+	}
+
+	/**
+	 * Set the surround mode of the main zone
+	 * @param {string} value - The surround mode to set (e.g. "STEREO")
+	 * @returns {boolean} Whether the command was sent successfully
+	 */
+	setSurroundMode(value) {
+		const socket = this.#socket;
+		if (!socket || !value) return false;
+
+		let command = "MS";
+		command += value;
+
+		// A newer surround mode replaces one that hasn't been sent yet
+		this.#enqueue({ command, key: "surroundMode" });
+		this.logger.debug(`Sent surround mode command: ${command}`);
+
+		return true;
+	}
+
+	/**
+	 * Change a tone parameter by the given delta, enabling tone control if needed
+	 * @param {ToneParameter} parameter - The tone parameter to change
+	 * @param {number} delta - The amount to change the level by, in dB
+	 * @returns {boolean} Whether the command was sent successfully
+	 */
+	changeTone(parameter, delta) {
+		const status = this.status.zones[0];
+
+		// Build on top of a change that is still waiting to be sent or confirmed, if any
+		const currentLevel = this.#expectedValue(`tone:${parameter}`) ?? status[parameter] ?? 0;
+
+		return this.setTone(parameter, currentLevel + delta);
+	}
+
+	/**
+	 * Set a tone parameter to the given level, enabling tone control if needed
+	 * @param {ToneParameter} parameter - The tone parameter to set
+	 * @param {number} value - The new level, in dB
+	 * @returns {boolean} Whether the command was sent successfully
+	 */
+	setTone(parameter, value) {
+		const socket = this.#socket;
+		const status = this.status.zones[0];
+
+		if (!socket || !status.power || !(parameter in toneCommands)) return false;
+
+		// The levels are ignored by the receiver while tone control is off
+		if (status.toneControl === false && !this.#enablingToneControl) {
+			this.#enablingToneControl = true;
+			this.#send("PSTONE CTRL ON");
+			this.logger.debug("Sent tone control command: PSTONE CTRL ON");
+		}
+
+		const level = Math.max(TONE_MIN, Math.min(TONE_MAX, Math.round(value)));
+
+		let command = `PS${toneCommands[parameter]} `;
+		command += (level + 50).toString();
+
+		this.#enqueue({ command, key: `tone:${parameter}`, value: level });
+		this.logger.debug(`Queued tone command: ${command}`);
+
+		return true;
+	}
+
+	/**
+	 * Change the level of a speaker channel by the given delta
+	 * @param {string} channel - The speaker channel to change, e.g. "C"
+	 * @param {number} delta - The amount to change the level by, in dB
+	 * @returns {boolean} Whether the command was sent successfully
+	 */
+	changeChannelLevel(channel, delta) {
+		const status = this.status.zones[0];
+
+		// Build on top of a change that is still waiting to be sent or confirmed, if any
+		const currentLevel = this.#expectedValue(`channel:${channel}`) ?? status.channelLevels?.[channel] ?? 0;
+
+		return this.setChannelLevel(channel, currentLevel + delta);
+	}
+
+	/**
+	 * Set the level of a speaker channel
+	 * @param {string} channel - The speaker channel to set, e.g. "C"
+	 * @param {number} value - The new level, in dB
+	 * @returns {boolean} Whether the command was sent successfully
+	 */
+	setChannelLevel(channel, value) {
+		const socket = this.#socket;
+		const status = this.status.zones[0];
+
+		if (!socket || !status.power || !(channel in channels)) return false;
+
+		// Round to the nearest 0.5 dB step
+		const level = Math.max(CHANNEL_LEVEL_MIN, Math.min(CHANNEL_LEVEL_MAX, Math.round(value * 2) / 2));
+
+		let command = `CV${channel} `;
+		command += formatLevel(level + 50);
+
+		this.#enqueue({ command, key: `channel:${channel}`, value: level });
+		this.logger.debug(`Queued channel level command: ${command}`);
+
+		return true;
+	}
+
+	/** @typedef {(...args: any[]) => void} EventListener */
+
+	/**
+	 * Subscribe to events from this receiver
+	 * @param {EventListener} listener - The listener function to call when the event is emitted
+	 * @param {string} id - The binding ID for this listener, should be the manifest ID of the action that is listening
+	 */
+	on(listener, id) {
+		const listenerId = `${id}-${listener.name}`;
+
+		// Don't add the same listener twice
+		if (this.#listenerIds.includes(listenerId)) {
+			return;
+		}
+
+		this.#listenerIds.push(listenerId);
+
+		this.#eventEmitter.on("event", listener);
+	}
+
+	/**
+	 * Emit an event from this receiver
+	 * @param {ReceiverEvent["type"]} type - The type of event to emit
+	 * @param {ReceiverEvent["zone"]} [zone] - The zone that the event occurred on
+	 * @param {ReceiverEvent["channel"]} [channel] - The speaker channel that changed, for channel level events
+	 */
+	emit(type, zone = 0, channel) {
 		/** @type {ReceiverEvent} */
-		const payload = { type, zone, connection: this };
+		const payload = { type, zone, connection: this, channel };
 		this.#eventEmitter.emit("event", payload);
 	}
 
+	/**
+	 * Move the connection to a new state and inform listeners
+	 * @param {ConnectionStateName} name - The new state
+	 * @param {Partial<ConnectionState>} [details] - Timing details for the new state
+	 */
+	#setState(name, details = {}) {
+		this.#state = {
+			lastConnected: this.#state.lastConnected,
+			lastError: this.#state.lastError,
+			...details,
+			name,
+			since: Date.now(),
+			attempts: this.#reconnectCount
+		};
+
+		this.logger.debug(`Connection to Denon receiver at ${this.#host} is ${name}.`);
+		this.emit("stateChanged");
+	}
+
+	/**
+	 * Start checking that the telnet connection is still alive.
+	 * The HTTP interface doesn't need this, as its polls fail when the receiver goes away.
+	 */
+	#startHeartbeat() {
+		this.#stopHeartbeat();
+		if (this.isHTTP) return;
+
+		const socket = this.#socket;
+		this.#lastDataTime = Date.now();
+
+		this.#heartbeatTimer = setInterval(() => {
+			if (this.#socket !== socket) {
+				this.#stopHeartbeat();
+				return;
+			}
+
+			// Anything the receiver sent recently proves the connection is alive
+			if (Date.now() - this.#lastDataTime < HEARTBEAT_INTERVAL) return;
+
+			const sentAt = Date.now();
+			this.#send("PW?");
+
+			setTimeout(HEARTBEAT_TIMEOUT).then(() => {
+				if (this.#socket !== socket || this.#lastDataTime >= sentAt) return;
+
+				this.logger.warn(`Denon receiver at ${this.#host} didn't answer within ${HEARTBEAT_TIMEOUT / 1000}s, dropping the connection.`);
+				this.#state.lastError = "No answer from the receiver";
+
+				// Closing the socket reconnects like any other lost connection
+				socket?.destroy();
+			});
+		}, HEARTBEAT_INTERVAL);
+	}
+
+	/**
+	 * Stop checking that the connection is still alive
+	 */
+	#stopHeartbeat() {
+		clearInterval(this.#heartbeatTimer);
+		this.#heartbeatTimer = undefined;
+	}
+
+	/**
+	 * While "auto" is using HTTP, keep checking whether telnet is available again and switch back to it when it is.
+	 * The fallback is meant to bridge another tool holding the telnet session, or a receiver that was briefly away.
+	 */
+	#startTelnetRetry() {
+		this.#stopTelnetRetry();
+		if (this.#transport !== "auto" || !this.#usingFallback) return;
+
+		const socket = this.#socket;
+
+		this.#telnetRetryTimer = setInterval(async () => {
+			if (!(await this.#probeTelnet()) || this.#socket !== socket) return;
+
+			this.logger.info(`Telnet to Denon receiver at ${this.#host} is available again, switching back from HTTP.`);
+
+			this.#usingFallback = false;
+			this.#reconnectCount = 0;
+
+			this.reconnect();
+		}, AUTO_TELNET_RETRY_INTERVAL);
+	}
+
+	/**
+	 * Stop checking whether telnet is available again
+	 */
+	#stopTelnetRetry() {
+		clearInterval(this.#telnetRetryTimer);
+		this.#telnetRetryTimer = undefined;
+	}
+
+	/**
+	 * Check whether the receiver accepts a telnet connection, and keeps it open
+	 * @returns {Promise<boolean>}
+	 */
+	async #probeTelnet() {
+		const probe = net.createConnection(23, this.#host);
+
+		let connected = false;
+		let closed = false;
+		probe.on("connect", () => { connected = true; });
+		probe.on("close", () => { closed = true; });
+		probe.on("error", () => {});
+
+		await setTimeout(AUTO_TELNET_PROBE_TIME);
+		probe.destroy();
+
+		return connected && !closed;
+	}
+
 	/**
 	 * Handle connection events
 	 */
@@ -434,10 +1425,14 @@ export class AVRConnection {
 		this.logger.debug(`Telnet connection established to Denon receiver at ${this.#host}`);
 
 		this.#reconnectCount = 0;
-		this.status.statusMsg = "Connected.";
+		this.status.statusMsg = this.isHTTP ? "Connected (HTTP)." : "Connected.";
 
+		this.#setState("connected", { lastConnected: Date.now() });
 		this.emit("connected");
 
+		this.#startHeartbeat();
+		this.#startTelnetRetry();
+
 		this.#requestFullReceiverStatus();
 	}
 
@@ -446,15 +1441,47 @@ export class AVRConnection {
 	 * @param {boolean} [hadError=false] - Whether the connection was closed due to an error.
 	 */
 	#onClose(hadError = false) {
-		(hadError ? this.logger.warn : this.logger.debug)(`Telnet connection to Denon receiver at ${this.#host} closed${hadError ? " due to error" : ""}.`);
+		(hadError ? this.logger.warn : this.logger.debug)(`${this.isHTTP ? "HTTP" : "Telnet"} connection to Denon receiver at ${this.#host} closed${hadError ? " due to error" : ""}.`);
+
+		this.#stopHeartbeat();
+		this.#stopTelnetRetry();
 
 		this.emit("closed");
 
-		// Attempt to reconnect if we haven't given up yet
-		if (this.#telnet && this.#reconnectCount < 10) {
+		// A reconnect attempt already failed, so the receiver may have moved to another address
+		if (this.#socket && this.#reconnectCount > 0) {
+			this.emit("unreachable");
+		}
+
+		// Anything still queued was meant for the closed socket
+		this.#commandQueue = [];
+		this.#expectedValues.clear();
+		this.#enablingToneControl = false;
+
+		// Fall back to HTTP if telnet keeps failing, e.g. because another client holds the only telnet session
+		if (this.#socket && this.#transport === "auto" && !this.#usingFallback && this.#reconnectCount + 1 >= AUTO_FALLBACK_ATTEMPTS) {
+			this.logger.info(`Telnet to Denon receiver at ${this.#host} keeps failing, falling back to HTTP.`);
+			this.#usingFallback = true;
+			this.#reconnectCount = 0;
+		}
+
+		// Keep trying to reconnect, waiting longer after each failed attempt
+		if (this.#socket) {
 			this.#reconnectCount++;
 
-			setTimeout(1000).then(() => {
+			const delay = getReconnectDelay(this.#reconnectCount);
+			this.#setState("backingOff", { retryAt: Date.now() + delay });
+
+			if (this.#reconnectCount > 1) {
+				this.status.statusMsg = `Not connected, retrying in ${Math.round(delay / 1000)}s...`;
+				this.emit("status");
+			}
+
+			const socket = this.#socket;
+			setTimeout(delay).then(() => {
+				// Don't reconnect if the connection was replaced while waiting, e.g. after moving to a new address
+				if (this.#socket !== socket) return;
+
 				this.logger.debug(`Trying to reconnect to Denon receiver at ${this.#host}. Attempt ${this.#reconnectCount}`);
 				this.connect();
 			});
@@ -466,32 +1493,42 @@ export class AVRConnection {
 	 * @param {Buffer | string} data
 	 */
 	#onData(data) {
+		this.#lastDataTime = Date.now();
+
 		let lines = data.toString().split("\r");
 		for (let line of lines) {
 			if (line.length === 0) continue;
 
+			this.#multiplexer?.broadcast(line);
+
 			let command = "";
 			let parameter = "";
 			let zone = 0;
 
-			if (line.startsWith("Z2")) {
-				// Zone 2 status messages start with "Z2"
-				zone = 1;
-				line = line.substring(2); // Remove the "Z2" prefix
+			const zoneIndex = zones.findIndex((z) => z.prefix && line.startsWith(z.prefix));
+
+			if (zoneIndex > 0) {
+				// Secondary zone status messages start with the zone prefix, e.g. "Z2"
+				zone = zoneIndex;
+				line = line.substring(zones[zone].prefix.length); // Remove the zone prefix
 
-				// Special parsing for zone 2 due to a lack of "command" portion
-				if (parseInt(line.substring(0, 2)) > 0) {
-					// Volume
+				// Special parsing for secondary zones due to a lack of "command" portion
+				if (/^\d{2}/.test(line)) {
+					// Volume, the whole remainder is the value (e.g. "Z250" or "Z2455")
 					command = "MV";
-					parameter = line.substring(2);
+					parameter = line;
 				} else if (line.startsWith("ON") || line.startsWith("OFF")) {
 					// Power
 					command = "PW";
 					parameter = line;
-				} else if (line in sources) {
-					// Source
+				} else if (this.#isSource(line)) {
+					// Source, including "SOURCE" when the zone follows the main zone
 					command = "SI";
 					parameter = line;
+				} else if (line.startsWith("QUICK") || line.startsWith("SMART")) {
+					// Quick select, handled like the main zone's "MSQUICK"
+					command = "MS";
+					parameter = line;
 				} else {
 					// Resume default parsing
 					command = line.substring(0, 2);
@@ -501,14 +1538,19 @@ export class AVRConnection {
 				// Unclear what this meta-command stands for
 				line = line.substring(2);  // Remove the "PS" prefix
 
-				// These commands are all space-delimited from their values
-				[command, parameter] = line.split(" ");
+				// These commands are space-delimited (or colon-delimited) from their values, which may contain spaces themselves
+				// Ex: "DYNVOL HEV", "TONE CTRL ON", "MULTEQ:AUDYSSEY"
+				const separatorIndex = line.search(/[ :]/);
+				command = separatorIndex < 0 ? line : line.substring(0, separatorIndex);
+				parameter = separatorIndex < 0 ? "" : line.substring(separatorIndex + 1);
 			} else {
 				// Default parsing
 				command = line.substring(0, 2);
 				parameter = line.substring(2);
 			}
 
+			this.#onZonePresent(zone);
+
 			switch (command) {
 				case "PW": // Power
 					this.#onPowerChanged(parameter, zone);
@@ -523,15 +1565,76 @@ export class AVRConnection {
 					this.#onSourceChanged(parameter, zone);
 					break;
 				case "DYNVOL": // Dynamic volume
-					this.#onDynamicVolumeChanged(parameter);
+					this.#onAudysseyChanged("dynamicVolume", parameter);
+					break;
+				case "MULTEQ": // Audyssey MultEQ
+					this.#onAudysseyChanged("multEQ", parameter);
+					break;
+				case "DYNEQ": // Audyssey Dynamic EQ
+					this.#onAudysseyChanged("dynamicEQ", parameter);
+					break;
+				case "REFLEV": // Audyssey reference level offset
+					this.#onAudysseyChanged("referenceLevelOffset", parameter);
+					break;
+				case "BAS": // Bass
+					this.#onToneChanged("bass", parameter);
+					break;
+				case "TRE": // Treble
+					this.#onToneChanged("treble", parameter);
+					break;
+				case "TONE": // Tone control
+					this.#onToneControlChanged(parameter);
+					break;
+				case "MS": // Surround mode or quick select
+					if (parameter.startsWith("QUICK") || parameter.startsWith("SMART")) {
+						this.#onQuickSelectChanged(parameter, zone);
+					} else {
+						this.#onSurroundModeChanged(parameter);
+					}
+					break;
+				case "CV": // Channel level
+					this.#onChannelLevelChanged(parameter);
+					break;
+				case "SS": // System setup
+					this.#onSetupChanged(parameter);
+					break;
+				case "TF": // Tuner frequency or station name
+					this.#onTunerFrequencyChanged(parameter);
+					break;
+				case "TP": // Tuner preset
+					this.#onTunerPresetChanged(parameter);
+					break;
+				case "TM": // Tuner band or tuning mode
+					this.#onTunerModeChanged(parameter);
 					break;
 				default:
-					this.logger.warn(`Unhandled message from receiver at ${this.#host} Z${zone === 0 ? "M" : "2"}: ${line}`);
+					this.logger.warn(`Unhandled message from receiver at ${this.#host} ${zones[zone].label}: ${line}`);
 					break;
 			}
 		}
 	}
 
+	/**
+	 * Check whether a secondary zone message is a source, either a standard one or one the receiver reported
+	 * @param {string} line - The message, without the zone prefix
+	 * @returns {boolean}
+	 */
+	#isSource(line) {
+		return line === "SOURCE" || line in sources || line in (this.status.sources || {});
+	}
+
+	/**
+	 * Mark a zone as present on the receiver, since it has reported its status
+	 * @param {number} zone - The zone that sent a message
+	 */
+	#onZonePresent(zone) {
+		const status = this.status.zones[zone];
+		if (status.present) return;
+
+		status.present = true;
+		this.logger.debug(`Detected zone ${zones[zone].label} on receiver at ${this.#host}`);
+	}
+
 	/**
 	 * Handle a power changed message from the receiver
 	 * @param {string} parameter - The parameter from the receiver
@@ -540,13 +1643,13 @@ export class AVRConnection {
 	#onPowerChanged(parameter, zone = 0) {
 		const status = this.status.zones[zone];
 
-		// The receiver will send "ON" or "STANDBY" in zone 1, and "ON" or "OFF" in zone 2
+		// The receiver will send "ON" or "STANDBY" in the main zone, and "ON" or "OFF" in the other zones
 		// It also repeats the power status at a regular interval, so we don't need to emit an event for every message
 		const newStatus = parameter === "ON";
 		if (newStatus === status.power) return;
 
 		status.power = newStatus;
-		this.logger.debug(`Updated receiver power status for ${this.#host} Z${zone === 0 ? "M" : "2"}: ${status.power}`);
+		this.logger.debug(`Updated receiver power status for ${this.#host} ${zones[zone].label}: ${status.power}`);
 
 		this.emit("powerChanged", zone);
 
@@ -576,7 +1679,7 @@ export class AVRConnection {
 			}
 
 			status.maxVolume = newMaxVolume;
-			this.logger.debug(`Updated receiver max volume for ${this.#host} Z${zone === 0 ? "M" : "2"}: ${status.maxVolume}`);
+			this.logger.debug(`Updated receiver max volume for ${this.#host} ${zones[zone].label}: ${status.maxVolume}`);
 
 			// this.emit("maxVolumeChanged");
 		} else {
@@ -587,7 +1690,8 @@ export class AVRConnection {
 
 			status.volume = newVolume;
 			status.muted = false; // Implied by the volume changing
-			this.logger.debug(`Updated receiver volume for ${this.#host} Z${zone === 0 ? "M" : "2"}: ${status.volume}`);
+			this.#expectedValues.delete(`volume:${zone}`);
+			this.logger.debug(`Updated receiver volume for ${this.#host} ${zones[zone].label}: ${status.volume}`);
 
 			this.emit("volumeChanged", zone);
 		}
@@ -602,7 +1706,7 @@ export class AVRConnection {
 		const status = this.status.zones[zone];
 
 		status.muted = parameter == "ON";
-		this.logger.debug(`Updated receiver mute status for ${this.#host} Z${zone === 0 ? "M" : "2"}: ${status.muted}`);
+		this.logger.debug(`Updated receiver mute status for ${this.#host} ${zones[zone].label}: ${status.muted}`);
 
 		this.emit("muteChanged", zone);
 	}
@@ -615,28 +1719,309 @@ export class AVRConnection {
 	#onSourceChanged(parameter, zone = 0) {
 		const status = this.status.zones[zone];
 
+		// The receiver repeats the source along with other status messages
+		if (parameter === status.source) return;
+
 		status.source = parameter;
-		this.logger.debug(`Updated receiver source for ${this.#host} Z${zone === 0 ? "M" : "2"}: ${status.source}`);
+		this.logger.debug(`Updated receiver source for ${this.#host} ${zones[zone].label}: ${status.source}`);
 
 		this.emit("sourceChanged", zone);
 	}
 
 	/**
-	 * Handle a dynamic volume changed message from the receiver
+	 * Handle an Audyssey parameter changed message from the receiver
+	 * @param {AudysseyParameter} audysseyParameter - The Audyssey parameter that changed
 	 * @param {string} parameter - The parameter from the receiver
 	 */
-	#onDynamicVolumeChanged(parameter) {
-		if (!["HEV", "MED", "LIT", "OFF"].includes(parameter)) {
-			this.logger.warn(`Invalid dynamic volume value received from receiver at ${this.#host}: ${parameter}`);
+	#onAudysseyChanged(audysseyParameter, parameter) {
+		const definition = audysseyParameters[audysseyParameter];
+
+		if (!definition.values.includes(parameter)) {
+			this.logger.warn(`Invalid ${definition.name} value received from receiver at ${this.#host}: ${parameter}`);
 			return;
 		}
 
-		const status = this.status;
+		const status = this.status.zones[0];
 
-		status.zones[0].dynamicVolume = /** @type {DynamicVolume} */ (parameter);
-		this.logger.debug(`Updated receiver dynamic volume status for ${this.#host}: ${status.zones[0].dynamicVolume}`);
+		Object.assign(status, { [audysseyParameter]: parameter });
+		this.logger.debug(`Updated receiver ${definition.name} status for ${this.#host}: ${status[audysseyParameter]}`);
 
-		this.emit("dynamicVolumeChanged");
+		this.emit(definition.event);
+	}
+
+	/**
+	 * Handle a bass or treble changed message from the receiver
+	 * @param {ToneParameter} toneParameter - The tone parameter that changed
+	 * @param {string} parameter - The parameter from the receiver
+	 */
+	#onToneChanged(toneParameter, parameter) {
+		const level = parseInt(parameter);
+		if (isNaN(level)) {
+			this.logger.warn(`Invalid ${toneParameter} value received from receiver at ${this.#host}: ${parameter}`);
+			return;
+		}
+
+		const status = this.status.zones[0];
+
+		status[toneParameter] = level - 50;
+		this.#expectedValues.delete(`tone:${toneParameter}`);
+		this.logger.debug(`Updated receiver ${toneParameter} for ${this.#host}: ${status[toneParameter]}`);
+
+		this.emit("toneChanged");
+	}
+
+	/**
+	 * Handle a tone control changed message from the receiver
+	 * @param {string} parameter - The parameter from the receiver, e.g. "CTRL ON"
+	 */
+	#onToneControlChanged(parameter) {
+		if (!["CTRL ON", "CTRL OFF"].includes(parameter)) {
+			this.logger.warn(`Invalid tone control value received from receiver at ${this.#host}: ${parameter}`);
+			return;
+		}
+
+		const status = this.status.zones[0];
+
+		status.toneControl = parameter === "CTRL ON";
+		this.#enablingToneControl = false;
+		this.logger.debug(`Updated receiver tone control status for ${this.#host}: ${status.toneControl}`);
+
+		this.emit("toneChanged");
+	}
+
+	/**
+	 * Handle a channel level changed message from the receiver
+	 * @param {string} parameter - The parameter from the receiver, e.g. "C 525"
+	 */
+	#onChannelLevelChanged(parameter) {
+		// The receiver ends the list of channel levels with "CVEND"
+		if (parameter === "END") return;
+
+		const [channel, valueStr] = parameter.split(" ");
+		let value = parseInt(valueStr);
+		if (!channel || isNaN(value)) {
+			this.logger.warn(`Invalid channel level received from receiver at ${this.#host}: ${parameter}`);
+			return;
+		}
+
+		if (valueStr.length === 3) {
+			value = value / 10;
+		}
+
+		const status = this.status.zones[0];
+		status.channelLevels = status.channelLevels || {};
+
+		const level = value - 50;
+		this.#expectedValues.delete(`channel:${channel}`);
+		if (status.channelLevels[channel] === level) return;
+
+		status.channelLevels[channel] = level;
+		this.logger.debug(`Updated receiver channel level for ${this.#host} ${channel}: ${level}`);
+
+		this.emit("channelLevelChanged", 0, channel);
+	}
+
+	/**
+	 * Handle a surround mode changed message from the receiver
+	 * @param {string} parameter - The parameter from the receiver
+	 */
+	#onSurroundModeChanged(parameter) {
+		const status = this.status.zones[0];
+
+		// The receiver pads some modes with trailing spaces
+		const newMode = parameter.trim();
+		if (!newMode || newMode === status.surroundMode) return;
+
+		status.surroundMode = newMode;
+		this.logger.debug(`Updated receiver surround mode for ${this.#host}: ${status.surroundMode}`);
+
+		this.emit("surroundModeChanged");
+	}
+
+	/**
+	 * Handle a system setup message from the receiver, only the input setup is of interest
+	 * @param {string} parameter - The parameter from the receiver, e.g. "SODCD USE", "FUNSAT/CBL Cable Box" or "FUN END"
+	 */
+	#onSetupChanged(parameter) {
+		const kind = parameter.startsWith("SOD") ? "used"
+			: parameter.startsWith("FUN") ? "names"
+			: undefined;
+		if (!kind) return;
+
+		const value = parameter.substring(3);
+
+		// The end of the list, e.g. "SSSOD END"
+		if (value.trim() === "END") {
+			this.#receivingSources[kind] = false;
+			this.#onSourceListChanged();
+			return;
+		}
+
+		// Input IDs don't contain spaces, but names can, e.g. "SAT/CBL Cable Box"
+		const separatorIndex = value.indexOf(" ");
+		if (separatorIndex < 0) {
+			this.logger.warn(`Invalid input setup received from receiver at ${this.#host}: ${parameter}`);
+			return;
+		}
+
+		const source = value.substring(0, separatorIndex);
+		const setting = value.substring(separatorIndex + 1).trim();
+
+		// Start over at the beginning of each list, so removed inputs don't linger
+		if (!this.#receivingSources[kind]) {
+			this.#receivingSources[kind] = true;
+			if (kind === "used") {
+				this.#usedSources = [];
+			} else {
+				this.#sourceNames = {};
+			}
+		}
+
+		if (kind === "used") {
+			if (setting === "USE") {
+				this.#usedSources?.push(source);
+			}
+		} else if (setting) {
+			this.#sourceNames[source] = setting;
+		}
+	}
+
+	/**
+	 * Update the list of inputs once the receiver has finished listing them
+	 */
+	#onSourceListChanged() {
+		// Older models don't report which inputs are used, so fall back to the named ones
+		const used = this.#usedSources ?? Object.keys(this.#sourceNames);
+		if (used.length === 0) return;
+
+		this.status.sources = Object.fromEntries(used.map((source) => [
+			source,
+			this.#sourceNames[source] || sources[source] || source
+		]));
+		this.logger.debug(`Updated receiver input list for ${this.#host}: ${Object.keys(this.status.sources).join(", ")}`);
+
+		this.emit("sourceListChanged");
+	}
+
+	/**
+	 * Handle a quick select message from the receiver
+	 * @param {string} parameter - The parameter from the receiver, e.g. "QUICK1", "SMART0" or "QUICK2 MEMORY"
+	 * @param {number} [zone=0] - The zone that the quick select status changed for
+	 */
+	#onQuickSelectChanged(parameter, zone = 0) {
+		const match = parameter.match(/^(?:QUICK|SMART)(\d)( MEMORY)?/);
+		if (!match) {
+			this.logger.warn(`Invalid quick select value received from receiver at ${this.#host}: ${parameter}`);
+			return;
+		}
+
+		// Storing into a slot doesn't change which slot is active
+		if (match[2]) return;
+
+		const status = this.status.zones[zone];
+
+		// "0" means no slot is active, e.g. after changing the source by hand
+		const slot = parseInt(match[1]) || undefined;
+		if (slot === status.quickSelect) return;
+
+		status.quickSelect = slot;
+		this.logger.debug(`Updated receiver quick select for ${this.#host} ${zones[zone].label}: ${status.quickSelect}`);
+
+		this.emit("quickSelectChanged", zone);
+	}
+
+	/**
+	 * Handle a tuner frequency or station name message from the receiver
+	 * @param {string} parameter - The parameter from the receiver, e.g. "AN010570" or "ANNAME<station name>"
+	 */
+	#onTunerFrequencyChanged(parameter) {
+		if (!parameter.startsWith("AN")) return;
+
+		const tuner = this.#tunerStatus();
+		const value = parameter.substring(2);
+
+		if (value.startsWith("NAME")) {
+			// RDS station name, padded with spaces by the receiver
+			const stationName = value.substring(4).trim() || undefined;
+			if (stationName === tuner.stationName) return;
+
+			tuner.stationName = stationName;
+			this.logger.debug(`Updated receiver tuner station name for ${this.#host}: ${tuner.stationName}`);
+		} else {
+			const hundredths = parseInt(value);
+			if (!/^\d{6}$/.test(value) || isNaN(hundredths)) {
+				this.logger.warn(`Invalid tuner frequency received from receiver at ${this.#host}: ${parameter}`);
+				return;
+			}
+
+			const band = hundredths >= TUNER_AM_THRESHOLD ? "AM" : "FM";
+			const frequency = hundredths / 100;
+			if (band === tuner.band && frequency === tuner.frequency) return;
+
+			tuner.band = band;
+			tuner.frequency = frequency;
+
+			// The station name belonged to the previous frequency, ask for the new one
+			tuner.stationName = undefined;
+			this.#send("TFANNAME?");
+			this.logger.debug(`Updated receiver tuner frequency for ${this.#host}: ${band} ${frequency}`);
+		}
+
+		this.emit("tunerChanged");
+	}
+
+	/**
+	 * Handle a tuner preset message from the receiver
+	 * @param {string} parameter - The parameter from the receiver, e.g. "AN01", or "ANOFF" when not on a preset
+	 */
+	#onTunerPresetChanged(parameter) {
+		if (!parameter.startsWith("AN")) return;
+
+		const tuner = this.#tunerStatus();
+		const value = parameter.substring(2);
+
+		// Only the two digit form is the current preset, longer forms are preset names or memory replies
+		const preset = /^\d{2}$/.test(value) ? parseInt(value) : undefined;
+		if (preset === undefined && value !== "OFF") return;
+		if (preset === tuner.preset) return;
+
+		tuner.preset = preset;
+		this.logger.debug(`Updated receiver tuner preset for ${this.#host}: ${tuner.preset}`);
+
+		this.emit("tunerChanged");
+	}
+
+	/**
+	 * Handle a tuner band or tuning mode message from the receiver
+	 * @param {string} parameter - The parameter from the receiver, e.g. "ANAUTO" or "ANFM"
+	 */
+	#onTunerModeChanged(parameter) {
+		if (!parameter.startsWith("AN")) return;
+
+		const tuner = this.#tunerStatus();
+		const value = parameter.substring(2);
+
+		if (value === "FM" || value === "AM") {
+			if (value === tuner.band) return;
+			tuner.band = value;
+		} else {
+			if (value === tuner.mode) return;
+			tuner.mode = value;
+		}
+
+		this.logger.debug(`Updated receiver tuner mode for ${this.#host}: ${value}`);
+
+		this.emit("tunerChanged");
+	}
+
+	/**
+	 * Get the tuner status of the main zone, creating it the first time the tuner reports in
+	 * @returns {TunerStatus}
+	 */
+	#tunerStatus() {
+		const status = this.status.zones[0];
+		status.tuner = status.tuner || {};
+		return status.tuner;
 	}
 
 	/**
@@ -646,13 +2031,11 @@ export class AVRConnection {
 	#onError(error) {
 		const status = this.status;
 
-		if (error.code === "ENOTFOUND") {
-			// If the host can't be looked up, give up.
-			status.statusMsg = `Host not found: ${this.#host}`;
-			this.disconnect();
-		} else {
-			status.statusMsg = `Connection error: ${error.message} (${error.code})`;
-		}
+		// A hostname that doesn't resolve may only be a short DNS outage, so keep retrying like for any other error
+		status.statusMsg = error.code === "ENOTFOUND"
+			? `Host not found: ${this.#host}`
+			: `Connection error: ${error.message} (${error.code})`;
+		this.#state.lastError = status.statusMsg;
 
 		this.logger.warn(status.statusMsg);
 		this.emit("status");
@@ -663,18 +2046,44 @@ export class AVRConnection {
 	 * Usually only needed when the connection is first established
 	 */
 	#requestFullReceiverStatus() {
-		const telnet = this.#telnet;
-		if (!telnet) return;
-
-		// Main zone
-		telnet.write("PW?\r"); // Request the power status
-		telnet.write("MV?\r"); // Request the volume
-		telnet.write("MU?\r"); // Request the mute status
-		telnet.write("PSDYNVOL ?\r"); // Request the dynamic volume status
+		const socket = this.#socket;
+		if (!socket) return;
+
+		// Every zone, the receiver won't answer for zones it doesn't have
+		for (const { prefix, source, quickSelect } of zones) {
+			this.#send(`${prefix}PW?`); // Request the power status
+			this.#send(`${prefix}MV?`); // Request the volume
+			this.#send(`${prefix}MU?`); // Request the mute status
+			this.#send(`${source}?`); // Request the source
+			this.#send(`${quickSelect}QUICK ?`); // Request the active quick select slot (Denon)
+			this.#send(`${quickSelect}SMART ?`); // Request the active smart select slot (Marantz)
+		}
 
-		// Zone 2
-		telnet.write("Z2PW?\r"); // Request the power status
-		telnet.write("Z2MV?\r"); // Request the volume
-		telnet.write("Z2MU?\r"); // Request the mute status
+		// Main zone only
+		this.#send("PSDYNVOL ?"); // Request the dynamic volume status
+		this.#send("PSMULTEQ: ?"); // Request the MultEQ mode
+		this.#send("PSDYNEQ ?"); // Request the Dynamic EQ status
+		this.#send("PSREFLEV ?"); // Request the reference level offset
+		this.#send("MS?"); // Request the surround mode
+		this.#send("PSTONE CTRL ?"); // Request the tone control status
+		this.#send("PSBAS ?"); // Request the bass level
+		this.#send("PSTRE ?"); // Request the treble level
+		this.#send("CV?"); // Request the channel levels
+		this.#send("TFAN?"); // Request the tuner frequency
+		this.#send("TPAN?"); // Request the tuner preset
+		this.#send("TMAN?"); // Request the tuner band and tuning mode
+		this.#send("TFANNAME?"); // Request the tuner station name
+		this.requestSourceList(); // Request the used inputs and their names
 	}
+}
+
+/**
+ * Format a level the way the receiver expects it, e.g. 52 -> "52" and 52.5 -> "525"
+ * @param {number} value - The level, in 0.5 steps
+ * @returns {string}
+ */
+function formatLevel(value) {
+	return Number.isInteger(value)
+		? value.toString().padStart(2, "0")
+		: Math.round(value * 10).toString().padStart(3, "0");
 }
\ No newline at end of file
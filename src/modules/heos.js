@@ -1,118 +1,1189 @@
+import dns from "dns";
 import net from "net";
+import { EventEmitter } from "events";
 import { setTimeout } from "timers/promises";
 import { TelnetSocket } from "telnet-stream";
 import streamDeck from "@elgato/streamdeck";
 
+import { getReconnectDelay } from "./connection";
+
+/** @typedef {import("@elgato/streamdeck").Logger} Logger */
+/** @typedef {import("@elgato/streamdeck").Action} Action */
+
+/** @typedef {import("../plugin").PluginContext} PluginContext */
+/** @typedef {import("./connection").ConnectionState} ConnectionState */
+/** @typedef {import("./connection").ConnectionStateName} ConnectionStateName */
+
 const HEOS_PORT = 1255;
 
+/** How long to wait for the answer to a HEOS command, in milliseconds */
+const HEOS_REQUEST_TIMEOUT = 5000;
+
+/** The highest volume level of a HEOS player */
+export const HEOS_MAX_VOLUME = 100;
+
+/** The music source IDs of the HEOS account's playlists and favorites */
+export const HEOS_PLAYLISTS_SID = 1025;
+export const HEOS_FAVORITES_SID = 1028;
+
+/** The browse/add_to_queue option that replaces the queue and starts playing */
+const ADD_TO_QUEUE_REPLACE_AND_PLAY = 4;
+
+/** 
+ * Structure of a HEOS command response
+ * @typedef {Object} HEOSResponse
+ * @property {Object} heos - The HEOS command response object
+ * @property {string} heos.command - The command that was sent
+ * @property {string} heos.result - The result of the command
+ * @property {string} heos.message - The message from the command
+ * @property {any} payload - The payload from the command (an array of players for get_players)
+ */
+
+/**
+ * A command waiting for its response
+ * @typedef {Object} HEOSPendingRequest
+ * @property {(response: HEOSResponse) => void} resolve - Called with the response
+ * @property {(error: Error) => void} reject - Called when the command fails or isn't answered
+ * @property {NodeJS.Timeout} timer - Rejects the request once it has waited too long
+ */
+
+/** 
+ * @typedef {Object} HEOSPlayer
+ * @property {string} name - The name of the player
+ * @property {number} pid - The player ID
+ * @property {string} model - The model of the player
+ * @property {string} version - The version of the player
+ * @property {string} ip - The IP address of the player
+ * @property {string} network - The network type of the player
+ * @property {number} lineout - The lineout number of the player
+ * @property {string} serial - The serial number of the player
+ */
+
+/**
+ * What the player is playing, as reported by player/get_now_playing_media
+ * @typedef {Object} HEOSNowPlaying
+ * @property {"song" | "station"} [type] - Whether a song or a radio station is playing
+ * @property {string} [song] - The title of the song
+ * @property {string} [album] - The album of the song
+ * @property {string} [artist] - The artist of the song
+ * @property {string} [station] - The name of the station, for stations
+ * @property {string} [image_url] - The URL of the album art, empty if there is none
+ * @property {number} [sid] - The ID of the music source
+ */
+
+/**
+ * A music source, as reported by browse/get_music_sources
+ * @typedef {Object} HEOSMusicSource
+ * @property {string} name - The name of the source
+ * @property {string} image_url - The URL of the source's logo
+ * @property {string} type - The type of source, e.g. "music_service" or "heos_service"
+ * @property {number} sid - The source ID
+ * @property {"true" | "false"} available - Whether the source can be used
+ */
+
+/**
+ * A container (e.g. a playlist) or a piece of media (e.g. a station), as reported by browse/browse
+ * @typedef {Object} HEOSMediaItem
+ * @property {string} name - The name of the item
+ * @property {"yes" | "no"} container - Whether the item contains other items
+ * @property {"yes" | "no"} playable - Whether the item can be played
+ * @property {string} type - The type of item, e.g. "station" or "playlist"
+ * @property {string} [image_url] - The URL of the item's image
+ * @property {string} [cid] - The container ID, for containers
+ * @property {string} [mid] - The media ID, for media
+ */
+
+/**
+ * A player in a HEOS group
+ * @typedef {Object} HEOSGroupPlayer
+ * @property {string} name - The name of the player
+ * @property {number} pid - The player ID
+ * @property {"leader" | "member"} role - Whether the player leads the group
+ */
+
+/**
+ * A group of players, as reported by group/get_groups
+ * @typedef {Object} HEOSGroup
+ * @property {string} name - The name of the group
+ * @property {number} gid - The group ID, the same as the leader's player ID
+ * @property {HEOSGroupPlayer[]} players - The players in the group
+ */
+
+/** @typedef {"play" | "pause" | "stop"} HEOSPlayState */
+/** @typedef {"on_all" | "on_one" | "off"} HEOSRepeatMode */
+/** @typedef {"on" | "off"} HEOSShuffleMode */
+
+/**
+ * @typedef {Object} HEOSPlayMode
+ * @property {HEOSRepeatMode} [repeat] - Whether the queue or the current song repeats
+ * @property {HEOSShuffleMode} [shuffle] - Whether the queue is shuffled
+ */
+
+/**
+ * @typedef {"connected" | "closed" | "stateChanged" | "playerFound" | "playersChanged" | "groupsChanged" | "volumeChanged" | "nowPlayingChanged" | "playStateChanged" | "playModeChanged"} HEOSEventType
+ */
+
+/**
+ * @typedef {Object} HEOSEvent
+ * @property {HEOSEventType} type - The type of event.
+ * @property {HEOSConnection} connection - The HEOS connection.
+ * @property {Action[]} [actions] - The actions to inform of the event.
+ */
+
 /**
  * Use the HEOS Telnet API to request the name of the receiver
  * @param {string} host - The host address of the receiver
  * @returns {Promise<string | undefined>} A promise that resolves to the name of the receiver, or undefined if not found
  */
 export async function getNameFromHostByTelnet(host) {
-    streamDeck.logger.debug(`Opening HEOS CLI connection to ${host} to request the receiver name.`);
+    const [players, address] = await Promise.all([getPlayersFromHostByTelnet(host), resolveAddress(host)]);
 
-    /** 
-     * Structure of a HEOS command response
-     * @typedef {Object} HEOSResponse
-     * @property {Object} heos - The HEOS command response object
-     * @property {string} heos.command - The command that was sent
-     * @property {string} heos.result - The result of the command
-     * @property {string} heos.message - The message from the command
-     * @property {HEOSPlayer[]} payload - The payload from the command (an array of players for get_players)
-     */
+    // Locate the player with a matching IP address
+    const player = players?.find((player) => {
+        return player.ip == address;
+    });
 
-    /** 
-     * @typedef {Object} HEOSPlayer
-     * @property {string} name - The name of the player
-     * @property {number} pid - The player ID
-     * @property {string} model - The model of the player
-     * @property {string} version - The version of the player
-     * @property {string} ip - The IP address of the player
-     * @property {string} network - The network type of the player
-     * @property {number} lineout - The lineout number of the player
-     * @property {string} serial - The serial number of the player
-     */
+    streamDeck.logger.debug(`Received player name from HEOS receiver at ${host}: ${player?.name}`);
 
-    let name;
-    const ac = new AbortController();
+    return player?.name;
+}
+
+/**
+ * Look up the IP address of a host, since HEOS reports players by IP address
+ * @param {string} host - The IP address or hostname of the receiver
+ * @returns {Promise<string>} The IP address, or the host itself if it can't be looked up
+ */
+async function resolveAddress(host) {
+    if (net.isIP(host)) return host;
+
+    try {
+        return (await dns.promises.lookup(host, { family: 4 })).address;
+    } catch (error) {
+        streamDeck.logger.debug(`Couldn't resolve ${host}: ${error.message}`);
+        return host;
+    }
+}
+
+/**
+ * Use the HEOS Telnet API to request every HEOS player on the network, as seen by the receiver.
+ * Goes through the persistent HEOS connection to the receiver if there is one, or opens a connection just for the request.
+ * @param {string} host - The host address of the receiver
+ * @returns {Promise<HEOSPlayer[] | undefined>} A promise that resolves to the players, or undefined if the receiver didn't answer
+ */
+export async function getPlayersFromHostByTelnet(host) {
+    const connection = [...heosConnections].find((connection) => connection.connected && connection.host === host);
+    if (connection) {
+        try {
+            const response = await connection.request("player/get_players");
+            return response.payload || [];
+        } catch (error) {
+            streamDeck.logger.warn(`Couldn't get the HEOS players through the connection to ${host}: ${error.message}`);
+        }
+    }
+
+    streamDeck.logger.debug(`Opening HEOS CLI connection to ${host} to request the player list.`);
 
     // Set up a telnet connection to the receiver on port 1255
     const socket = net.createConnection(HEOS_PORT, host);
     const telnet = new TelnetSocket(socket);
-    if (!telnet) return;
 
     // Ignore standard telnet negotiation
     telnet.on("do", (option) => telnet.writeWont(option));
     telnet.on("will", (option) => telnet.writeDont(option));
 
-    telnet.on('connect', async () => {
-        streamDeck.logger.debug(`Connected to HEOS receiver at ${host}, requesting the player list.`);
-        // Send request for 'get_players'
-        telnet.write("heos://player/get_players\r\n");
+    /** @type {HEOSPlayer[] | undefined} */
+    const players = await new Promise((resolve) => {
+        const timer = globalThis.setTimeout(() => {
+            streamDeck.logger.warn(`Timeout waiting for HEOS response from ${host}.`);
+            resolve(undefined);
+        }, HEOS_REQUEST_TIMEOUT);
+
+        /** @param {HEOSPlayer[] | undefined} players */
+        const finish = (players) => {
+            clearTimeout(timer);
+            resolve(players);
+        };
+
+        telnet.on("connect", () => {
+            streamDeck.logger.debug(`Connected to HEOS receiver at ${host}, requesting the player list.`);
+            telnet.write("heos://player/get_players\r\n");
+        });
+
+        // Large player lists can be split over several chunks, only parse complete lines
+        let buffer = "";
+        telnet.on("data", (data) => {
+            streamDeck.logger.trace(`Received data from HEOS receiver at ${host}:\n${data}`);
+
+            const lines = (buffer + data.toString()).split("\r\n");
+            buffer = lines.pop() || "";
+
+            for (const line of lines) {
+                if (line.length === 0) continue;
+
+                /** @type {HEOSResponse} */
+                let response;
+                try {
+                    response = JSON.parse(line);
+                } catch (e) {
+                    // Ignore malformed responses
+                    streamDeck.logger.warn(`Error parsing HEOS response from HEOS receiver at ${host}: ${line}`);
+                    continue;
+                }
+
+                // Keep waiting if this wasn't the player list, e.g. a change event
+                if (response.heos?.command !== "player/get_players") continue;
+
+                if (response.heos.result !== "success") {
+                    streamDeck.logger.warn(`HEOS receiver at ${host} couldn't list the players: ${response.heos.message}`);
+                    finish(undefined);
+                    return;
+                }
+
+                streamDeck.logger.debug(`Received ${response.payload?.length ?? 0} players from HEOS receiver at ${host}`);
+                finish(response.payload || []);
+                return;
+            }
+        });
+
+        telnet.on("error", (error) => {
+            streamDeck.logger.error(`Error opening HEOS connection to ${host}: ${error}`);
+            finish(undefined);
+        });
+
+        telnet.on("close", () => {
+            streamDeck.logger.debug(`HEOS connection to ${host} closed.`);
+            finish(undefined);
+        });
     });
 
-    telnet.on('data', (data) => {
-        streamDeck.logger.trace(`Received data from HEOS receiver at ${host}:\n${data}`);
+    streamDeck.logger.debug(`Closing HEOS connection to ${host}.`);
+    telnet.end();
+
+    return players;
+}
+
+/**
+ * The persistent HEOS connections, so one-off requests can use them instead of opening a connection of their own
+ * @type {Set<HEOSConnection>}
+ */
+const heosConnections = new Set();
+
+/**
+ * A long-lived connection to the HEOS CLI of a receiver, following what its player is doing
+ */
+export class HEOSConnection {
+    /** @type {Logger} */
+    logger;
+
+    /**
+     * What the receiver's player is playing
+     * @type {HEOSNowPlaying}
+     */
+    nowPlaying = {};
+
+    /**
+     * Whether the receiver's player is playing, paused or stopped
+     * @type {HEOSPlayState | undefined}
+     */
+    playState;
+
+    /**
+     * The repeat and shuffle modes of the receiver's player
+     * @type {HEOSPlayMode}
+     */
+    playMode = {};
+
+    /**
+     * The volume level of the receiver's player, from 0 to HEOS_MAX_VOLUME
+     * @type {number | undefined}
+     */
+    volume;
 
-        const lines = data.toString().split("\r\n").filter((line) => line.length > 0);
+    /**
+     * Whether the receiver's player is muted
+     * @type {boolean | undefined}
+     */
+    muted;
+
+    /**
+     * Every HEOS player on the network, including the receiver
+     * @type {HEOSPlayer[]}
+     */
+    players = [];
+
+    /**
+     * The HEOS groups on the network
+     * @type {HEOSGroup[]}
+     */
+    groups = [];
+
+    /**
+     * The event emitter for this instance
+     * @type {EventEmitter}
+     */
+    #eventEmitter = new EventEmitter();
+
+    /**
+     * The listeners for this instance
+     * @type {string[]}
+     */
+    #listenerIds = [];
+
+    /**
+     * The telnet socket to the HEOS CLI
+     * @type {TelnetSocket | undefined}
+     */
+    #telnet;
+
+    /**
+     * Data received after the last complete line, waiting for the rest of its line
+     * @type {string}
+     */
+    #buffer = "";
+
+    /**
+     * Commands waiting for their response, oldest first for each command
+     * @type {Map<string, HEOSPendingRequest[]>}
+     */
+    #pendingRequests = new Map();
+
+    /**
+     * The number of reconnection attempts since the connection was last established
+     * @type {number}
+     */
+    #reconnectCount = 0;
+
+    /**
+     * Whether the connection to the HEOS CLI is established
+     * @type {boolean}
+     */
+    #connected = false;
+    get connected() { return this.#connected; }
+
+    /**
+     * Where the connection is in its lifecycle, the same way as for the receiver connection
+     * @type {ConnectionState}
+     */
+    #state = { name: "connecting", since: Date.now(), attempts: 0 };
+
+    /**
+     * A copy of the connection state, with its timing details
+     * @returns {ConnectionState}
+     */
+    get state() { return { ...this.#state }; }
+
+    /**
+     * The UUID of the receiver
+     * @type {string}
+     */
+    #uuid;
+    get uuid() { return this.#uuid; }
+
+    /**
+     * The host address of the receiver
+     * @type {string}
+     */
+    #host;
+    get host() { return this.#host; }
+
+    /**
+     * The HEOS player ID of the receiver, once it's been found
+     * @type {number | undefined}
+     */
+    #pid;
+    get pid() { return this.#pid; }
+
+    /**
+     * The volume level the last set_volume command is headed to, until the player reports it or the wait runs out
+     * @type {{ level: number, until: number } | undefined}
+     */
+    #expectedVolume;
+
+    /**
+     * Create a new HEOS connection and start connecting to the receiver
+     * @param {PluginContext} plugin - The plugin context to use
+     * @param {string} uuid - The UUID of the receiver
+     * @param {string} host - The IP address of the receiver
+     */
+    constructor(plugin, uuid, host) {
+        this.logger = plugin.logger.createScope(this.constructor.name);
+
+        this.#uuid = uuid;
+        this.#host = host;
+        this.connect();
+
+        heosConnections.add(this);
+    }
+
+    /**
+     * Connect to the HEOS CLI of the receiver
+     */
+    connect() {
+        if (!this.#host) {
+            this.#setState("failed", { lastError: "No receiver address set." });
+            return;
+        }
+
+        this.#setState("connecting");
+        this.logger.debug(`Connecting to HEOS CLI: ${this.#host}`);
+
+        const rawSocket = net.createConnection(HEOS_PORT, this.#host);
+        const telnet = new TelnetSocket(rawSocket);
+
+        telnet.on("connect", () => this.#onConnect());
+        telnet.on("close", () => this.#telnet === telnet && this.#onClose());
+        telnet.on("error", (error) => this.#onError(error));
+
+        // Ignore standard telnet negotiation
+        telnet.on("do", (option) => telnet.writeWont(option));
+        telnet.on("will", (option) => telnet.writeDont(option));
+
+        telnet.on("data", (data) => this.#onData(data));
+
+        this.#telnet = telnet;
+        this.#buffer = "";
+    }
+
+    /**
+     * Move the connection to the receiver's new address, e.g. after it got a new IP address from DHCP
+     * @param {string} host - The new IP address of the receiver
+     */
+    setHost(host) {
+        if (host === this.#host) return;
+
+        this.logger.info(`HEOS player at ${this.#host} moved to ${host}, reconnecting.`);
+
+        this.#host = host;
+        this.#reconnectCount = 0;
+
+        this.disconnect();
+        this.connect();
+    }
+
+    /**
+     * Skip the wait before the next reconnect attempt, e.g. when the receiver announced it's back
+     */
+    reconnectNow() {
+        if (this.#state.name !== "backingOff") return;
+
+        this.logger.debug(`Reconnecting to HEOS CLI at ${this.#host} without waiting.`);
+
+        this.#reconnectCount = 0;
+        this.connect();
+    }
+
+    /**
+     * Treat the connection as lost, e.g. when the receiver announced it's leaving the network
+     * @param {string} reason - Why the connection was lost
+     */
+    drop(reason) {
+        if (this.#state.name !== "connected") return;
+
+        this.logger.info(`Dropping the HEOS connection to ${this.#host}: ${reason}`);
+        this.#state.lastError = reason;
+
+        // Closing the socket reconnects like any other lost connection
+        this.#telnet?.destroy();
+    }
+
+    /**
+     * Disconnect from the HEOS CLI and clean up resources
+     */
+    disconnect() {
+        const telnet = this.#telnet;
+
+        this.#telnet = undefined;
+        this.#connected = false;
+        this.#rejectPendingRequests("Disconnected");
+        this.#setState("disconnected");
+
+        telnet?.destroy();
+    }
+
+
+    /**
+     * Ask the receiver what it's playing, the answer is reported with a "nowPlayingChanged" event
+     * @returns {boolean} Whether the command was sent successfully
+     */
+    requestNowPlaying() {
+        if (this.#pid === undefined) return false;
+
+        return this.send("player/get_now_playing_media", { pid: this.#pid });
+    }
+
+    /**
+     * Play, pause or stop the receiver's player
+     * @param {HEOSPlayState} state - The new play state
+     * @returns {boolean} Whether the command was sent successfully
+     */
+    setPlayState(state) {
+        if (this.#pid === undefined) return false;
+
+        return this.send("player/set_play_state", { pid: this.#pid, state });
+    }
+
+    /**
+     * Pause the receiver's player if it's playing, otherwise start playing
+     * @returns {boolean} Whether the command was sent successfully
+     */
+    togglePlayState() {
+        return this.setPlayState(this.playState === "play" ? "pause" : "play");
+    }
+
+    /**
+     * Skip to the next song in the queue
+     * @returns {boolean} Whether the command was sent successfully
+     */
+    playNext() {
+        if (this.#pid === undefined) return false;
+
+        return this.send("player/play_next", { pid: this.#pid });
+    }
+
+    /**
+     * Go back to the previous song in the queue
+     * @returns {boolean} Whether the command was sent successfully
+     */
+    playPrevious() {
+        if (this.#pid === undefined) return false;
+
+        return this.send("player/play_previous", { pid: this.#pid });
+    }
 
-        // Try to parse the response(s) into JSON
-        /** @type {HEOSResponse[]} */
-        const responses = lines.map((line) => {
-            try { return JSON.parse(line); }
-            catch(e) {
-                // Ignore malformed responses
-                streamDeck.logger.warn(`Error parsing HEOS response from HEOS receiver at ${host}: ${line}`);
+    /**
+     * Set the repeat and shuffle modes of the receiver's player
+     * @param {HEOSPlayMode} playMode - The modes to change, the others are kept
+     * @returns {boolean} Whether the command was sent successfully
+     */
+    setPlayMode(playMode) {
+        if (this.#pid === undefined) return false;
+
+        const { repeat = this.playMode.repeat || "off", shuffle = this.playMode.shuffle || "off" } = playMode;
+
+        return this.send("player/set_play_mode", { pid: this.#pid, repeat, shuffle });
+    }
+
+    /**
+     * Turn shuffle on or off
+     * @returns {boolean} Whether the command was sent successfully
+     */
+    toggleShuffle() {
+        return this.setPlayMode({ shuffle: this.playMode.shuffle === "on" ? "off" : "on" });
+    }
+
+    /**
+     * Move to the next repeat mode: off, then repeat all, then repeat one
+     * @returns {boolean} Whether the command was sent successfully
+     */
+    cycleRepeat() {
+        /** @type {HEOSRepeatMode[]} */
+        const modes = ["off", "on_all", "on_one"];
+        const current = modes.indexOf(this.playMode.repeat || "off");
+
+        return this.setPlayMode({ repeat: modes[(current + 1) % modes.length] });
+    }
+
+    /**
+     * Send a command to the HEOS CLI
+     * @param {string} command - The command, e.g. "player/get_players"
+     * @param {Record<string, string | number>} [params] - The command's parameters
+     * @returns {boolean} Whether the command was sent successfully
+     */
+    send(command, params = {}) {
+        const telnet = this.#telnet;
+        if (!telnet || !this.#connected) return false;
+
+        const query = Object.entries(params)
+            .map(([key, value]) => `${key}=${encodeHEOSValue(value.toString())}`)
+            .join("&");
+
+        const line = `heos://${command}${query ? `?${query}` : ""}`;
+        telnet.write(line + "\r\n");
+        this.logger.trace(`Wrote HEOS command to ${this.#host}: ${line}`);
+
+        return true;
+    }
+
+    /**
+     * Send a command to the HEOS CLI and wait for its response.
+     * Responses are matched to commands by name, in the order the commands were sent.
+     * @param {string} command - The command, e.g. "player/get_players"
+     * @param {Record<string, string | number>} [params] - The command's parameters
+     * @returns {Promise<HEOSResponse>} The response, rejected if the command fails, times out or the connection closes
+     */
+    request(command, params = {}) {
+        return new Promise((resolve, reject) => {
+            if (!this.send(command, params)) {
+                reject(new Error(`Not connected to HEOS CLI at ${this.#host}`));
+                return;
             }
-        })
-        .filter((response) => response !== undefined);
-
-        // Filter parsed response(s) for matching 'get_players' command
-        const validResponses = responses.filter((response) => {
-            return response.heos?.command === "player/get_players"
-                && response.heos?.result === "success"
-                && response.payload?.length > 0;
+
+            /** @type {HEOSPendingRequest} */
+            const request = {
+                resolve,
+                reject,
+                timer: globalThis.setTimeout(() => {
+                    this.#takePendingRequest(command, request);
+                    reject(new Error(`Timed out waiting for ${command} from HEOS CLI at ${this.#host}`));
+                }, HEOS_REQUEST_TIMEOUT)
+            };
+
+            const requests = this.#pendingRequests.get(command) || [];
+            requests.push(request);
+            this.#pendingRequests.set(command, requests);
+        });
+    }
+
+    /**
+     * Set the volume level of the receiver's player
+     * @param {number} level - The new volume level, from 0 to HEOS_MAX_VOLUME
+     * @returns {boolean} Whether the command was sent successfully
+     */
+    setVolume(level) {
+        if (this.#pid === undefined) return false;
+
+        level = Math.max(0, Math.min(HEOS_MAX_VOLUME, Math.round(level)));
+
+        if (!this.send("player/set_volume", { pid: this.#pid, level })) return false;
+
+        this.#expectedVolume = { level, until: Date.now() + HEOS_REQUEST_TIMEOUT };
+        return true;
+    }
+
+    /**
+     * Change the volume of the receiver's player by a number of steps
+     * @param {number} steps - The number of steps to change the volume by, negative to turn it down
+     * @returns {boolean} Whether the command was sent successfully
+     */
+    changeVolume(steps) {
+        if (this.#pid === undefined || steps === 0) return false;
+
+        // Build on a level that was set but not reported yet, so quick turns of the dial add up
+        const expected = this.#expectedVolume && Date.now() < this.#expectedVolume.until ? this.#expectedVolume.level : undefined;
+        const current = expected ?? this.volume;
+
+        // Use the exact level when it's known, HEOS only steps by 1-10 otherwise
+        if (current !== undefined) {
+            return this.setVolume(current + steps);
+        }
+
+        const step = Math.min(Math.abs(steps), 10);
+        return this.send(steps > 0 ? "player/volume_up" : "player/volume_down", { pid: this.#pid, step });
+    }
+
+    /**
+     * Mute or unmute the receiver's player
+     * @param {boolean} [muted] - Whether to mute, toggles the mute state if not given
+     * @returns {boolean} Whether the command was sent successfully
+     */
+    setMute(muted) {
+        if (this.#pid === undefined) return false;
+
+        if (muted === undefined) {
+            return this.send("player/toggle_mute", { pid: this.#pid });
+        }
+
+        return this.send("player/set_mute", { pid: this.#pid, state: muted ? "on" : "off" });
+    }
+
+    /**
+     * Group players together, or dissolve the group led by a player
+     * @param {number[]} pids - The leader's player ID followed by the members', or just the leader's to dissolve its group
+     * @returns {boolean} Whether the command was sent successfully
+     */
+    setGroup(pids) {
+        if (pids.length === 0) return false;
+
+        return this.send("group/set_group", { pid: pids.join(",") });
+    }
+
+    /**
+     * Ask for the HEOS groups, the answer is reported with a "groupsChanged" event
+     * @returns {boolean} Whether the command was sent successfully
+     */
+    requestGroups() {
+        return this.send("group/get_groups");
+    }
+
+    /**
+     * Wait for the connection to the HEOS CLI to be established, e.g. right after creating it
+     * @returns {Promise<boolean>} Whether the connection was established in time
+     */
+    whenConnected() {
+        if (this.#connected) return Promise.resolve(true);
+
+        return new Promise((resolve) => {
+            /** @param {HEOSEvent} ev */
+            const listener = (ev) => {
+                if (ev.type !== "connected") return;
+
+                clearTimeout(timer);
+                this.#eventEmitter.off("event", listener);
+                resolve(true);
+            };
+
+            const timer = globalThis.setTimeout(() => {
+                this.#eventEmitter.off("event", listener);
+                resolve(false);
+            }, HEOS_REQUEST_TIMEOUT);
+
+            this.#eventEmitter.on("event", listener);
         });
+    }
 
-        // Flatten the 'payload' of each valid response into a single array
-        const players = validResponses.map((response) => {
-            return response.payload;
-        }).flat();
+    /**
+     * Get the music sources of the receiver's HEOS account
+     * @returns {Promise<HEOSMusicSource[]>}
+     */
+    async getMusicSources() {
+        const response = await this.request("browse/get_music_sources");
+        return response.payload || [];
+    }
+
+    /**
+     * Get the items of a music source, or of a container (e.g. a playlist) within it
+     * @param {number} sid - The source ID, e.g. HEOS_FAVORITES_SID
+     * @param {string} [cid] - The container ID
+     * @returns {Promise<HEOSMediaItem[]>}
+     */
+    async browse(sid, cid) {
+        const response = await this.request("browse/browse", cid ? { sid, cid } : { sid });
+        return response.payload || [];
+    }
+
+    /**
+     * Play one of the HEOS favorites by its position in the favorites list
+     * @param {number} preset - The position of the favorite, starting at 1
+     * @returns {boolean} Whether the command was sent successfully
+     */
+    playPreset(preset) {
+        if (this.#pid === undefined) return false;
+
+        return this.send("browse/play_preset", { pid: this.#pid, preset });
+    }
+
+    /**
+     * Play one of the HEOS favorites, found by its media ID since the favorites can be reordered
+     * @param {string} mid - The media ID of the favorite
+     * @returns {Promise<boolean>} Whether the favorite was found and the command was sent successfully
+     */
+    async playFavorite(mid) {
+        if (this.#pid === undefined) return false;
 
-        // Locate the player with a matching IP address
-        const player = players.find((player) => {
-            return player.ip == host;
+        const favorites = await this.browse(HEOS_FAVORITES_SID);
+        const index = favorites.findIndex((favorite) => favorite.mid === mid);
+        if (index < 0) {
+            this.logger.warn(`HEOS favorite ${mid} not found at ${this.#host}`);
+            return false;
+        }
+
+        return this.playPreset(index + 1);
+    }
+
+    /**
+     * Replace the queue with one of the HEOS playlists and start playing it
+     * @param {string} cid - The container ID of the playlist
+     * @returns {boolean} Whether the command was sent successfully
+     */
+    playPlaylist(cid) {
+        if (this.#pid === undefined) return false;
+
+        return this.send("browse/add_to_queue", {
+            pid: this.#pid,
+            sid: HEOS_PLAYLISTS_SID,
+            cid,
+            aid: ADD_TO_QUEUE_REPLACE_AND_PLAY
         });
+    }
 
-        name = player?.name;
+    /** @typedef {(...args: any[]) => void} EventListener */
 
-        streamDeck.logger.debug(`Received player name from HEOS receiver at ${host}: ${name}`);
+    /**
+     * Subscribe to events from this connection
+     * @param {EventListener} listener - The listener function to call when the event is emitted
+     * @param {string} id - The binding ID for this listener, should be the manifest ID of the action that is listening
+     */
+    on(listener, id) {
+        const listenerId = `${id}-${listener.name}`;
 
-        // Stop waiting for a response if we found a match
-        ac.abort();
-    });
+        // Don't add the same listener twice
+        if (this.#listenerIds.includes(listenerId)) {
+            return;
+        }
 
-    telnet.on('error', (error) => {
-        streamDeck.logger.error(`Error opening HEOS connection to ${host}: ${error}`);
-    });
+        this.#listenerIds.push(listenerId);
 
-    telnet.on('close', () => {
-        streamDeck.logger.debug(`HEOS connection to ${host} closed.`);
-    });
+        this.#eventEmitter.on("event", listener);
+    }
 
-    // Wait for a response until 'get_players' response is received, or timeout
-    try {
-        await setTimeout(1000, null, { signal: ac.signal });
-        streamDeck.logger.warn(`Timeout waiting for HEOS response from ${host}.`);
-    } catch(e) {
-        // Aborted due to success, ironically.
+    /**
+     * Emit an event from this connection
+     * @param {HEOSEvent["type"]} type - The type of event to emit
+     */
+    emit(type) {
+        /** @type {HEOSEvent} */
+        const payload = { type, connection: this };
+        this.#eventEmitter.emit("event", payload);
     }
 
-    streamDeck.logger.debug(`Closing HEOS connection to ${host}.`);
+    /**
+     * Move the connection to a new state and inform listeners
+     * @param {ConnectionStateName} name - The new state
+     * @param {Partial<ConnectionState>} [details] - Timing details for the new state
+     */
+    #setState(name, details = {}) {
+        this.#state = {
+            lastConnected: this.#state.lastConnected,
+            lastError: this.#state.lastError,
+            ...details,
+            name,
+            since: Date.now(),
+            attempts: this.#reconnectCount
+        };
 
-    telnet.end();
+        this.logger.debug(`HEOS connection to ${this.#host} is ${name}.`);
+        this.emit("stateChanged");
+    }
+
+    /**
+     * Handle the connection being established
+     */
+    #onConnect() {
+        this.logger.debug(`HEOS connection established to ${this.#host}`);
+
+        this.#reconnectCount = 0;
+        this.#connected = true;
+        this.#setState("connected", { lastConnected: Date.now() });
+
+        // Ask to be told about changes, then find out which player is the receiver
+        this.send("system/register_for_change_events", { enable: "on" });
+        this.#findPlayer();
 
-    return name;
+        this.emit("connected");
+    }
+
+    /**
+     * Handle the connection closing, and try to reconnect unless it was closed on purpose
+     */
+    #onClose() {
+        this.logger.debug(`HEOS connection to ${this.#host} closed.`);
+
+        this.#connected = false;
+        this.#buffer = "";
+        this.#rejectPendingRequests("Connection closed");
+
+        this.emit("closed");
+
+        // Keep trying to reconnect, waiting longer after each failed attempt, e.g. while the player reboots
+        if (this.#telnet) {
+            this.#reconnectCount++;
+
+            const delay = getReconnectDelay(this.#reconnectCount);
+            this.#setState("backingOff", { retryAt: Date.now() + delay });
+
+            const telnet = this.#telnet;
+            setTimeout(delay).then(() => {
+                // Don't reconnect if the connection was dropped or replaced while waiting
+                if (this.#telnet !== telnet) return;
+
+                this.logger.debug(`Trying to reconnect to HEOS CLI at ${this.#host}. Attempt ${this.#reconnectCount}`);
+                this.connect();
+            });
+        }
+    }
+
+    /**
+     * Handle socket errors
+     * @param {Object} error
+     */
+    #onError(error) {
+        const message = `HEOS connection error at ${this.#host}: ${error.message} (${error.code})`;
+        this.logger.warn(message);
+        this.#state.lastError = message;
+    }
+
+    /**
+     * Find the receiver's HEOS player by its IP address
+     */
+    #findPlayer() {
+        Promise.all([this.request("player/get_players"), resolveAddress(this.#host)])
+            .then(([response, address]) => {
+                /** @type {HEOSPlayer[]} */
+                const players = response.payload || [];
+                this.players = players;
+                this.emit("playersChanged");
+
+                const player = players.find((player) => player.ip == address);
+                if (!player) {
+                    this.logger.warn(`No HEOS player found for the receiver at ${this.#host}`);
+                    return;
+                }
+
+                const changed = this.#pid !== player.pid;
+                this.#pid = player.pid;
+                this.logger.debug(`Found HEOS player ${player.name} (${player.pid}) at ${this.#host}`);
+
+                this.requestNowPlaying();
+                this.send("player/get_play_state", { pid: this.#pid });
+                this.send("player/get_play_mode", { pid: this.#pid });
+                this.send("player/get_volume", { pid: this.#pid });
+                this.send("player/get_mute", { pid: this.#pid });
+                this.requestGroups();
+
+                if (changed) {
+                    this.emit("playerFound");
+                }
+            })
+            .catch((error) => this.logger.warn(`Couldn't get the HEOS players from ${this.#host}: ${error.message}`));
+    }
+
+    /**
+     * Take a request off the queue of requests waiting for the response to a command
+     * @param {string} command - The command
+     * @param {HEOSPendingRequest} [request] - The request to take, the oldest one if not given
+     * @returns {HEOSPendingRequest | undefined} The request, if it was still waiting
+     */
+    #takePendingRequest(command, request) {
+        const requests = this.#pendingRequests.get(command);
+        if (!requests) return;
+
+        const index = request ? requests.indexOf(request) : 0;
+        if (index < 0) return;
+
+        const [taken] = requests.splice(index, 1);
+        if (requests.length === 0) {
+            this.#pendingRequests.delete(command);
+        }
+
+        clearTimeout(taken.timer);
+        return taken;
+    }
+
+    /**
+     * Fail every request still waiting for a response
+     * @param {string} reason - Why the requests won't be answered
+     */
+    #rejectPendingRequests(reason) {
+        for (const requests of this.#pendingRequests.values()) {
+            for (const request of requests) {
+                clearTimeout(request.timer);
+                request.reject(new Error(`${reason} before a response was received from HEOS CLI at ${this.#host}`));
+            }
+        }
+
+        this.#pendingRequests.clear();
+    }
+
+    /**
+     * Incoming data from the HEOS CLI, one JSON object per line
+     * @param {Buffer | string} data
+     */
+    #onData(data) {
+        // Large responses can be split over several chunks
+        const lines = (this.#buffer + data.toString()).split("\r\n");
+        this.#buffer = lines.pop() || "";
+
+        for (const line of lines) {
+            if (line.length === 0) continue;
+
+            /** @type {HEOSResponse} */
+            let response;
+            try {
+                response = JSON.parse(line);
+            } catch (e) {
+                this.logger.warn(`Error parsing HEOS response from ${this.#host}: ${line}`);
+                continue;
+            }
+
+            const command = response.heos?.command || "";
+            const message = parseHEOSMessage(response.heos?.message || "");
+
+            if (command.startsWith("event/")) {
+                this.#onEvent(command, message);
+                continue;
+            }
+
+            // Slow commands are acknowledged first, the actual response follows later
+            if ("command under process" in message) {
+                this.logger.trace(`HEOS command ${command} is being processed at ${this.#host}`);
+                continue;
+            }
+
+            const request = this.#takePendingRequest(command);
+
+            if (response.heos?.result === "success") {
+                this.#onResponse(command, response, message);
+                request?.resolve(response);
+            } else {
+                this.logger.warn(`HEOS command ${command} failed at ${this.#host}: ${response.heos?.message}`);
+                request?.reject(new Error(message.text || response.heos?.message || `HEOS command ${command} failed`));
+            }
+        }
+    }
+
+    /**
+     * Handle a successful response to a command
+     * @param {string} command - The command that was answered
+     * @param {HEOSResponse} response - The response
+     * @param {Record<string, string>} message - The parsed response message
+     */
+    #onResponse(command, response, message) {
+        switch (command) {
+            case "group/get_groups":
+                this.groups = response.payload || [];
+                this.logger.debug(`Updated HEOS groups for ${this.#host}: ${this.groups.map((group) => group.name).join(", ") || "none"}`);
+
+                this.emit("groupsChanged");
+                break;
+            case "player/get_play_state":
+            case "player/set_play_state":
+                this.#onPlayStateChanged(message);
+                break;
+            case "player/get_play_mode":
+            case "player/set_play_mode":
+                this.#onPlayModeChanged(message);
+                break;
+            case "player/get_volume":
+            case "player/set_volume":
+            case "player/get_mute":
+            case "player/set_mute":
+                this.#onVolumeChanged(message);
+                break;
+            case "player/get_now_playing_media":
+                if (Number(message.pid) !== this.#pid) return;
+
+                this.nowPlaying = response.payload || {};
+                this.logger.debug(`Updated HEOS now playing for ${this.#host}: ${this.nowPlaying.song || this.nowPlaying.station || "nothing"}`);
+
+                this.emit("nowPlayingChanged");
+                break;
+        }
+    }
+
+    /**
+     * Handle an unsolicited change event
+     * @param {string} command - The event, e.g. "event/player_now_playing_changed"
+     * @param {Record<string, string>} message - The parsed event message
+     */
+    #onEvent(command, message) {
+        switch (command) {
+            case "event/player_now_playing_changed":
+                if (Number(message.pid) !== this.#pid) return;
+
+                // The event doesn't say what is playing, so ask
+                this.requestNowPlaying();
+                break;
+            case "event/player_state_changed":
+                this.#onPlayStateChanged(message);
+                break;
+            case "event/repeat_mode_changed":
+            case "event/shuffle_mode_changed":
+                this.#onPlayModeChanged(message);
+                break;
+            case "event/player_volume_changed":
+                this.#onVolumeChanged(message);
+                break;
+            case "event/players_changed":
+                // The receiver's player ID may have changed
+                this.#findPlayer();
+                break;
+            case "event/groups_changed":
+                this.requestGroups();
+                break;
+        }
+    }
+
+    /**
+     * Handle the player's play state being reported
+     * @param {Record<string, string>} message - The parsed message, with the pid and state
+     */
+    #onPlayStateChanged(message) {
+        if (Number(message.pid) !== this.#pid || !message.state) return;
+
+        this.playState = /** @type {HEOSPlayState} */ (message.state);
+        this.logger.debug(`Updated HEOS play state for ${this.#host}: ${this.playState}`);
+
+        this.emit("playStateChanged");
+    }
+
+    /**
+     * Handle the player's volume level and/or mute state being reported
+     * @param {Record<string, string>} message - The parsed message, with the pid and the level and/or mute state
+     */
+    #onVolumeChanged(message) {
+        if (Number(message.pid) !== this.#pid) return;
+
+        if (message.level !== undefined) {
+            this.volume = Number(message.level);
+
+            if (this.volume === this.#expectedVolume?.level) {
+                this.#expectedVolume = undefined;
+            }
+        }
+
+        // The mute state is called "mute" in events and "state" in get_mute/set_mute responses
+        const mute = message.mute ?? message.state;
+        if (mute !== undefined) {
+            this.muted = mute === "on";
+        }
+
+        this.emit("volumeChanged");
+    }
+
+    /**
+     * Handle the player's repeat and/or shuffle modes being reported
+     * @param {Record<string, string>} message - The parsed message, with the pid and the repeat and/or shuffle mode
+     */
+    #onPlayModeChanged(message) {
+        if (Number(message.pid) !== this.#pid) return;
+
+        if (message.repeat) {
+            this.playMode.repeat = /** @type {HEOSRepeatMode} */ (message.repeat);
+        }
+        if (message.shuffle) {
+            this.playMode.shuffle = /** @type {HEOSShuffleMode} */ (message.shuffle);
+        }
+
+        this.emit("playModeChanged");
+    }
+}
+
+/**
+ * Parse a HEOS message, e.g. "pid=1&state=play", into its values
+ * @param {string} message - The message from a HEOS response or event
+ * @returns {Record<string, string>}
+ */
+function parseHEOSMessage(message) {
+    /** @type {Record<string, string>} */
+    const values = {};
+
+    for (const pair of message.split("&")) {
+        const separatorIndex = pair.indexOf("=");
+        if (separatorIndex < 0) {
+            values[pair] = "";
+            continue;
+        }
+
+        values[pair.substring(0, separatorIndex)] = decodeHEOSValue(pair.substring(separatorIndex + 1));
+    }
+
+    return values;
+}
+
+/**
+ * Encode the characters that HEOS reserves in command parameters
+ * @param {string} value - The parameter value
+ * @returns {string}
+ */
+function encodeHEOSValue(value) {
+    return value.replace(/%/g, "%25").replace(/&/g, "%26").replace(/=/g, "%3D");
+}
+
+/**
+ * Decode the characters that HEOS reserves in messages
+ * @param {string} value - The encoded value
+ * @returns {string}
+ */
+function decodeHEOSValue(value) {
+    return value.replace(/%26/g, "&").replace(/%3D/g, "=").replace(/%25/g, "%");
 }
\ No newline at end of file
@@ -0,0 +1,539 @@
+import { EventEmitter } from "events";
+import { DOMParser } from "@xmldom/xmldom";
+
+/** @typedef {import("@elgato/streamdeck").Logger} Logger */
+/** @typedef {import("./connection").ZoneDefinition} ZoneDefinition */
+
+/** Ports used by the receiver's web interface, newer models use 8080 and older ones 80 */
+const HTTP_PORTS = [8080, 80];
+const HTTP_TIMEOUT = 2000; // 2 seconds
+const HTTP_POLL_INTERVAL = 2000; // 2 seconds
+
+/** Delay before polling after a command, so the receiver has time to apply it */
+const HTTP_COMMAND_POLL_DELAY = 300;
+
+/**
+ * Input names the web interface uses that differ from both the telnet source codes and their display names,
+ * mapped to the source codes
+ */
+const HTTP_SOURCE_NAMES = {
+	"CBL/SAT": "SAT/CBL",
+	"ONLINE MUSIC": "NET",
+	"INTERNET RADIO": "IRADIO",
+	"MEDIA SERVER": "SERVER",
+	"BLUETOOTH": "BT",
+	"IPOD/USB": "USB/IPOD"
+};
+
+/**
+ * The tags in Deviceinfo.xml that can describe each optional feature, as they vary between model years
+ * @type {Partial<Record<ReceiverFeature, string[]>>}
+ */
+const FEATURE_TAGS = {
+	audyssey: ["Audyssey", "AudysseyMultEQ", "MultEQ", "DynamicVolume", "AudysseyDynamicVolume"],
+	toneControl: ["ToneControl"],
+	tuner: ["Tuner", "TunerOperation"]
+};
+
+/**
+ * The optional features an action can need. Only some of them are listed in Deviceinfo.xml,
+ * the others are always there but may not be reported over every transport.
+ * @typedef {"audyssey" | "toneControl" | "tuner" | "channelLevel" | "quickSelect"} ReceiverFeature
+ */
+
+/**
+ * The features whose status only the telnet protocol reports. The HTTP interface only reports the basics
+ * of each zone (power, volume, mute, source and surround mode), so actions for these would never show their state.
+ * @type {ReceiverFeature[]}
+ */
+export const TELNET_ONLY_FEATURES = ["audyssey", "toneControl", "tuner", "channelLevel", "quickSelect"];
+
+/**
+ * What a receiver model can do, as reported by its web interface
+ * @typedef {Object} ReceiverCapabilities
+ * @property {number} zoneCount - The number of zones the model has
+ * @property {Array<string | undefined>} zoneNames - The names the user gave each zone, indexed by zone number
+ * @property {Partial<Record<ReceiverFeature, boolean>>} features - Whether the model has each optional feature, missing if it isn't reported
+ * @property {string} [modelName] - The model name reported by the web interface
+ */
+
+/**
+ * A stand-in for the telnet socket that talks to the receiver over its HTTP/XML interface.
+ * Commands are sent through formiPhoneAppDirect.xml, and the polled status is translated into
+ * the same lines the telnet protocol would have sent, so it can be parsed the same way.
+ *
+ * Emits the same events as the telnet socket: "connect", "data", "error" and "close".
+ * @extends EventEmitter
+ */
+export class AVRHTTPSocket extends EventEmitter {
+	/** @type {Logger} */
+	logger;
+
+	/**
+	 * The host address of the receiver, optionally with a port (e.g. "192.168.1.20:8080")
+	 * @type {string}
+	 */
+	#host;
+
+	/**
+	 * The base URL of the receiver's web interface, once it's been found
+	 * @type {string | undefined}
+	 */
+	#baseURL;
+
+	/**
+	 * The zones to poll for status
+	 * @type {ZoneDefinition[]}
+	 */
+	#zones;
+
+	/**
+	 * The display names of the sources, keyed by their telnet source code
+	 * @type {Record<string, string>}
+	 */
+	#sources;
+
+	/**
+	 * The number of zones reported by the receiver
+	 * @type {number}
+	 */
+	#zoneCount = 1;
+
+	/**
+	 * The last line reported for each status value, used to only report changes
+	 * @type {Map<string, string>}
+	 */
+	#lastLines = new Map();
+
+	/**
+	 * The timer for the next status poll
+	 * @type {NodeJS.Timeout | undefined}
+	 */
+	#pollTimer;
+
+	/**
+	 * Whether a status poll is currently running
+	 * @type {boolean}
+	 */
+	#isPolling = false;
+
+	/**
+	 * Whether the socket has been closed
+	 * @type {boolean}
+	 */
+	#closed = false;
+
+	/**
+	 * Whether the receiver's web interface has been found
+	 * @type {boolean}
+	 */
+	#connected = false;
+
+	/**
+	 * Commands written before the web interface was found, sent once it is
+	 * @type {string[]}
+	 */
+	#pendingWrites = [];
+
+	/**
+	 * Create a new HTTP socket and start connecting to the receiver
+	 * @param {string} host - The host address of the receiver
+	 * @param {ZoneDefinition[]} zones - The zones to poll for status
+	 * @param {Record<string, string>} sources - The display names of the sources, keyed by their telnet source code
+	 * @param {Logger} logger - The logger to use
+	 */
+	constructor(host, zones, sources, logger) {
+		super();
+
+		this.#host = host;
+		this.#zones = zones;
+		this.#sources = sources;
+		this.logger = logger.createScope(this.constructor.name);
+
+		this.#connect();
+	}
+
+	/**
+	 * Send one or more carriage return delimited commands to the receiver
+	 * @param {string} data - The command(s) to send
+	 */
+	write(data) {
+		if (this.#closed) return;
+
+		// Like a socket that is still connecting, hold on to the commands until the receiver is found
+		if (!this.#connected) {
+			this.#pendingWrites.push(data);
+			return;
+		}
+
+		const commands = data.split("\r").filter((command) => command.length > 0);
+		for (const command of commands) {
+			if (command.endsWith("?")) {
+				// Status queries have no HTTP equivalent, so poll instead
+				this.#schedulePoll(0);
+				continue;
+			}
+
+			// A command the model doesn't support fails on its own, only a failed status poll means the receiver is gone
+			this.#request(`/goform/formiPhoneAppDirect.xml?${encodeURIComponent(command)}`)
+				.then(() => this.#schedulePoll(HTTP_COMMAND_POLL_DELAY))
+				.catch((error) => this.logger.warn(`Receiver at ${this.#host} didn't accept ${command}: ${error.message}`));
+		}
+	}
+
+	/**
+	 * Stop polling and close the socket
+	 */
+	destroy() {
+		if (this.#closed) return;
+
+		this.#closed = true;
+		clearTimeout(this.#pollTimer);
+		setImmediate(() => this.emit("close", false));
+	}
+
+	/**
+	 * Nothing keeps the process alive once destroyed, kept for parity with the telnet socket
+	 */
+	unref() {
+		this.#pollTimer?.unref();
+	}
+
+	/**
+	 * Find the receiver's web interface and report the initial status
+	 */
+	async #connect() {
+		const hasPort = /:\d+$/.test(this.#host);
+		const candidates = hasPort
+			? [`http://${this.#host}`]
+			: HTTP_PORTS.map((port) => `http://${this.#host}:${port}`);
+
+		/** @type {any} */
+		let lastError;
+
+		for (const baseURL of candidates) {
+			try {
+				this.#baseURL = baseURL;
+				this.#zoneCount = await this.#requestZoneCount();
+				lastError = undefined;
+				break;
+			} catch (error) {
+				this.#baseURL = undefined;
+				lastError = error;
+			}
+		}
+
+		if (this.#closed) return;
+
+		if (lastError) {
+			this.#fail(lastError);
+			return;
+		}
+
+		this.logger.debug(`Found HTTP interface at ${this.#baseURL} with ${this.#zoneCount} zone(s)`);
+		this.#connected = true;
+		this.emit("connect");
+
+		// Send what was written while connecting, the status requests among it will trigger the first poll
+		const pendingWrites = this.#pendingWrites;
+		this.#pendingWrites = [];
+		pendingWrites.forEach((data) => this.write(data));
+
+		this.#schedulePoll(0);
+	}
+
+	/**
+	 * Request the number of zones from the receiver
+	 * @returns {Promise<number>}
+	 */
+	async #requestZoneCount() {
+		const body = '<?xml version="1.0" encoding="utf-8"?>\n' +
+			"<tx>\n" +
+			'<cmd id="1">GetAllZonePowerStatus</cmd>\n' +
+			"</tx>\n";
+
+		const xmlDoc = await this.#requestXML("/goform/AppCommand.xml", body);
+
+		// Each zone the receiver has is reported as "zone1", "zone2", ...
+		let count = 0;
+		while (xmlDoc.getElementsByTagName(`zone${count + 1}`).length > 0) {
+			count++;
+		}
+
+		return Math.max(1, Math.min(count, this.#zones.length));
+	}
+
+	/**
+	 * Schedule the next status poll, replacing any poll already scheduled
+	 * @param {number} delay - The delay before polling, in milliseconds
+	 */
+	#schedulePoll(delay) {
+		if (this.#closed) return;
+
+		clearTimeout(this.#pollTimer);
+		this.#pollTimer = setTimeout(() => this.#poll(), delay);
+	}
+
+	/**
+	 * Poll the status of each zone and report any changes
+	 */
+	async #poll() {
+		if (this.#closed) return;
+
+		if (this.#isPolling) {
+			// Try again once the current poll has finished
+			this.#schedulePoll(HTTP_COMMAND_POLL_DELAY);
+			return;
+		}
+
+		this.#isPolling = true;
+
+		try {
+			for (let zone = 0; zone < this.#zoneCount; zone++) {
+				const { httpName } = this.#zones[zone];
+				const xmlDoc = await this.#requestXML(`/goform/formMainZone_MainZoneXml.xml?ZoneName=${encodeURIComponent(httpName)}`);
+				this.#report(statusToLines(xmlDoc, this.#zones[zone], zone, this.#sources));
+			}
+		} catch (error) {
+			this.#isPolling = false;
+			this.#fail(error);
+			return;
+		}
+
+		this.#isPolling = false;
+		this.#schedulePoll(HTTP_POLL_INTERVAL);
+	}
+
+	/**
+	 * Emit the lines that changed since the last poll as a single data event
+	 * @param {Record<string, string>} lines - The status lines, keyed by what they describe
+	 */
+	#report(lines) {
+		const changed = Object.entries(lines)
+			.filter(([key, line]) => this.#lastLines.get(key) !== line)
+			.map(([key, line]) => {
+				this.#lastLines.set(key, line);
+				return line;
+			});
+
+		if (changed.length > 0 && !this.#closed) {
+			this.emit("data", changed.join("\r") + "\r");
+		}
+	}
+
+	/**
+	 * Report an error and close the socket
+	 * @param {any} error - The error that occurred
+	 */
+	#fail(error) {
+		if (this.#closed) return;
+
+		// Network errors from fetch carry the system error code in their cause
+		const code = error?.cause?.code || error?.code || error?.name;
+		this.emit("error", { message: error?.cause?.message || error?.message, code });
+
+		this.#closed = true;
+		clearTimeout(this.#pollTimer);
+		this.emit("close", true);
+	}
+
+	/**
+	 * Request a path from the receiver and parse the response as XML
+	 * @param {string} path - The path to request
+	 * @param {string} [body] - The body to POST, if any
+	 * @returns {Promise<Document>}
+	 */
+	async #requestXML(path, body) {
+		const text = await this.#request(path, body);
+		return /** @type {Document} */ (/** @type {unknown} */ (new DOMParser().parseFromString(text, "text/xml")));
+	}
+
+	/**
+	 * Request a path from the receiver
+	 * @param {string} path - The path to request
+	 * @param {string} [body] - The body to POST, if any
+	 * @returns {Promise<string>}
+	 */
+	async #request(path, body) {
+		const response = await fetch(`${this.#baseURL}${path}`, {
+			method: body === undefined ? "GET" : "POST",
+			body,
+			headers: body === undefined ? undefined : { "Content-Type": "text/xml" },
+			signal: AbortSignal.timeout(HTTP_TIMEOUT)
+		});
+
+		if (!response.ok) {
+			throw Object.assign(new Error(`HTTP ${response.status} ${response.statusText}`), { code: "EHTTP" });
+		}
+
+		this.logger.trace(`HTTP request to ${path} succeeded`);
+		return response.text();
+	}
+}
+
+/**
+ * Translate a zone status document into the equivalent telnet protocol lines
+ * @param {Document} xmlDoc - The zone status document
+ * @param {ZoneDefinition} definition - The zone the status is for
+ * @param {number} zone - The zone number
+ * @param {Record<string, string>} sources - The display names of the sources, keyed by their telnet source code
+ * @returns {Record<string, string>}
+ */
+function statusToLines(xmlDoc, definition, zone, sources) {
+	/** @type {Record<string, string>} */
+	const lines = {};
+
+	/**
+	 * @param {string} tag
+	 * @returns {string | undefined}
+	 */
+	const valueOf = (tag) => xmlDoc.getElementsByTagName(tag)[0]
+		?.getElementsByTagName("value")[0]?.textContent?.trim() || undefined;
+
+	const power = valueOf("ZonePower");
+	if (power !== undefined) {
+		const isOn = power.toUpperCase() === "ON";
+		lines.power = definition.power + (isOn ? "ON" : definition.powerOff);
+	}
+
+	// The volume is reported in dB relative to the reference level, "--" being the minimum
+	const volume = valueOf("MasterVolume");
+	if (volume !== undefined) {
+		const dB = parseFloat(volume);
+		const absolute = isNaN(dB) ? 0 : Math.max(0, dB + 80);
+		lines.volume = definition.volume + formatVolume(absolute);
+	}
+
+	const mute = valueOf("Mute");
+	if (mute !== undefined) {
+		lines.mute = definition.mute + (mute.toUpperCase() === "ON" ? "ON" : "OFF");
+	}
+
+	const source = valueOf("InputFuncSelect");
+	if (source !== undefined) {
+		lines.source = definition.source + toSourceCode(source, xmlDoc, sources);
+	}
+
+	// Only the main zone has a surround mode
+	const surroundMode = zone === 0 ? valueOf("selectSurround") : undefined;
+	if (surroundMode !== undefined) {
+		lines.surroundMode = "MS" + surroundMode.toUpperCase();
+	}
+
+	// Prefix the keys so each zone's values are tracked separately
+	return Object.fromEntries(Object.entries(lines).map(([key, line]) => [`${zone}:${key}`, line]));
+}
+
+/**
+ * Find the telnet source code of the input the web interface reports, which it reports by name
+ * (e.g. "Media Player"), or by the name the user gave the input
+ * @param {string} name - The reported input name
+ * @param {Document} xmlDoc - The zone status document, which lists the inputs and their names
+ * @param {Record<string, string>} sources - The display names of the sources, keyed by their telnet source code
+ * @returns {string}
+ */
+function toSourceCode(name, xmlDoc, sources) {
+	/**
+	 * The values of a list, which some models nest in another value
+	 * @param {string} tag
+	 * @returns {string[]}
+	 */
+	const listOf = (tag) => Array.from(xmlDoc.getElementsByTagName(tag)[0]?.getElementsByTagName("value") ?? [])
+		.filter((element) => element.getElementsByTagName("value").length === 0)
+		.map((element) => element.textContent?.trim() ?? "");
+
+	// A renamed input is listed under its new name at the same position as its original name
+	const renameIndex = listOf("RenameSource").indexOf(name);
+	const originalName = listOf("InputFuncList")[renameIndex] ?? name;
+
+	/** @param {string} value */
+	const normalize = (value) => value.toUpperCase().replace(/[^A-Z0-9]/g, "");
+	const wanted = normalize(originalName);
+
+	const code = HTTP_SOURCE_NAMES[/** @type {keyof HTTP_SOURCE_NAMES} */ (originalName.toUpperCase())]
+		?? Object.keys(sources).find((code) => normalize(code) === wanted)
+		?? Object.keys(sources).find((code) => sources[code] && normalize(sources[code]) === wanted);
+
+	return code ?? originalName.toUpperCase();
+}
+
+/**
+ * Format an absolute volume the way the telnet protocol does, e.g. 40 -> "40" and 40.5 -> "405"
+ * @param {number} volume - The absolute volume
+ * @returns {string}
+ */
+function formatVolume(volume) {
+	const halfSteps = Math.round(volume * 2);
+	return halfSteps % 2 === 0
+		? (halfSteps / 2).toString().padStart(2, "0")
+		: (halfSteps * 5).toString().padStart(3, "0");
+}
+
+/**
+ * Read a receiver's capabilities from its Deviceinfo.xml, and the zone names from the zone status
+ * @param {string} host - The host address of the receiver
+ * @param {ZoneDefinition[]} zones - The zones supported by the protocol
+ * @returns {Promise<ReceiverCapabilities | undefined>} The capabilities, or undefined if the receiver has no web interface
+ */
+export async function getReceiverCapabilities(host, zones) {
+	for (const port of HTTP_PORTS) {
+		const baseURL = `http://${host}:${port}`;
+
+		/** @type {Document} */
+		let deviceInfo;
+		try {
+			deviceInfo = await fetchXML(`${baseURL}/goform/Deviceinfo.xml`);
+		} catch (error) {
+			continue;
+		}
+
+		const zoneCount = Math.max(1, Math.min(
+			parseInt(deviceInfo.getElementsByTagName("DeviceZones")[0]?.textContent || "1") || 1,
+			zones.length
+		));
+
+		/** @type {Partial<Record<ReceiverFeature, boolean>>} */
+		const features = {};
+		for (const [feature, tags] of Object.entries(FEATURE_TAGS)) {
+			const elements = tags.flatMap((tag) => Array.from(deviceInfo.getElementsByTagName(tag)));
+			if (elements.length === 0) continue;
+
+			// Features are listed with a <Control> flag, 1 meaning supported
+			features[/** @type {ReceiverFeature} */ (feature)] = elements.some((element) =>
+				(element.getElementsByTagName("Control")[0]?.textContent || element.textContent)?.trim() === "1"
+			);
+		}
+
+		/** @type {Array<string | undefined>} */
+		const zoneNames = [];
+		for (let zone = 0; zone < zoneCount; zone++) {
+			try {
+				const status = await fetchXML(`${baseURL}/goform/formMainZone_MainZoneXml.xml?ZoneName=${encodeURIComponent(zones[zone].httpName)}`);
+				zoneNames[zone] = status.getElementsByTagName("RenameZone")[0]
+					?.getElementsByTagName("value")[0]?.textContent?.trim() || undefined;
+			} catch (error) {
+				zoneNames[zone] = undefined;
+			}
+		}
+
+		// Model names are reported with a leading "*", e.g. "*AVR-X2400H"
+		const modelName = deviceInfo.getElementsByTagName("ModelName")[0]?.textContent?.trim().replace(/^\*/, "") || undefined;
+
+		return { zoneCount, zoneNames, features, modelName };
+	}
+}
+
+/**
+ * Fetch a URL and parse the response as XML
+ * @param {string} url - The URL to fetch
+ * @returns {Promise<Document>}
+ */
+async function fetchXML(url) {
+	const response = await fetch(url, { signal: AbortSignal.timeout(HTTP_TIMEOUT) });
+	if (!response.ok) {
+		throw Object.assign(new Error(`HTTP ${response.status} ${response.statusText}`), { code: "EHTTP" });
+	}
+
+	const text = await response.text();
+	return /** @type {Document} */ (/** @type {unknown} */ (new DOMParser().parseFromString(text, "text/xml")));
+}
\ No newline at end of file
@@ -0,0 +1,267 @@
+/**
+ * Just enough of multicast DNS (RFC 6762) and DNS-SD (RFC 6763) to find devices advertising a service type.
+ * Queries are sent from an ephemeral port, so responders answer with plain unicast DNS responses.
+ */
+
+export const MDNS_PORT = 5353;
+export const MDNS_ADDRESS = "224.0.0.251";
+
+/** DNS record types used for service discovery */
+const RECORD_TYPES = {
+	A: 1,
+	PTR: 12,
+	TXT: 16,
+	SRV: 33
+};
+
+/** The Internet class, with the "cache flush" / "unicast response" bit masked out */
+const CLASS_IN = 1;
+
+/** The maximum number of compression pointers to follow in a name, guards against pointer loops */
+const MAX_NAME_POINTERS = 32;
+
+/**
+ * A resource record from a DNS message
+ * @typedef {Object} MDNSRecord
+ * @property {string} name - The name the record is for, e.g. "Living Room._heos-audio._tcp.local"
+ * @property {number} type - The record type, e.g. 12 for PTR
+ * @property {number} ttl - The time to live in seconds, 0 when the device is going away
+ * @property {string | string[] | {port: number, target: string} | undefined} data - The decoded record data, for the types used here
+ */
+
+/**
+ * A service instance found on the network
+ * @typedef {Object} MDNSService
+ * @property {string} name - The instance name, without the service type, e.g. "Living Room"
+ * @property {string} type - The service type, e.g. "_heos-audio._tcp.local"
+ * @property {string} [host] - The host name of the device, e.g. "Denon-AVR.local"
+ * @property {number} [port] - The port of the service
+ * @property {string[]} addresses - The IPv4 addresses of the device
+ * @property {Record<string, string>} txt - The key/value pairs from the TXT record
+ */
+
+/**
+ * Create a query for the instances of one or more service types
+ * @param {string[]} serviceTypes - The service types, e.g. "_heos-audio._tcp.local"
+ * @returns {Buffer}
+ */
+export function createServiceQuery(serviceTypes) {
+	const header = Buffer.alloc(12);
+	header.writeUInt16BE(serviceTypes.length, 4); // Question count, ID and flags stay 0
+
+	const questions = serviceTypes.map((serviceType) => {
+		const tail = Buffer.alloc(4);
+		tail.writeUInt16BE(RECORD_TYPES.PTR, 0);
+		tail.writeUInt16BE(CLASS_IN, 2);
+		return Buffer.concat([encodeName(serviceType), tail]);
+	});
+
+	return Buffer.concat([header, ...questions]);
+}
+
+/**
+ * Read the resource records from a DNS response, ignoring queries from other devices.
+ * Any device on the network can send anything to the mDNS port, so every read is checked against the message length.
+ * @param {Buffer} message - The DNS message
+ * @returns {MDNSRecord[]} The answer, authority and additional records
+ * @throws {Error} If the message is truncated or malformed
+ */
+export function parseResponse(message) {
+	if (message.length < 12) return [];
+
+	const flags = message.readUInt16BE(2);
+	if ((flags & 0x8000) === 0) return []; // A query, not a response
+
+	const questionCount = message.readUInt16BE(4);
+	const recordCount = message.readUInt16BE(6) + message.readUInt16BE(8) + message.readUInt16BE(10);
+
+	let offset = 12;
+
+	// Skip the questions, legacy unicast responses repeat them
+	for (let i = 0; i < questionCount; i++) {
+		offset = readName(message, offset).end;
+		checkBounds(message, offset, 4); // Type and class
+		offset += 4;
+	}
+
+	/** @type {MDNSRecord[]} */
+	const records = [];
+
+	for (let i = 0; i < recordCount; i++) {
+		const { name, end } = readName(message, offset);
+		checkBounds(message, end, 10); // Type, class, TTL and data length
+
+		const type = message.readUInt16BE(end);
+		const ttl = message.readUInt32BE(end + 4);
+		const length = message.readUInt16BE(end + 8);
+		const dataStart = end + 10;
+
+		checkBounds(message, dataStart, length);
+
+		records.push({ name, type, ttl, data: readRecordData(message, type, dataStart, length) });
+		offset = dataStart + length;
+	}
+
+	return records;
+}
+
+/**
+ * Combine the records of one or more responses into the service instances they describe
+ * @param {MDNSRecord[]} records - The records from the responses
+ * @param {string[]} serviceTypes - The service types to look for
+ * @returns {MDNSService[]}
+ */
+export function collectServices(records, serviceTypes) {
+	const types = serviceTypes.map((serviceType) => serviceType.toLowerCase());
+
+	/**
+	 * Find the data of the records of a type for a name, DNS names are case insensitive
+	 * @param {number} type
+	 * @param {string} name
+	 */
+	const find = (type, name) => records
+		.filter((record) => record.type === type && record.ttl > 0 && record.name.toLowerCase() === name.toLowerCase())
+		.map((record) => record.data);
+
+	/** @type {Map<string, MDNSService>} */
+	const services = new Map();
+
+	for (const record of records) {
+		if (record.type !== RECORD_TYPES.PTR || record.ttl === 0 || !types.includes(record.name.toLowerCase())) continue;
+
+		const instance = /** @type {string} */ (record.data);
+		if (services.has(instance.toLowerCase())) continue;
+
+		const srv = /** @type {{port: number, target: string} | undefined} */ (find(RECORD_TYPES.SRV, instance)[0]);
+		const txt = /** @type {string[] | undefined} */ (find(RECORD_TYPES.TXT, instance)[0]) || [];
+		const addresses = srv ? /** @type {string[]} */ (find(RECORD_TYPES.A, srv.target)) : [];
+
+		services.set(instance.toLowerCase(), {
+			name: instance.slice(0, instance.length - record.name.length - 1),
+			type: record.name,
+			host: srv?.target,
+			port: srv?.port,
+			addresses: [...new Set(addresses)],
+			txt: Object.fromEntries(txt.map((entry) => {
+				const separator = entry.indexOf("=");
+				return separator < 0 ? [entry, ""] : [entry.slice(0, separator), entry.slice(separator + 1)];
+			}))
+		});
+	}
+
+	return [...services.values()];
+}
+
+/**
+ * Encode a domain name as DNS labels
+ * @param {string} name - The name, e.g. "_http._tcp.local"
+ * @returns {Buffer}
+ */
+function encodeName(name) {
+	const labels = name.split(".").filter((label) => label.length > 0);
+	return Buffer.concat([
+		...labels.map((label) => {
+			const bytes = Buffer.from(label, "utf8");
+			return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+		}),
+		Buffer.from([0])
+	]);
+}
+
+/**
+ * Make sure a read stays inside the message
+ * @param {Buffer} message - The DNS message
+ * @param {number} offset - Where the read starts
+ * @param {number} length - The number of bytes to read
+ * @throws {Error} If the read would go past the end of the message
+ */
+function checkBounds(message, offset, length) {
+	if (offset + length > message.length) {
+		throw new Error(`Truncated mDNS message, ${length} byte(s) at offset ${offset} go past its end (${message.length} bytes)`);
+	}
+}
+
+/**
+ * Read a (possibly compressed) domain name from a DNS message
+ * @param {Buffer} message - The DNS message
+ * @param {number} offset - Where the name starts
+ * @returns {{name: string, end: number}} The name, and where the data after it starts
+ * @throws {Error} If the name is truncated, malformed or loops
+ */
+function readName(message, offset) {
+	/** @type {string[]} */
+	const labels = [];
+	let end = -1;
+	let pointers = 0;
+
+	for (;;) {
+		checkBounds(message, offset, 1);
+		const length = message[offset];
+
+		if (length === 0) {
+			offset++;
+			break;
+		}
+
+		if ((length & 0xc0) === 0xc0) {
+			// A pointer to the rest of the name elsewhere in the message
+			checkBounds(message, offset, 2);
+			if (end < 0) end = offset + 2;
+			if (++pointers > MAX_NAME_POINTERS) {
+				throw new Error(`Malformed mDNS message, the name at offset ${offset} has more than ${MAX_NAME_POINTERS} compression pointers`);
+			}
+
+			offset = message.readUInt16BE(offset) & 0x3fff;
+			continue;
+		}
+
+		// The other label types (0x40 and 0x80) were never put to use
+		if ((length & 0xc0) !== 0) {
+			throw new Error(`Malformed mDNS message, unknown label type at offset ${offset}`);
+		}
+
+		checkBounds(message, offset + 1, length);
+		labels.push(message.toString("utf8", offset + 1, offset + 1 + length));
+		offset += 1 + length;
+	}
+
+	return { name: labels.join("."), end: end < 0 ? offset : end };
+}
+
+/**
+ * Decode the data of the record types used for service discovery
+ * @param {Buffer} message - The DNS message
+ * @param {number} type - The record type
+ * @param {number} offset - Where the record data starts
+ * @param {number} length - The length of the record data, already checked to be inside the message
+ * @returns {MDNSRecord["data"]}
+ * @throws {Error} If the record data is truncated or malformed
+ */
+function readRecordData(message, type, offset, length) {
+	switch (type) {
+		case RECORD_TYPES.A:
+			return length === 4 ? [...message.subarray(offset, offset + 4)].join(".") : undefined;
+		case RECORD_TYPES.PTR:
+			return readName(message, offset).name;
+		case RECORD_TYPES.SRV:
+			// Priority, weight and port, followed by the target name
+			if (length < 7) {
+				throw new Error(`Malformed mDNS message, the SRV record at offset ${offset} is too short (${length} bytes)`);
+			}
+			return { port: message.readUInt16BE(offset + 4), target: readName(message, offset + 6).name };
+		case RECORD_TYPES.TXT: {
+			/** @type {string[]} */
+			const entries = [];
+			for (let position = offset; position < offset + length;) {
+				const entryLength = message[position];
+				if (position + 1 + entryLength > offset + length) {
+					throw new Error(`Malformed mDNS message, the TXT entry at offset ${position} goes past the end of its record`);
+				}
+
+				if (entryLength > 0) entries.push(message.toString("utf8", position + 1, position + 1 + entryLength));
+				position += 1 + entryLength;
+			}
+			return entries;
+		}
+	}
+}
\ No newline at end of file
@@ -0,0 +1,154 @@
+import net from "net";
+import { TelnetSocket } from "telnet-stream";
+
+/** @typedef {import("@elgato/streamdeck").Logger} Logger */
+
+/** The address the server listens on, only tools on this computer can connect */
+const MULTIPLEXER_HOST = "127.0.0.1";
+
+/** The number of tools that can share the connection at once */
+const MULTIPLEXER_MAX_CLIENTS = 8;
+
+/** The longest command a client may send, the protocol's commands are far shorter */
+const MAX_COMMAND_LENGTH = 135;
+
+/**
+ * A local TCP server that lets other tools (e.g. home automation scripts) share the plugin's telnet session,
+ * since the receiver only accepts a single one. Commands from the clients are sent through the plugin's connection,
+ * and every line received from the receiver is sent to all clients, as if they were connected to it directly.
+ */
+export class TelnetMultiplexer {
+	/** @type {Logger} */
+	logger;
+
+	/**
+	 * The listening server
+	 * @type {net.Server}
+	 */
+	#server;
+
+	/**
+	 * The connected clients
+	 * @type {Set<TelnetSocket>}
+	 */
+	#clients = new Set();
+
+	/**
+	 * The local port the server listens on
+	 * @type {number}
+	 */
+	#port;
+	get port() { return this.#port; }
+
+	/**
+	 * Resolves once the server is listening, rejects if it can't listen on the port (e.g. another program uses it)
+	 * @type {Promise<void>}
+	 */
+	listening;
+
+	/**
+	 * Create a new multiplexer and start listening for clients
+	 * @param {number} port - The local port to listen on
+	 * @param {(command: string) => void} onCommand - Called with each command a client sends
+	 * @param {Logger} logger - The logger to use
+	 */
+	constructor(port, onCommand, logger) {
+		this.logger = logger.createScope(this.constructor.name);
+		this.#port = port;
+
+		this.#server = net.createServer((socket) => this.#onClient(socket, onCommand));
+
+		this.listening = new Promise((resolve, reject) => {
+			this.#server.once("listening", resolve);
+			this.#server.once("error", reject);
+		});
+
+		this.#server.on("error", (error) => {
+			this.logger.warn(`Can't share the receiver connection on port ${port}: ${error.message}`);
+		});
+
+		this.#server.listen(port, MULTIPLEXER_HOST, () => {
+			this.logger.info(`Sharing the receiver connection on ${MULTIPLEXER_HOST}:${port}`);
+		});
+	}
+
+	/**
+	 * Send a line received from the receiver to every client
+	 * @param {string} line - The line, without its trailing carriage return
+	 */
+	broadcast(line) {
+		for (const client of this.#clients) {
+			client.write(line + "\r");
+		}
+	}
+
+	/**
+	 * Stop listening and disconnect the clients
+	 */
+	close() {
+		this.#server.close();
+
+		for (const client of this.#clients) {
+			client.destroy();
+		}
+		this.#clients.clear();
+	}
+
+	/**
+	 * Handle a new client connecting
+	 * @param {net.Socket} socket - The client socket
+	 * @param {(command: string) => void} onCommand - Called with each command the client sends
+	 */
+	#onClient(socket, onCommand) {
+		if (this.#clients.size >= MULTIPLEXER_MAX_CLIENTS) {
+			this.logger.warn(`Refused a client on port ${this.#port}, ${MULTIPLEXER_MAX_CLIENTS} are already connected.`);
+			socket.destroy();
+			return;
+		}
+
+		const client = new TelnetSocket(socket);
+		this.#clients.add(client);
+
+		this.logger.debug(`Client ${socket.remoteAddress}:${socket.remotePort} connected, ${this.#clients.size} sharing the connection.`);
+
+		// Ignore standard telnet negotiation, e.g. from a telnet command line client
+		client.on("do", (option) => client.writeWont(option));
+		client.on("will", (option) => client.writeDont(option));
+
+		let buffer = "";
+		client.on("data", (data) => {
+			buffer += data.toString();
+
+			// Clients may end commands with CR (like the receiver), LF or CRLF
+			const lines = buffer.split(/[\r\n]+/);
+			buffer = lines.pop() || "";
+
+			if (buffer.length > MAX_COMMAND_LENGTH) {
+				this.logger.warn(`Dropped an overlong command from a client on port ${this.#port}.`);
+				buffer = "";
+			}
+
+			for (const line of lines) {
+				const command = line.trim();
+				if (command.length === 0) continue;
+
+				if (command.length > MAX_COMMAND_LENGTH || !/^[\x20-\x7e]+$/.test(command)) {
+					this.logger.warn(`Dropped an invalid command from a client on port ${this.#port}.`);
+					continue;
+				}
+
+				this.logger.trace(`Client command: ${command}`);
+				onCommand(command);
+			}
+		});
+
+		client.on("error", (error) => {
+			this.logger.debug(`Client error on port ${this.#port}: ${error.message}`);
+		});
+
+		client.on("close", () => {
+			this.#clients.delete(client);
+			this.logger.debug(`Client disconnected, ${this.#clients.size} sharing the connection.`);
+		});
+	}
+}
\ No newline at end of file
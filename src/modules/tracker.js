@@ -1,4 +1,6 @@
 import dgram from "dgram";
+import dns from "dns";
+import net from "net";
 import os from "os";
 import { EventEmitter } from "events";
 import { DOMParser } from "@xmldom/xmldom";
@@ -8,17 +10,46 @@ import { DOMParser } from "@xmldom/xmldom";
 import streamDeck from "@elgato/streamdeck";
 /** @typedef {import("@elgato/streamdeck").Logger} Logger */
 
+import { getPlayersFromHostByTelnet } from "./heos";
+import { getReceiverCapabilities } from "./http";
+import { AVRConnection } from "./connection";
+import { MDNS_ADDRESS, MDNS_PORT, collectServices, createServiceQuery, parseResponse } from "./mdns";
+/** @typedef {import("./mdns").MDNSRecord} MDNSRecord */
+/** @typedef {import("./mdns").MDNSService} MDNSService */
+
 /**
  * @typedef {Object} ReceiverInfo
  * @property {string} currentIP - The current IP address of the receiver
  * @property {number} lastSeen - The timestamp of the last time we saw a message
  * @property {string} [descriptionURL] - The URL to the description page of the receiver
  * @property {string} [name] - The name of the receiver (if known)
+ * @property {Transport} [transport] - How to talk to the receiver, as chosen by the user
+ * @property {number} [sharePort] - The local port the connection to the receiver is shared on with other tools, as chosen by the user
+ * @property {Record<string, string>} [sources] - The inputs the receiver last reported using, mapped to their names
+ * @property {number} [heosPID] - The HEOS player ID, for HEOS speakers that are controlled over HEOS rather than as a receiver
+ * @property {string} [modelName] - The model of the receiver, e.g. "AVR-X2400H"
+ * @property {string} [manufacturer] - The manufacturer of the receiver, e.g. "Denon"
+ * @property {string} [serial] - The serial number of the receiver
+ * @property {ReceiverCapabilities} [capabilities] - What the receiver model can do, if its web interface reported it
+ * @property {boolean} [manual] - Whether the user added the receiver by its address, rather than it being discovered
+ * @property {string} [hostname] - The hostname the user added the receiver by, if it wasn't an IP address
+ * @property {boolean} [online] - Whether the receiver last announced itself as online (true) or leaving the network (false), unknown if undefined
  */
 
+/** @typedef {import("./connection").Transport} Transport */
+/** @typedef {import("./http").ReceiverCapabilities} ReceiverCapabilities */
+/** @typedef {import("./http").ReceiverFeature} ReceiverFeature */
+
 /** @typedef {string} UUID */
 /** @typedef {Record<UUID, ReceiverInfo>} ReceiverList */
 
+/** @typedef {"updated" | "scanned" | "online" | "offline"} TrackerEvent */
+
+/**
+ * How to find receivers on the network, as chosen by the user for the whole plugin
+ * @typedef {"ssdp" | "mdns" | "both"} DiscoveryMethod
+ */
+
 const SSDP_BROADCAST_PORT = 1900;
 const SSDP_BROADCAST_ADDRESS = "239.255.255.250";
 const SSDP_SEARCH_TARGET = "urn:schemas-denon-com:device:ACT-Denon:1";
@@ -26,6 +57,18 @@ const SSDP_SEARCH_MX = 3; // 3 seconds
 const SSDP_BROADCAST_INTERVAL = (SSDP_SEARCH_MX) * 1000; // 3000 ms
 const SSDP_BROADCAST_LIMIT = 3; // Number of broadcasts to send before stopping
 
+/** HEOS devices advertise the first service, receivers also advertise their web interface with the second */
+const MDNS_SERVICE_TYPES = ["_heos-audio._tcp.local", "_http._tcp.local"];
+/** Plenty of other devices advertise a web interface, only the ones named after a receiver brand are of interest */
+const MDNS_HTTP_NAME_PATTERN = /denon|marantz/i;
+const MDNS_BROWSE_TIME = 3000; // 3 seconds
+
+/** How long to wait for a receiver found over mDNS to answer an SSDP search sent to it directly */
+const SSDP_UNICAST_TIMEOUT = 2000; // 2 seconds
+
+const TELNET_PORT = 23;
+const TELNET_PROBE_TIMEOUT = 2000; // 2 seconds
+
 /** @type {Logger} */
 let logger = streamDeck.logger;
 
@@ -40,6 +83,13 @@ let receiverList = {};
  */
 let cacheWriteTimer;
 
+/**
+ * The plugin-wide settings as last received, which the receiver list is written on top of,
+ * so settings the user changed in the meantime aren't reverted
+ * @type {Record<string, any>}
+ */
+let globalSettings = {};
+
 /**
  * Whether the tracker is currently scanning for receivers, used to prevent duplicate scans.
  * Defaults to true to ensure initialization completes before any actions attempt to connect.
@@ -47,17 +97,30 @@ let cacheWriteTimer;
  */
 let isScanning = true;
 
+/**
+ * The socket listening for receivers announcing themselves (NOTIFY messages), once started
+ * @type {Socket | undefined}
+ */
+let notifySocket;
+
+/**
+ * The searches for single receivers in progress, keyed by UUID
+ * @type {Map<UUID, Promise<string | undefined>>}
+ */
+const locatingReceivers = new Map();
+
 /**
  * Create an SSDP search message
  * @param {number} [mx] - The maximum wait time for a response
+ * @param {string} [searchTarget] - What to search for, all receivers by default
  * @returns {string}
  */
-function createSSDPMessage(mx = SSDP_SEARCH_MX) {
+function createSSDPMessage(mx = SSDP_SEARCH_MX, searchTarget = SSDP_SEARCH_TARGET) {
 	const message = 'M-SEARCH * HTTP/1.1\r\n' +
 		`HOST: ${SSDP_BROADCAST_ADDRESS}:${SSDP_BROADCAST_PORT}\r\n` +
 		'MAN: "ssdp:discover"\r\n' +
 		`MX: ${mx}\r\n` +
-		`ST: ${SSDP_SEARCH_TARGET}\r\n` +
+		`ST: ${searchTarget}\r\n` +
 		'\r\n';
 	logger.debug(`Created SSDP message:\n${message}`);
 	return message;
@@ -82,42 +145,64 @@ function parseHeaders(message) {
 }
 
 /**
- * Handle a response from a receiver on the network
- * @param {Buffer} message - The message from the response
- * @param {RemoteInfo} rinfo - The remote info from the response
+ * Get the UUID of a receiver from the USN header of an SSDP message
+ * @param {Record<string, string>} headers - The headers of the message
+ * @param {RemoteInfo} rinfo - The remote info of the message
+ * @returns {UUID | undefined}
  */
-function onResponse(message, rinfo) {
-	const headers = parseHeaders(message);
-
+function getUUIDFromHeaders(headers, rinfo) {
 	const usn = headers.USN;
 	if (!usn) {
-		logger.debug(`AVRTracker received a response without a USN from ${rinfo.address}`);
+		logger.debug(`AVRTracker received a message without a USN from ${rinfo.address}`);
 		return;
 	}
 
 	/** @type {UUID} */
 	const uuid = usn.split("::")[0].split("uuid:")[1];
 	if (!uuid) {
-		logger.debug(`AVRTracker received a response with an invalid USN from ${rinfo.address}`);
+		logger.debug(`AVRTracker received a message with an invalid USN from ${rinfo.address}`);
 		return;
 	}
 
+	return uuid;
+}
+
+/**
+ * Handle a response from a receiver on the network, or its announcement that it's online
+ * @param {Buffer} message - The message from the response
+ * @param {RemoteInfo} rinfo - The remote info from the response
+ */
+function onResponse(message, rinfo) {
+	const headers = parseHeaders(message);
+
+	const uuid = getUUIDFromHeaders(headers, rinfo);
+	if (!uuid) return;
+
 	logger.debug(`AVRTracker received an SSDP response from ${uuid}`);
 
 	const isNew = !receiverList[uuid];
+	const wasOnline = receiverList[uuid]?.online === true;
 
-	// Update the list of receivers with details from the response
+	// Update the list of receivers with details from the response, keeping what's already known about it
 	/** @type {ReceiverInfo} */
 	const receiver = {
+		...receiverList[uuid],
 		currentIP: rinfo.address,
 		descriptionURL: headers.LOCATION || undefined,
-		lastSeen: Date.now()
+		lastSeen: Date.now(),
+		online: true
 	};
 	receiverList[uuid] = receiver;
 
+	if (!wasOnline) {
+		setImmediate(() => emitter.emit("online", uuid));
+	}
+
 	// If we have a description URL, try to get the name from it
 	if (receiver.descriptionURL && !receiver.name) {
 		updateNameFromDescriptionURL(uuid)
+			.catch((error) => logger.warn(`AVRTracker couldn't read the device description of ${uuid}: ${error.message}`))
+			.then(() => receiver.capabilities || updateCapabilities(uuid))
 			.then(() => {
 				if (isNew) {
 					emitter.emit("updated");
@@ -135,6 +220,46 @@ function onResponse(message, rinfo) {
 	updatePersistentCache();
 }
 
+/**
+ * Handle a message sent to the SSDP multicast group, only receivers announcing themselves are of interest
+ * @param {Buffer} message - The message
+ * @param {RemoteInfo} rinfo - The remote info of the message
+ */
+function onNotify(message, rinfo) {
+	if (!message.toString().startsWith("NOTIFY")) return;
+
+	const headers = parseHeaders(message);
+	if (headers.NT !== SSDP_SEARCH_TARGET) return;
+
+	switch (headers.NTS) {
+		case "ssdp:alive":
+			onResponse(message, rinfo);
+			break;
+		case "ssdp:byebye":
+			onByeBye(headers, rinfo);
+			break;
+	}
+}
+
+/**
+ * Handle a receiver announcing that it's leaving the network, e.g. because it's going into standby without network control
+ * @param {Record<string, string>} headers - The headers of the message
+ * @param {RemoteInfo} rinfo - The remote info of the message
+ */
+function onByeBye(headers, rinfo) {
+	const uuid = getUUIDFromHeaders(headers, rinfo);
+	const receiver = uuid ? receiverList[uuid] : undefined;
+	if (!uuid || !receiver || receiver.online === false) return;
+
+	logger.info(`AVRTracker received a byebye from ${receiver.name || uuid}.`);
+
+	receiver.online = false;
+	receiver.lastSeen = Date.now();
+
+	emitter.emit("offline", uuid);
+	updatePersistentCache();
+}
+
 async function updateNameFromDescriptionURL(receiverID) {
 	const receiver = receiverList[receiverID];
 	if (!receiver || !receiver.descriptionURL) {
@@ -160,21 +285,332 @@ async function updateNameFromDescriptionURL(receiverID) {
 		delete receiver.descriptionURL;
 		logger.debug(`Couldn't find friendlyName in the device description for ${receiverID}`);
 	}
+
+	receiver.modelName = xmlDoc.getElementsByTagName("modelName")[0]?.textContent?.trim() || receiver.modelName;
+	receiver.manufacturer = xmlDoc.getElementsByTagName("manufacturer")[0]?.textContent?.trim() || receiver.manufacturer;
+	receiver.serial = xmlDoc.getElementsByTagName("serialNumber")[0]?.textContent?.trim() || receiver.serial;
+}
+
+/**
+ * Read what the receiver model can do (zones, zone names and optional features) from its web interface.
+ * Without them, every zone and feature is offered, so a failure is only logged.
+ * @param {UUID} receiverID - The UUID of the receiver
+ */
+async function updateCapabilities(receiverID) {
+	const receiver = receiverList[receiverID];
+	if (!receiver || receiver.heosPID !== undefined) {
+		return;
+	}
+
+	/** @type {ReceiverCapabilities | undefined} */
+	let capabilities;
+	try {
+		capabilities = await getReceiverCapabilities(receiver.currentIP, AVRConnection.zones);
+	} catch (error) {
+		logger.warn(`AVRTracker couldn't read the capabilities of ${receiverID}: ${error.message}`);
+		return;
+	}
+
+	if (!capabilities) {
+		logger.debug(`Couldn't get the capabilities of ${receiverID} from its web interface`);
+		return;
+	}
+
+	receiver.capabilities = capabilities;
+	receiver.modelName ||= capabilities.modelName;
+
+	logger.debug(`AVRTracker found ${capabilities.zoneCount} zone(s) on ${receiver.name || receiverID}, features: ${JSON.stringify(capabilities.features)}`);
+}
+
+/**
+ * Add the HEOS players that aren't receivers (e.g. Denon Home speakers), as listed by one of the receivers.
+ * Those speakers have no telnet control of their own, so they only show up through HEOS.
+ */
+async function discoverHEOSPlayers() {
+	const receivers = Object.values(receiverList).filter((receiver) => receiver.heosPID === undefined);
+
+	// Any receiver can list every player on the network, so stop at the first one that answers
+	let players;
+	for (const receiver of receivers) {
+		players = await getPlayersFromHostByTelnet(receiver.currentIP);
+		if (players) break;
+	}
+
+	if (!players) return;
+
+	let isUpdated = false;
+
+	for (const player of players) {
+		// Receivers that moved to another address are recognized by their serial number
+		const known = player.serial ? findReceiverBySerial(player.serial) : undefined;
+		if (known && known[1].currentIP !== player.ip) {
+			const [uuid, receiver] = known;
+			logger.info(`AVRTracker found ${receiver.name || uuid} at its new address ${player.ip} through HEOS.`);
+
+			receiver.currentIP = player.ip;
+			receiver.lastSeen = Date.now();
+			emitter.emit("online", uuid);
+			continue;
+		}
+
+		// The receivers themselves were already found
+		if (receivers.some((receiver) => receiver.currentIP === player.ip)) continue;
+
+		/** @type {UUID} */
+		const uuid = `heos-${player.pid}`;
+
+		isUpdated ||= !receiverList[uuid];
+
+		receiverList[uuid] = {
+			...receiverList[uuid],
+			currentIP: player.ip,
+			lastSeen: Date.now(),
+			name: player.name,
+			serial: player.serial,
+			heosPID: player.pid
+		};
+	}
+
+	logger.info(`AVRTracker found ${players.length} HEOS players on the network.`);
+
+	if (isUpdated) {
+		emitter.emit("updated");
+	}
+
+	updatePersistentCache();
+}
+
+/**
+ * Find a receiver in the list by its address
+ * @param {string} address - The IP address of the receiver
+ * @returns {[UUID, ReceiverInfo] | undefined}
+ */
+function findReceiverByAddress(address) {
+	return Object.entries(receiverList).find(([, receiver]) => receiver.currentIP === address);
+}
+
+/**
+ * Find a receiver in the list by its serial number, which stays the same when it moves to another address
+ * @param {string} serial - The serial number of the receiver
+ * @returns {[UUID, ReceiverInfo] | undefined}
+ */
+function findReceiverBySerial(serial) {
+	return Object.entries(receiverList).find(([, receiver]) => receiver.serial === serial);
+}
+
+/**
+ * Get the discovery method the user chose in the plugin-wide settings
+ * @returns {Promise<DiscoveryMethod>}
+ */
+async function getDiscoveryMethod() {
+	const settings = await streamDeck.settings.getGlobalSettings();
+	return /** @type {DiscoveryMethod | undefined} */ (settings.discovery) || "ssdp";
+}
+
+/**
+ * Get the IPv4 addresses of the network interfaces that aren't internal
+ * @returns {string[]}
+ */
+function getInterfaceAddresses() {
+	return Object.values(os.networkInterfaces())
+		.flatMap((iface) => iface || [])
+		.filter((address) => address.family === "IPv4" && !address.internal)
+		.map((address) => address.address);
+}
+
+/**
+ * Browse for receivers advertising themselves over mDNS (Bonjour), for networks that block SSDP multicast
+ * @param {number} [duration] - How long to wait for answers, in milliseconds
+ */
+async function browseMDNS(duration = MDNS_BROWSE_TIME) {
+	/** @type {MDNSRecord[]} */
+	const records = [];
+
+	const socket = dgram.createSocket({ type: "udp4", reuseAddr: true })
+	.on("message", (message, rinfo) => {
+		// Anything on the network can send to the mDNS port, a bad packet mustn't take the plugin down
+		try {
+			records.push(...parseResponse(message));
+		} catch (error) {
+			logger.warn(`AVRTracker dropped a bad mDNS response from ${rinfo.address}: ${error.message}`);
+		}
+	})
+	.on("error", (error) => {
+		logger.error(`mDNS socket error: ${error}`);
+	});
+
+	await new Promise((resolve) => socket.bind(0, () => resolve(undefined)));
+
+	logger.info("AVRTracker browsing mDNS for HEOS receivers on the network...");
+
+	// Send the query on each interface
+	const query = createServiceQuery(MDNS_SERVICE_TYPES);
+	for (const address of getInterfaceAddresses()) {
+		try {
+			socket.setMulticastInterface(address);
+			await new Promise((resolve) => socket.send(query, MDNS_PORT, MDNS_ADDRESS, (err) => {
+				if (err) {
+					logger.error(`Failed to send mDNS query on interface ${address}: ${err.message}`);
+				}
+				resolve(undefined);
+			}));
+		} catch (err) {
+			logger.error(`Error sending mDNS query on interface ${address}: ${err.message}`);
+		}
+	}
+
+	await new Promise((resolve) => setTimeout(resolve, duration));
+	socket.close();
+
+	const services = collectServices(records, MDNS_SERVICE_TYPES)
+		.filter((service) => service.type.toLowerCase().startsWith("_heos-audio.") || MDNS_HTTP_NAME_PATTERN.test(service.name));
+
+	logger.info(`AVRTracker found ${services.length} receiver services over mDNS.`);
+
+	// Receivers advertise more than one service, so handle each address once
+	/** @type {Set<string>} */
+	const handledAddresses = new Set();
+
+	for (const service of services) {
+		for (const address of service.addresses) {
+			if (handledAddresses.has(address)) continue;
+			handledAddresses.add(address);
+
+			await onMDNSService(service, address);
+		}
+	}
+}
+
+/**
+ * Merge a receiver found over mDNS into the receiver list.
+ * A receiver that's already known (e.g. from SSDP) is only refreshed. Otherwise its UUID is asked for
+ * with an SSDP search sent straight to it, which gets through where multicast doesn't, so the same
+ * receiver isn't listed twice when it's found both ways. Receivers that don't answer SSDP at all are
+ * kept under their serial number or advertised name, so they're recognized again at a new address.
+ * @param {MDNSService} service - The service the receiver advertised
+ * @param {string} address - The IP address of the receiver
+ */
+async function onMDNSService(service, address) {
+	let known = findReceiverByAddress(address);
+	if (!known) {
+		await searchSSDPAtAddress(address);
+
+		// The SSDP answer added the receiver under its UUID
+		if (findReceiverByAddress(address)) return;
+	}
+
+	if (known) {
+		const [uuid, receiver] = known;
+		receiver.lastSeen = Date.now();
+
+		if (receiver.online !== true) {
+			receiver.online = true;
+			emitter.emit("online", uuid);
+		}
+		return;
+	}
+
+	// HEOS speakers advertise the same service, but have no telnet control and are found through the receivers instead
+	if (!await probeTelnet(address)) return;
+
+	// The receiver's own HEOS player has its name and serial number
+	const players = await getPlayersFromHostByTelnet(address);
+	const player = players?.find((player) => player.ip === address);
+
+	/** @type {UUID} */
+	const uuid = (player?.serial && findReceiverBySerial(player.serial)?.[0]) || `mdns-${player?.serial || service.name}`;
+
+	const moved = receiverList[uuid];
+	if (moved) {
+		logger.info(`AVRTracker found ${moved.name || uuid} at its new address ${address} over mDNS.`);
+
+		moved.currentIP = address;
+		moved.lastSeen = Date.now();
+		moved.online = true;
+
+		emitter.emit("online", uuid);
+		updatePersistentCache();
+		return;
+	}
+
+	receiverList[uuid] = {
+		currentIP: address,
+		lastSeen: Date.now(),
+		name: player?.name || service.name,
+		serial: player?.serial,
+		online: true
+	};
+
+	logger.info(`AVRTracker added ${receiverList[uuid].name} at ${address} from mDNS.`);
+
+	emitter.emit("updated");
+	emitter.emit("online", uuid);
+	updatePersistentCache();
+}
+
+/**
+ * Send an SSDP search straight to one address, and wait a moment for its answer
+ * @param {string} address - The IP address to search at
+ */
+async function searchSSDPAtAddress(address) {
+	const socket = dgram.createSocket("udp4")
+	.on("message", (message, rinfo) => onResponse(message, rinfo))
+	.on("error", (error) => {
+		logger.error(`Socket error searching at ${address}: ${error}`);
+	});
+
+	await new Promise((resolve) => socket.bind(0, () => resolve(undefined)));
+
+	socket.send(createSSDPMessage(1), SSDP_BROADCAST_PORT, address, (err) => {
+		if (err) {
+			logger.error(`Failed to send SSDP message to ${address}: ${err.message}`);
+		}
+	});
+
+	const startTime = Date.now();
+	while (!findReceiverByAddress(address) && Date.now() - startTime < SSDP_UNICAST_TIMEOUT) {
+		await new Promise((resolve) => setTimeout(resolve, 100));
+	}
+
+	socket.close();
+}
+
+/**
+ * Check that something accepts connections on the receiver's telnet port
+ * @param {string} host - The IP address or hostname to check
+ * @returns {Promise<boolean>}
+ */
+function probeTelnet(host) {
+	return new Promise((resolve) => {
+		const socket = net.createConnection({ host, port: TELNET_PORT, timeout: TELNET_PROBE_TIMEOUT });
+
+		/** @param {boolean} result */
+		const finish = (result) => {
+			socket.destroy();
+			resolve(result);
+		};
+
+		socket.on("connect", () => finish(true));
+		socket.on("timeout", () => finish(false));
+		socket.on("error", (error) => {
+			logger.debug(`AVRTracker couldn't reach ${host} on port ${TELNET_PORT}: ${error.message}`);
+			finish(false);
+		});
+	});
 }
 
 /**
  * Update the global settings cache with the new receiver details.
  */
 function updatePersistentCache() {
-	streamDeck.settings.getGlobalSettings().then((settings) => {
-		settings.receiverList = receiverList;
-		streamDeck.settings.setGlobalSettings(settings)
-		.then(() => {
-			logger.debug("AVRTracker updated the global settings cache with the new receiver details.");
-		})
-		.catch((error) => {
-			logger.error(`AVRTracker failed to update the global settings cache: ${error}`);
-		});
+	globalSettings = { ...globalSettings, receiverList };
+
+	streamDeck.settings.setGlobalSettings(globalSettings)
+	.then(() => {
+		logger.debug("AVRTracker updated the global settings cache with the new receiver details.");
+	})
+	.catch((error) => {
+		logger.error(`AVRTracker failed to update the global settings cache: ${error}`);
 	});
 }
 
@@ -183,12 +619,48 @@ function updatePersistentCache() {
  */
 async function readFromPersistentCache() {
 	const settings = (await streamDeck.settings.getGlobalSettings());
+	globalSettings = settings;
 
 	if (settings.receiverList) {
 		receiverList = /** @type {ReceiverList} */ (settings.receiverList);
+
+		// Whether the receivers are online now is only known once they answer again
+		Object.values(receiverList).forEach((receiver) => delete receiver.online);
 	}
 }
 
+/**
+ * Start listening for receivers announcing themselves on the SSDP multicast group,
+ * so receivers that are switched on or plugged in later are found without a scan
+ */
+async function startNotifyListener() {
+	const socket = dgram.createSocket({ type: "udp4", reuseAddr: true })
+	.on("message", (message, rinfo) => onNotify(message, rinfo))
+	.on("error", (error) => {
+		logger.error(`SSDP listener error: ${error}`);
+	});
+
+	await new Promise((resolve, reject) => {
+		socket.once("error", reject);
+		socket.bind(SSDP_BROADCAST_PORT, () => {
+			socket.off("error", reject);
+			resolve(undefined);
+		});
+	});
+
+	// Join the multicast group on each IPv4 interface that isn't internal
+	for (const address of getInterfaceAddresses()) {
+		try {
+			socket.addMembership(SSDP_BROADCAST_ADDRESS, address);
+		} catch (err) {
+			logger.error(`Failed to listen for SSDP announcements on interface ${address}: ${err.message}`);
+		}
+	}
+
+	logger.debug(`AVRTracker listening for SSDP announcements on port ${SSDP_BROADCAST_PORT}`);
+	notifySocket = socket;
+}
+
 /**
  * Create a UDP socket for a specific network interface
  * @param {string} interfaceAddress - The IP address of the interface to bind to
@@ -233,6 +705,139 @@ async function createInterfaceSocket(interfaceAddress) {
 	return socket;
 }
 
+/**
+ * Send an SSDP message on each of the scanner sockets
+ * @param {Socket[]} sockets - The sockets to send on
+ * @param {string} message - The SSDP message
+ */
+function broadcastSSDPMessage(sockets, message) {
+	for (const socket of sockets) {
+		try {
+			socket.send(message, SSDP_BROADCAST_PORT, SSDP_BROADCAST_ADDRESS, (err) => {
+				if (err) {
+					logger.error(`Failed to send SSDP message on socket ${socket.address().address}: ${err.message}`);
+				} else {
+					logger.debug(`Successfully sent SSDP message on interface ${socket.address().address}`);
+				}
+			});
+		} catch (err) {
+			logger.error(`Error sending on socket ${socket.address().address}: ${err.message}`);
+		}
+	}
+}
+
+/**
+ * Find a receiver again the way it was found in the first place
+ * @param {UUID} uuid - The UUID of the receiver
+ * @returns {Promise<string | undefined>} The receiver's IP address, or undefined if it couldn't be found
+ */
+async function findReceiverAgain(uuid) {
+	const receiver = receiverList[uuid];
+
+	// Receivers added by hostname are wherever the hostname points now
+	if (receiver.hostname) {
+		let address;
+		try {
+			address = (await dns.promises.lookup(receiver.hostname, { family: 4 })).address;
+		} catch (error) {
+			logger.info(`AVRTracker couldn't resolve ${receiver.hostname}: ${error.message}`);
+			return;
+		}
+
+		if (address !== receiver.currentIP) {
+			logger.info(`AVRTracker found ${receiver.name || uuid} at its new address ${address} by its hostname.`);
+
+			receiver.currentIP = address;
+			updatePersistentCache();
+		}
+		return address;
+	}
+
+	// Receivers with a UUID of their own answer an SSDP search for it
+	if (!receiver.manual && receiver.heosPID === undefined && !uuid.startsWith("mdns-")) {
+		return searchForReceiver(uuid);
+	}
+
+	logger.info(`AVRTracker searching for receiver ${uuid}...`);
+
+	const startTime = Date.now();
+
+	if (uuid.startsWith("mdns-")) {
+		// Browsing finds the receiver at its new address, and recognizes it by its serial number or name
+		await browseMDNS(SSDP_BROADCAST_LIMIT * SSDP_BROADCAST_INTERVAL)
+			.catch((err) => logger.error(`AVRTracker failed to browse mDNS: ${err.message}`));
+	} else {
+		// The other receivers list the receiver or speaker at its new address, recognized by its serial number
+		await discoverHEOSPlayers();
+	}
+
+	if (!(receiverList[uuid]?.lastSeen > startTime)) {
+		logger.info(`AVRTracker didn't find receiver ${uuid}.`);
+		return;
+	}
+
+	return receiverList[uuid].currentIP;
+}
+
+/**
+ * Search for a single receiver by its UUID, and wait until it answers or the search times out
+ * @param {UUID} uuid - The UUID of the receiver
+ * @returns {Promise<string | undefined>} The receiver's IP address, or undefined if it didn't answer
+ */
+async function searchForReceiver(uuid) {
+	// A full scan is already running, which will find the receiver too
+	if (isScanning) {
+		const startTime = Date.now();
+		await new Promise((resolve) => emitter.once("scanned", resolve));
+		return receiverList[uuid]?.lastSeen > startTime ? receiverList[uuid].currentIP : undefined;
+	}
+
+	logger.info(`AVRTracker searching for receiver ${uuid}...`);
+
+	const method = await getDiscoveryMethod();
+	const startTime = Date.now();
+	const hasAnswered = () => receiverList[uuid]?.lastSeen > startTime;
+
+	// mDNS can't search for a UUID, but browsing finds the receiver at its new address and asks it for its UUID
+	await Promise.all([
+		method !== "mdns" && searchSSDPForUUID(uuid, hasAnswered),
+		method !== "ssdp" && browseMDNS(SSDP_BROADCAST_LIMIT * SSDP_BROADCAST_INTERVAL)
+			.catch((err) => logger.error(`AVRTracker failed to browse mDNS: ${err.message}`))
+	]);
+
+	if (!hasAnswered()) {
+		logger.info(`AVRTracker didn't get an answer from receiver ${uuid}.`);
+		return;
+	}
+
+	return receiverList[uuid].currentIP;
+}
+
+/**
+ * Broadcast SSDP searches for a single receiver until it answers or the searches run out
+ * @param {UUID} uuid - The UUID of the receiver
+ * @param {() => boolean} hasAnswered - Whether the receiver has answered
+ */
+async function searchSSDPForUUID(uuid, hasAnswered) {
+	/** @type {Socket[]} */
+	let sockets;
+	try {
+		sockets = await createScannerSockets();
+	} catch (err) {
+		logger.error(`AVRTracker can't search for ${uuid}: ${err.message}`);
+		return;
+	}
+
+	const message = createSSDPMessage(SSDP_SEARCH_MX, `uuid:${uuid}`);
+
+	for (let i = 1; i <= SSDP_BROADCAST_LIMIT && !hasAnswered(); i++) {
+		broadcastSSDPMessage(sockets, message);
+		await new Promise((resolve) => setTimeout(resolve, SSDP_BROADCAST_INTERVAL));
+	}
+
+	sockets.forEach(socket => socket.close());
+}
+
 /**
  * Create and return UDP sockets for all available network interfaces
  * @returns {Promise<Socket[]>}
@@ -275,11 +880,23 @@ async function createScannerSockets() {
 }
 
 /**
- * Utility module for tracking HEOS-enabled AVR receivers on the network via SSDP/UPnP protocol
+ * Utility module for tracking HEOS-enabled AVR receivers on the network via SSDP/UPnP protocol,
+ * along with the HEOS speakers they know of
  */
 export const AVRTracker = {
 	init: async () => {
-		// await readFromPersistentCache();
+		await readFromPersistentCache();
+
+		// Keep up with the settings the user changes, so the receiver list is written on top of them
+		streamDeck.settings.onDidReceiveGlobalSettings((ev) => {
+			globalSettings = ev.settings;
+		});
+
+		if (!notifySocket) {
+			// Not being able to listen only means receivers have to be found by scanning
+			await startNotifyListener()
+				.catch((err) => logger.warn(`AVRTracker can't listen for SSDP announcements: ${err.message}`));
+		}
 
 		// We've retrieved the receiver list from the cache, so we can clear the initial "scanning" state
 		isScanning = false;
@@ -309,9 +926,12 @@ export const AVRTracker = {
 			return receiverList;
 		}
 
-		const sockets = await createScannerSockets();
+		const method = await getDiscoveryMethod();
+		const sockets = method !== "mdns" ? await createScannerSockets() : [];
 
-		logger.info("AVRTracker broadcasting SSDP search for HEOS receivers on the network...");
+		if (sockets.length > 0) {
+			logger.info("AVRTracker broadcasting SSDP search for HEOS receivers on the network...");
+		}
 		isScanning = true;
 		const startTime = Date.now();
 
@@ -324,30 +944,27 @@ export const AVRTracker = {
 
 		const message = createSSDPMessage(maxWait);
 
+		// Browse mDNS for as long as the SSDP searches take
+		const browse = method !== "ssdp"
+			? browseMDNS(count * maxWait * 1000).catch((err) => logger.error(`AVRTracker failed to browse mDNS: ${err.message}`))
+			: undefined;
+
 		// The broadcast and wait loop
 		for (let i = 1; i <= count; i++) {
-			// Send on each socket
-			for (const socket of sockets) {
-				try {
-					socket.send(message, SSDP_BROADCAST_PORT, SSDP_BROADCAST_ADDRESS, (err) => {
-						if (err) {
-							logger.error(`Failed to send SSDP message on socket ${socket.address().address}: ${err.message}`);
-						} else {
-							logger.debug(`Successfully sent SSDP message on interface ${socket.address().address}`);
-						}
-					});
-				} catch (err) {
-					logger.error(`Error sending on socket ${socket.address().address}: ${err.message}`);
-				}
-			}
+			broadcastSSDPMessage(sockets, message);
 
 			logger.info(`AVRTracker sent request ${i} of ${count}. Waiting for replies...`);
 			await new Promise((resolve) => setTimeout(resolve, maxWait * 1000));
 		}
 
+		await browse;
+
 		// Close all sockets
 		sockets.forEach(socket => socket.close());
 
+		// Add the HEOS speakers next to the receivers that were found
+		await discoverHEOSPlayers();
+
 		AVRTracker.off("updated", onUpdate);
 		isScanning = false;
 		emitter.emit("scanned");
@@ -361,6 +978,140 @@ export const AVRTracker = {
 	 */
 	getReceivers: () => receiverList,
 
+	/**
+	 * Remember how to talk to a receiver
+	 * @param {UUID} uuid - The UUID of the receiver
+	 * @param {Transport} transport - The transport chosen by the user
+	 */
+	setReceiverTransport(uuid, transport) {
+		const receiver = receiverList[uuid];
+		if (!receiver || receiver.transport === transport) return;
+
+		receiver.transport = transport;
+		updatePersistentCache();
+	},
+
+	/**
+	 * Remember the local port a receiver's connection is shared on
+	 * @param {UUID} uuid - The UUID of the receiver
+	 * @param {number | undefined} port - The port chosen by the user, undefined to stop sharing
+	 */
+	setReceiverSharePort(uuid, port) {
+		const receiver = receiverList[uuid];
+		if (!receiver || receiver.sharePort === port) return;
+
+		receiver.sharePort = port;
+		updatePersistentCache();
+	},
+
+	/**
+	 * Remember the inputs a receiver reported, so they're known before it's connected next time
+	 * @param {UUID} uuid - The UUID of the receiver
+	 * @param {Record<string, string>} sources - The used inputs, mapped to their names
+	 */
+	setReceiverSources(uuid, sources) {
+		const receiver = receiverList[uuid];
+		if (!receiver || JSON.stringify(receiver.sources) === JSON.stringify(sources)) return;
+
+		receiver.sources = sources;
+		updatePersistentCache();
+	},
+
+	/**
+	 * Add a receiver by its IP address or hostname, for networks where it can't be discovered
+	 * @param {string} host - The IP address or hostname of the receiver
+	 * @returns {Promise<UUID | undefined>} The UUID of the receiver, or undefined if no receiver answered at that address
+	 */
+	async addManualReceiver(host) {
+		// HEOS reports players by IP address, so the receiver is kept at the address its hostname resolves to
+		let address;
+		try {
+			address = (await dns.promises.lookup(host, { family: 4 })).address;
+		} catch (error) {
+			logger.debug(`AVRTracker couldn't resolve ${host}: ${error.message}`);
+			return;
+		}
+
+		// The receiver may already be known, e.g. if it was discovered before or added by another name
+		const known = findReceiverByAddress(address);
+		if (known) {
+			logger.info(`AVRTracker already knows the receiver at ${host} as ${known[1].name || known[0]}.`);
+			return known[0];
+		}
+
+		if (!await probeTelnet(address)) {
+			return;
+		}
+
+		const players = await getPlayersFromHostByTelnet(address);
+		const player = players?.find((player) => player.ip === address);
+
+		// A receiver that was known before and has since moved is recognized by its serial number
+		const moved = player?.serial ? findReceiverBySerial(player.serial) : undefined;
+
+		/** @type {UUID} */
+		const uuid = moved?.[0] || `manual-${player?.serial || address}`;
+		if (moved) {
+			logger.info(`AVRTracker found ${moved[1].name || uuid} again at ${host}.`);
+
+			moved[1].currentIP = address;
+			moved[1].lastSeen = Date.now();
+		} else {
+			receiverList[uuid] = {
+				currentIP: address,
+				lastSeen: Date.now(),
+				name: player?.name || host,
+				serial: player?.serial,
+				manual: true
+			};
+
+			logger.info(`AVRTracker added ${player?.name || "a receiver"} at ${host} manually.`);
+		}
+
+		// Keep the hostname to look up again if the receiver moves
+		if (receiverList[uuid].manual && !net.isIP(host)) {
+			receiverList[uuid].hostname = host;
+		}
+
+		emitter.emit("updated");
+		updatePersistentCache();
+
+		return uuid;
+	},
+
+	/**
+	 * Find a receiver again after it stopped answering at its last known address, e.g. because DHCP gave it a new one
+	 * @param {UUID} uuid - The UUID of the receiver
+	 * @returns {Promise<string | undefined>} The receiver's current address, or undefined if it couldn't be found
+	 */
+	locateReceiver(uuid) {
+		if (!receiverList[uuid]) return Promise.resolve(undefined);
+
+		// Share the search between everything that noticed the receiver missing
+		let search = locatingReceivers.get(uuid);
+		if (!search) {
+			search = findReceiverAgain(uuid).finally(() => locatingReceivers.delete(uuid));
+			locatingReceivers.set(uuid, search);
+		}
+
+		return search;
+	},
+
+	/**
+	 * Check if a receiver is a HEOS speaker, to be controlled over HEOS rather than as a receiver
+	 * @param {UUID} uuid - The UUID of the receiver
+	 * @returns {boolean}
+	 */
+	isHEOSPlayer: (uuid) => receiverList[uuid]?.heosPID !== undefined,
+
+	/**
+	 * Check if a receiver lacks an optional feature, according to the capabilities it reported
+	 * @param {UUID} uuid - The UUID of the receiver
+	 * @param {ReceiverFeature} feature - The feature to check
+	 * @returns {boolean} True only if the receiver reported not having the feature
+	 */
+	lacksFeature: (uuid, feature) => receiverList[uuid]?.capabilities?.features[feature] === false,
+
 	/**
 	 * Check if the tracker is currently scanning for receivers
 	 * @returns {boolean}
@@ -368,8 +1119,8 @@ export const AVRTracker = {
 	isScanning: () => isScanning,
 
 	/**
-	 * Subscribe to be notified of scanning events
-	 * @param {"updated" | "scanned"} event - The event to listen for
+	 * Subscribe to be notified of tracker events
+	 * @param {TrackerEvent} event - The event to listen for
 	 * @param {EventListener} callback - The callback to call when the event is emitted
 	 */
 	on(event, callback) {
@@ -377,8 +1128,8 @@ export const AVRTracker = {
 	},
 
 	/**
-	 * Subscribe to be notified (once) of a scanning event
-	 * @param {"updated" | "scanned"} event - The event to listen for
+	 * Subscribe to be notified (once) of a tracker event
+	 * @param {TrackerEvent} event - The event to listen for
 	 * @param {EventListener} callback - The callback to call when the event is emitted
 	 */
 	once(event, callback) {
@@ -386,8 +1137,8 @@ export const AVRTracker = {
 	},
 
 	/**
-	 * Unsubscribe from scanning events
-	 * @param {"updated" | "scanned"} event - The event to remove the listener from
+	 * Unsubscribe from tracker events
+	 * @param {TrackerEvent} event - The event to remove the listener from
 	 * @param {EventListener} callback - The callback to remove
 	 */
 	off(event, callback) {
@@ -8,18 +8,33 @@ const logger = streamDeck.logger.createScope("Plugin");
 import { AVRTracker } from "./modules/tracker";
 AVRTracker.setLogger(logger);
 
+import { LocalAPIServer } from "./modules/api";
+
 import { VolumeAction } from "./actions/volume";
 import { PowerAction } from "./actions/power";
 import { SourceAction } from "./actions/source";
 import { DynVolAction } from "./actions/dynVol";
+import { AudysseyAction } from "./actions/audyssey";
+import { SurroundAction } from "./actions/surround";
+import { ToneAction } from "./actions/tone";
+import { ChannelLevelAction } from "./actions/channel";
+import { TunerAction } from "./actions/tuner";
+import { QuickSelectAction } from "./actions/quickSelect";
+import { NowPlayingAction } from "./actions/nowPlaying";
+import { TransportAction } from "./actions/transport";
+import { FavoriteAction } from "./actions/favorite";
+import { GroupAction } from "./actions/group";
 
 
 /** @typedef {import("./modules/connection").AVRConnection} AVRConnection */
+/** @typedef {import("./modules/heos").HEOSConnection} HEOSConnection */
 
 /**
  * Plugin-level context for actions to access
  * @typedef {Object} PluginContext
  * @property {Record<ReceiverUUID, AVRConnection>} avrConnections - Maps receiver UUIDs to connections
+ * @property {Record<ReceiverUUID, HEOSConnection>} heosConnections - Maps receiver UUIDs to HEOS connections
+ * @property {LocalAPIServer} [localAPI] - The local API for scripts and dashboards, running only if turned on
  * @property {Logger} logger - Logger instance
  */
 
@@ -28,13 +43,25 @@ import { DynVolAction } from "./actions/dynVol";
 /** @type {PluginContext} */
 const plugin = {
     avrConnections: {},
+    heosConnections: {},
     logger
 };
+plugin.localAPI = new LocalAPIServer(plugin);
 
 streamDeck.actions.registerAction(new VolumeAction(plugin));
 streamDeck.actions.registerAction(new PowerAction(plugin));
 streamDeck.actions.registerAction(new SourceAction(plugin));
 streamDeck.actions.registerAction(new DynVolAction(plugin));
+streamDeck.actions.registerAction(new AudysseyAction(plugin));
+streamDeck.actions.registerAction(new SurroundAction(plugin));
+streamDeck.actions.registerAction(new ToneAction(plugin));
+streamDeck.actions.registerAction(new ChannelLevelAction(plugin));
+streamDeck.actions.registerAction(new TunerAction(plugin));
+streamDeck.actions.registerAction(new QuickSelectAction(plugin));
+streamDeck.actions.registerAction(new NowPlayingAction(plugin));
+streamDeck.actions.registerAction(new TransportAction(plugin));
+streamDeck.actions.registerAction(new FavoriteAction(plugin));
+streamDeck.actions.registerAction(new GroupAction(plugin));
 
 // Connect to the StreamDeck and kick-off the rest of the initialization
 await streamDeck.connect();
@@ -48,10 +75,39 @@ if (Object.keys(AVRTracker.getReceivers()).length === 0) {
         .then(() => AVRTracker.searchForReceivers(3, 3));
 }
 
+// Turn the local API on or off as the plugin-wide settings change
+streamDeck.settings.onDidReceiveGlobalSettings((ev) => plugin.localAPI?.configure(ev.settings));
+streamDeck.settings.getGlobalSettings().then((settings) => plugin.localAPI?.configure(settings));
+
+// When a receiver announces it's back, reconnect right away (following it to a new address if needed)
+AVRTracker.on("online", (uuid) => {
+    const host = AVRTracker.getReceivers()[uuid]?.currentIP;
+    if (!host) return;
+
+    for (const connection of [plugin.avrConnections[uuid], plugin.heosConnections[uuid]]) {
+        if (!connection) continue;
+
+        if (host !== connection.host) {
+            connection.setHost(host);
+        } else {
+            connection.reconnectNow();
+        }
+    }
+});
+
+// When a receiver announces it's leaving, show its keys as disconnected instead of waiting for the socket to time out
+AVRTracker.on("offline", (uuid) => {
+    logger.info(`Receiver ${AVRTracker.getReceivers()[uuid]?.name || uuid} left the network.`);
+
+    plugin.avrConnections[uuid]?.drop("Receiver left the network.");
+    plugin.heosConnections[uuid]?.drop("Receiver left the network.");
+});
+
 // When the system wakes up, we need to re-connect to receivers
 streamDeck.system.onSystemDidWakeUp(() => {
     logger.info("System woke up, refreshing connections.");
-    Object.values(plugin.avrConnections).forEach(connection => {
+    Object.values(plugin.avrConnections).forEach(connection => connection.reconnect());
+    Object.values(plugin.heosConnections).forEach(connection => {
         connection.disconnect();
         connection.connect();
     });
@@ -0,0 +1,315 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import net from "net";
+import { once } from "events";
+
+import streamDeck from "@elgato/streamdeck";
+
+import { LocalAPIServer, readFrame } from "../src/modules/api";
+
+const TOKEN = "test-token";
+
+/**
+ * Mask a payload the way WebSocket clients do
+ * @param {Buffer} payload
+ * @param {Buffer} mask
+ */
+function masked(payload, mask) {
+	return Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+}
+
+describe("readFrame", () => {
+	it("reads a masked client frame", () => {
+		const mask = Buffer.from([1, 2, 3, 4]);
+		const frame = Buffer.concat([Buffer.from([0x89, 0x80 | 5]), mask, masked(Buffer.from("hello"), mask)]);
+
+		assert.deepEqual(readFrame(frame), { opcode: 0x9, payload: Buffer.from("hello"), length: 11 });
+	});
+
+	it("reads an unmasked frame", () => {
+		const frame = Buffer.concat([Buffer.from([0x81, 2]), Buffer.from("hi")]);
+
+		assert.deepEqual(readFrame(frame), { opcode: 0x1, payload: Buffer.from("hi"), length: 4 });
+	});
+
+	it("reads a frame with a 16 bit length", () => {
+		const payload = Buffer.alloc(300, 0x61);
+		const header = Buffer.from([0x81, 126, 0, 0]);
+		header.writeUInt16BE(payload.length, 2);
+
+		const frame = readFrame(Buffer.concat([header, payload]));
+		assert.equal(frame?.payload.length, 300);
+		assert.equal(frame?.length, 304);
+	});
+
+	it("waits until the whole frame has arrived", () => {
+		const mask = Buffer.from([1, 2, 3, 4]);
+		const frame = Buffer.concat([Buffer.from([0x89, 0x80 | 5]), mask, masked(Buffer.from("hello"), mask)]);
+
+		for (let length = 0; length < frame.length; length++) {
+			assert.equal(readFrame(frame.subarray(0, length)), undefined, `Read a frame from ${length} bytes`);
+		}
+		assert.equal(readFrame(Buffer.from([0x81, 126, 1])), undefined);
+		assert.equal(readFrame(Buffer.from([0x81, 127, 0, 0, 0])), undefined);
+	});
+
+	it("leaves the following frame in the buffer", () => {
+		const buffer = Buffer.concat([Buffer.from([0x8a, 0]), Buffer.from([0x88, 0])]);
+
+		const frame = readFrame(buffer);
+		assert.equal(frame?.opcode, 0xa);
+		assert.equal(readFrame(buffer.subarray(frame?.length))?.opcode, 0x8);
+	});
+});
+
+describe("LocalAPIServer", () => {
+	/** @type {string[]} */
+	const commands = [];
+
+	const connection = {
+		uuid: "test-uuid",
+		host: "127.0.0.1",
+		transport: "telnet",
+		state: { name: "connected" },
+		status: { zones: [{ power: true, volume: 40, maxVolume: 98, muted: false, source: "CD" }] },
+		/** @type {((ev: any) => void)[]} */
+		listeners: [],
+		/** @param {(ev: any) => void} listener */
+		on(listener) { this.listeners.push(listener); },
+		changeVolume: (/** @type {number} */ delta) => commands.push(`delta ${delta}`) > 0,
+		changeVolumeAbsolute: (/** @type {number} */ value) => commands.push(`volume ${value}`) > 0,
+		setMute: (/** @type {boolean} */ value) => commands.push(`mute ${value}`) > 0,
+		setPower: (/** @type {boolean} */ value) => commands.push(`power ${value}`) > 0,
+		setSource: (/** @type {string} */ value) => commands.push(`source ${value}`) > 0
+	};
+
+	const api = new LocalAPIServer(/** @type {any} */ ({ logger: streamDeck.logger, avrConnections: { [connection.uuid]: connection } }));
+
+	/** @type {number} */
+	let port;
+
+	before(async () => {
+		// Find a free local port
+		const server = net.createServer().listen(0, "127.0.0.1");
+		await once(server, "listening");
+		port = /** @type {net.AddressInfo} */ (server.address()).port;
+		server.close();
+		await once(server, "close");
+
+		api.configure({ apiEnabled: true, apiPort: port, apiToken: TOKEN });
+
+		// Wait until the server accepts connections
+		for (;;) {
+			const socket = net.createConnection(port, "127.0.0.1");
+			const [event] = await Promise.race([once(socket, "connect").then(() => ["connect"]), once(socket, "error").then(() => ["error"])]);
+			socket.destroy();
+			if (event === "connect") break;
+			await new Promise((resolve) => setTimeout(resolve, 20));
+		}
+	});
+
+	after(() => api.configure({ apiEnabled: false }));
+
+	/**
+	 * Send a request to the API
+	 * @param {string} path
+	 * @param {{ method?: string, body?: string, token?: string | null }} [options] - The token is sent as a bearer token, null for none
+	 */
+	async function request(path, { method = "GET", body, token = TOKEN } = {}) {
+		/** @type {Record<string, string>} */
+		const headers = { "Content-Type": "application/json" };
+		if (token !== null) headers.Authorization = `Bearer ${token}`;
+
+		const response = await fetch(`http://127.0.0.1:${port}${path}`, { method, headers, body });
+		const text = await response.text();
+		return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : undefined };
+	}
+
+	/**
+	 * Send a command to the test receiver
+	 * @param {string} body
+	 */
+	function command(body) {
+		return request(`/receivers/${connection.uuid}/commands`, { method: "POST", body });
+	}
+
+	it("lists the receivers", async () => {
+		const response = await request("/receivers");
+
+		assert.equal(response.status, 200);
+		assert.deepEqual(response.body.map((/** @type {any} */ receiver) => receiver.uuid), [connection.uuid]);
+	});
+
+	it("refuses requests without the right token", async () => {
+		assert.equal((await request("/receivers", { token: null })).status, 401);
+		assert.equal((await request("/receivers", { token: "wrong" })).status, 401);
+	});
+
+	it("only takes the token from the Authorization header", async () => {
+		assert.equal((await request(`/receivers?token=${TOKEN}`, { token: null })).status, 401);
+	});
+
+	it("sends no CORS headers", async () => {
+		const response = await request("/receivers");
+		assert.equal(response.headers.get("access-control-allow-origin"), null);
+
+		const preflight = await request("/receivers", { method: "OPTIONS", token: null });
+		assert.equal(preflight.status, 401);
+		assert.equal(preflight.headers.get("access-control-allow-origin"), null);
+	});
+
+	it("rejects a path that can't be decoded", async () => {
+		const response = await request("/receivers/%E0");
+
+		assert.equal(response.status, 400);
+		assert.match(response.body.error, /Invalid path/);
+	});
+
+	it("rejects a body that isn't a JSON object", async () => {
+		for (const body of ["null", "42", "\"volume\"", "[]", "{"]) {
+			const response = await command(body);
+			assert.equal(response.status, 400, `Accepted ${body}`);
+		}
+		assert.deepEqual(commands, []);
+	});
+
+	it("validates the command values", async () => {
+		const invalid = [
+			{ command: "volume", value: 99 },
+			{ command: "volume", value: 1.5 },
+			{ command: "volume", delta: "up" },
+			{ command: "mute", value: "on" },
+			{ command: "source", value: "CD\rPWSTANDBY" },
+			{ command: "volume", value: 40, zone: 1 },
+			{ command: "reboot" }
+		];
+
+		for (const body of invalid) {
+			const response = await command(JSON.stringify(body));
+			assert.equal(response.status, 400, `Accepted ${JSON.stringify(body)}`);
+		}
+		assert.deepEqual(commands, []);
+	});
+
+	it("sends valid commands to the receiver", async () => {
+		for (const body of [{ command: "volume", value: 40 }, { command: "volume", delta: -2 }, { command: "mute" }, { command: "source", value: "GAME" }]) {
+			const response = await command(JSON.stringify(body));
+			assert.equal(response.status, 202);
+		}
+
+		assert.deepEqual(commands, ["volume 40", "delta -2", "mute undefined", "source GAME"]);
+	});
+
+	it("answers a body that's too large before closing the connection", async () => {
+		const response = await command(JSON.stringify({ command: "volume", value: 40, padding: "x".repeat(5000) }));
+
+		assert.equal(response.status, 413);
+		assert.equal(response.headers.get("connection"), "close");
+	});
+
+	/**
+	 * Open a WebSocket to the events endpoint
+	 * @param {Record<string, string>} [headers] - Extra request headers
+	 * @param {string} [path]
+	 * @returns {Promise<{ response: http.IncomingMessage, socket: net.Socket, frames: () => Promise<{ opcode: number, payload: Buffer }> }>}
+	 */
+	async function openEvents(headers = {}, path = "/events") {
+		const req = http.request({
+			host: "127.0.0.1",
+			port,
+			path,
+			headers: { Connection: "Upgrade", Upgrade: "websocket", "Sec-WebSocket-Key": "dGhlIHNhbXBsZSBub25jZQ==", "Sec-WebSocket-Version": "13", ...headers }
+		});
+		req.end();
+
+		const [response, socket] = await once(req, "upgrade");
+
+		let buffer = Buffer.alloc(0);
+		/** @type {{ opcode: number, payload: Buffer }[]} */
+		const received = [];
+		socket.on("data", (/** @type {Buffer} */ data) => {
+			buffer = Buffer.concat([buffer, data]);
+			let frame;
+			while ((frame = readFrame(buffer))) {
+				buffer = buffer.subarray(frame.length);
+				received.push(frame);
+			}
+		});
+
+		// Wait for the next frame from the server
+		const frames = async () => {
+			while (received.length === 0) await new Promise((resolve) => setTimeout(resolve, 10));
+			return /** @type {{ opcode: number, payload: Buffer }} */ (received.shift());
+		};
+
+		return { response, socket, frames };
+	}
+
+	/**
+	 * Send a text message to the server, masked like every client frame
+	 * @param {net.Socket} socket
+	 * @param {string} text
+	 */
+	function sendText(socket, text) {
+		const mask = Buffer.from([9, 8, 7, 6]);
+		const payload = Buffer.from(text);
+		socket.write(Buffer.concat([Buffer.from([0x81, 0x80 | payload.length]), mask, masked(payload, mask)]));
+	}
+
+	/**
+	 * Have the test receiver report a volume change
+	 */
+	function reportVolume() {
+		connection.listeners.forEach((listener) => listener({ type: "volumeChanged", zone: 0, connection }));
+	}
+
+	it("sends events to WebSocket clients with the token in the Authorization header", async () => {
+		const { response, socket, frames } = await openEvents({ Authorization: `Bearer ${TOKEN}` });
+		assert.equal(response.statusCode, 101);
+		assert.equal(response.headers["sec-websocket-accept"], "s3pPLMBiTxaQ9kYGzzhZRbK+xOo=");
+
+		reportVolume();
+		const frame = await frames();
+		socket.destroy();
+
+		assert.equal(frame.opcode, 0x1);
+		assert.equal(JSON.parse(frame.payload.toString()).type, "volumeChanged");
+	});
+
+	it("takes the token as the first message from WebSocket clients without the header", async () => {
+		const { socket, frames } = await openEvents();
+
+		sendText(socket, TOKEN);
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		reportVolume();
+		const frame = await frames();
+		socket.destroy();
+
+		assert.equal(JSON.parse(frame.payload.toString()).type, "volumeChanged");
+	});
+
+	it("closes WebSocket clients that send a wrong token, even with the right one in the URL", async () => {
+		const { socket, frames } = await openEvents({}, `/events?token=${TOKEN}`);
+
+		sendText(socket, "wrong");
+		const frame = await frames();
+		socket.destroy();
+
+		assert.equal(frame.opcode, 0x8);
+		assert.equal(frame.payload.readUInt16BE(0), 1008);
+	});
+
+	it("refuses a WebSocket upgrade with a wrong token in the Authorization header", async () => {
+		const req = http.request({
+			host: "127.0.0.1",
+			port,
+			path: "/events",
+			headers: { Connection: "Upgrade", Upgrade: "websocket", "Sec-WebSocket-Key": "dGhlIHNhbXBsZSBub25jZQ==", "Sec-WebSocket-Version": "13", Authorization: "Bearer wrong" }
+		});
+		req.end();
+
+		const [response] = await once(req, "response");
+		assert.equal(response.statusCode, 401);
+	});
+});
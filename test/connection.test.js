@@ -0,0 +1,542 @@
+import { describe, it, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import { once } from "events";
+
+import streamDeck from "@elgato/streamdeck";
+
+import { AVRConnection } from "../src/modules/connection";
+
+/**
+ * A stand-in for the receiver's telnet interface that records the commands it receives
+ */
+class FakeReceiver {
+	/** @type {string[]} */
+	commands = [];
+
+	/** @type {net.Socket[]} */
+	sockets = [];
+
+	server = net.createServer((socket) => {
+		this.sockets.push(socket);
+		socket.on("error", () => {});
+
+		let buffer = "";
+		socket.on("data", (data) => {
+			buffer += data.toString();
+			const lines = buffer.split("\r");
+			buffer = lines.pop() ?? "";
+			this.commands.push(...lines);
+		});
+	});
+
+	async listen() {
+		this.server.listen(0, "127.0.0.1");
+		await once(this.server, "listening");
+		return /** @type {net.AddressInfo} */ (this.server.address()).port;
+	}
+
+	/**
+	 * Report status lines to the connected clients, as the receiver does when something changes
+	 * @param {string[]} lines
+	 */
+	report(lines) {
+		this.sockets.forEach((socket) => socket.write(lines.map((line) => line + "\r").join("")));
+	}
+
+	close() {
+		this.sockets.forEach((socket) => socket.destroy());
+		this.server.close();
+	}
+}
+
+/**
+ * Wait until the connection's queue has drained, i.e. nothing was sent for a while
+ * @param {FakeReceiver} receiver
+ */
+async function waitForQuiet(receiver) {
+	let count = -1;
+	while (count !== receiver.commands.length) {
+		count = receiver.commands.length;
+		await new Promise((resolve) => setTimeout(resolve, 300));
+	}
+}
+
+describe("AVRConnection command queue", () => {
+	const receiver = new FakeReceiver();
+
+	/** @type {AVRConnection} */
+	let connection;
+
+	before(async () => {
+		const port = await receiver.listen();
+
+		// The connection always uses the telnet port, point it at the stand-in instead
+		const createConnection = net.createConnection;
+		mock.method(net, "createConnection", () => createConnection(port, "127.0.0.1"));
+
+		connection = new AVRConnection(/** @type {any} */ ({ logger: streamDeck.logger }), "test-uuid", "127.0.0.1", "telnet");
+
+		await new Promise((resolve) => connection.on(function onConnected(ev) {
+			if (ev.type === "connected") resolve(undefined);
+		}, "test"));
+
+		// Let the status requests sent on connect go out first
+		await waitForQuiet(receiver);
+	});
+
+	after(() => {
+		connection.disconnect();
+		receiver.close();
+		mock.restoreAll();
+	});
+
+	/**
+	 * Run some commands and return what reached the receiver, without status requests
+	 * @param {() => void} commands
+	 */
+	async function sent(commands) {
+		const start = receiver.commands.length;
+		commands();
+		await waitForQuiet(receiver);
+		return receiver.commands.slice(start).filter((command) => !command.endsWith("?"));
+	}
+
+	it("sends the latest source when the source changes back and forth", async () => {
+		const commands = await sent(() => {
+			connection.setVideoSelectSource("ON"); // Keeps the queue busy, so the following commands wait
+			connection.setSource("CD");
+			connection.setSource("DVD");
+			connection.setSource("CD");
+		});
+
+		assert.deepEqual(commands, ["SVON", "SICD"]);
+	});
+
+	it("keeps the latest power state", async () => {
+		const commands = await sent(() => {
+			connection.setVideoSelectSource("OFF");
+			connection.setPower(true);
+			connection.setPower(false);
+			connection.setPower(true);
+		});
+
+		assert.deepEqual(commands, ["SVOFF", "PWON"]);
+	});
+
+	it("moves a superseding command behind the commands queued in between", async () => {
+		const commands = await sent(() => {
+			connection.setVideoSelectSource("ON");
+			connection.setTunerPreset(1);
+			connection.setSource("TUNER");
+			connection.setTunerPreset(2);
+		});
+
+		assert.deepEqual(commands, ["SVON", "SITUNER", "TPAN02"]);
+	});
+
+	it("keeps each zone's commands apart", async () => {
+		const commands = await sent(() => {
+			connection.setVideoSelectSource("OFF");
+			connection.setSource("CD", 0);
+			connection.setSource("TUNER", 1);
+			connection.setSource("DVD", 0);
+		});
+
+		assert.deepEqual(commands, ["SVOFF", "Z2TUNER", "SIDVD"]);
+	});
+
+	it("sends every step of a repeated step command", async () => {
+		const commands = await sent(() => {
+			connection.changeTunerFrequency(3);
+		});
+
+		assert.deepEqual(commands, ["TFANUP", "TFANUP", "TFANUP"]);
+	});
+
+	it("keeps the expected volume in the receiver's half steps", async () => {
+		const reported = new Promise((resolve) => connection.on(function onVolumeReported(ev) {
+			if (ev.type === "volumeChanged") resolve(undefined);
+		}, "test"));
+		receiver.report(["PWON", "MV455"]);
+		await reported;
+
+		// Each up command moves half a step
+		assert.deepEqual(await sent(() => connection.changeVolume(1)), ["MVUP"]);
+		assert.deepEqual(await sent(() => connection.changeVolume(1)), ["MVUP"]);
+
+		// The receiver hasn't confirmed 46.5 yet, the next change builds on it
+		const merged = await sent(() => {
+			connection.setVideoSelectSource("ON");
+			connection.changeVolume(2);
+		});
+		assert.deepEqual(merged, ["SVON", "MV485"]);
+	});
+
+	it("drops the connection when the receiver leaves, and reconnects", async () => {
+		/** @type {string[]} */
+		const events = [];
+		const reconnected = new Promise((resolve) => connection.on(function onDropped(ev) {
+			if (ev.type === "closed") events.push(ev.connection.status.statusMsg);
+			if (ev.type === "connected" && events.length > 0) resolve(undefined);
+		}, "test"));
+
+		connection.drop("Receiver left the network.");
+		await reconnected;
+
+		assert.deepEqual(events, ["Receiver left the network."]);
+		assert.equal(connection.state.name, "connected");
+		await waitForQuiet(receiver);
+	});
+});
+
+describe("AVRConnection state", () => {
+	const receiver = new FakeReceiver();
+
+	/** @type {AVRConnection | undefined} */
+	let connection;
+
+	/** @type {number} */
+	let port;
+
+	let waits = 0;
+
+	before(async () => {
+		port = await receiver.listen();
+	});
+
+	afterEach(() => {
+		connection?.disconnect();
+		connection = undefined;
+		receiver.sockets.forEach((socket) => socket.destroy());
+		receiver.commands = [];
+		mock.timers.reset();
+		mock.restoreAll();
+	});
+
+	after(() => receiver.close());
+
+	/**
+	 * Wait for a connection to enter a state
+	 * @param {AVRConnection} connection
+	 * @param {import("../src/modules/connection").ConnectionStateName} name
+	 * @returns {Promise<import("../src/modules/connection").ConnectionState>}
+	 */
+	function waitForState(connection, name) {
+		return new Promise((resolve) => connection.on(function onStateChanged(ev) {
+			if (ev.type === "stateChanged" && ev.connection.state.name === name) resolve(ev.connection.state);
+		}, `test-${++waits}`));
+	}
+
+	/**
+	 * Connect to the stand-in receiver
+	 * @returns {Promise<AVRConnection>}
+	 */
+	async function connectToReceiver() {
+		const createConnection = net.createConnection;
+		mock.method(net, "createConnection", () => createConnection(port, "127.0.0.1"));
+
+		connection = new AVRConnection(/** @type {any} */ ({ logger: streamDeck.logger }), "test-uuid", "127.0.0.1", "telnet");
+		await waitForState(connection, "connected");
+		return connection;
+	}
+
+	it("keeps retrying when the hostname doesn't resolve", async () => {
+		const createConnection = net.createConnection;
+		mock.method(net, "createConnection", () => createConnection({
+			port,
+			host: "receiver.local",
+			lookup: (_hostname, _options, callback) => callback(Object.assign(new Error("getaddrinfo ENOTFOUND receiver.local"), { code: "ENOTFOUND" }), "", 4)
+		}));
+
+		connection = new AVRConnection(/** @type {any} */ ({ logger: streamDeck.logger }), "test-uuid", "receiver.local", "telnet");
+
+		const first = await waitForState(connection, "backingOff");
+		assert.equal(first.attempts, 1);
+		assert.equal(first.lastError, "Host not found: receiver.local");
+
+		// The next attempt follows after the delay, instead of giving up
+		const second = await waitForState(connection, "backingOff");
+		assert.equal(second.attempts, 2);
+		assert.ok((second.retryAt ?? 0) - second.since >= 2000);
+	});
+
+	it("fails without trying when no address is set", () => {
+		connection = new AVRConnection(/** @type {any} */ ({ logger: streamDeck.logger }), "test-uuid", "", "telnet");
+
+		assert.equal(connection.state.name, "failed");
+		assert.equal(connection.status.statusMsg, "No receiver address set.");
+	});
+
+	it("resets the attempts once reconnected", async () => {
+		const connected = await connectToReceiver();
+
+		const backingOff = waitForState(connected, "backingOff");
+		receiver.sockets.forEach((socket) => socket.destroy());
+		assert.equal((await backingOff).attempts, 1);
+
+		const state = await waitForState(connected, "connected");
+		assert.equal(state.attempts, 0);
+		assert.ok((state.lastConnected ?? 0) >= state.since);
+	});
+
+	/**
+	 * Send the commands queued on connect, with the timers mocked
+	 */
+	async function drainQueue() {
+		for (let i = 0; i < 50; i++) {
+			mock.timers.tick(100);
+			await new Promise((resolve) => setImmediate(resolve));
+		}
+	}
+
+	/**
+	 * Wait until the stand-in receiver got the heartbeat
+	 * @param {number} count - The number of commands received before it was due
+	 */
+	async function waitForHeartbeat(count) {
+		while (!receiver.commands.slice(count).includes("PW?")) {
+			await new Promise((resolve) => setImmediate(resolve));
+		}
+	}
+
+	it("drops a connection the receiver stopped answering on", async () => {
+		mock.timers.enable({ apis: ["setInterval", "setTimeout", "Date"], now: Date.now() });
+		const connected = await connectToReceiver();
+		await drainQueue();
+
+		// A connection that stayed quiet for 30s is asked for the power status
+		const count = receiver.commands.length;
+		mock.timers.tick(25000);
+		await waitForHeartbeat(count);
+
+		const backingOff = waitForState(connected, "backingOff");
+		mock.timers.tick(5000);
+
+		assert.equal((await backingOff).lastError, "No answer from the receiver");
+	});
+
+	it("keeps a quiet connection that answers the heartbeat", async () => {
+		mock.timers.enable({ apis: ["setInterval", "setTimeout", "Date"], now: Date.now() });
+		const connected = await connectToReceiver();
+		await drainQueue();
+
+		const count = receiver.commands.length;
+		mock.timers.tick(25000);
+		await waitForHeartbeat(count);
+
+		const answered = new Promise((resolve) => connected.on(function onPower(ev) {
+			if (ev.type === "powerChanged") resolve(undefined);
+		}, "test"));
+		receiver.report(["PWON"]);
+		await answered;
+
+		mock.timers.tick(5000);
+		await new Promise((resolve) => setImmediate(resolve));
+
+		assert.equal(connected.state.name, "connected");
+	});
+});
+
+describe("AVRConnection sharing", () => {
+	/** @type {AVRConnection[]} */
+	const connections = [];
+
+	/** @type {number} */
+	let port;
+
+	before(async () => {
+		// Find a free local port
+		const server = net.createServer().listen(0, "127.0.0.1");
+		await once(server, "listening");
+		port = /** @type {net.AddressInfo} */ (server.address()).port;
+		server.close();
+
+		// Nothing answers on the discard port, these connections only share
+		for (let i = 0; i < 2; i++) {
+			connections.push(new AVRConnection(/** @type {any} */ ({ logger: streamDeck.logger }), `test-uuid-${i}`, "127.0.0.1:9", "http"));
+		}
+	});
+
+	after(() => connections.forEach((connection) => connection.disconnect()));
+
+	it("reports a port that's already in use as not shared", async () => {
+		assert.equal(await connections[0].setSharePort(port), true);
+		assert.equal(connections[0].sharePort, port);
+
+		assert.equal(await connections[1].setSharePort(port), false);
+		assert.equal(connections[1].sharePort, undefined);
+	});
+
+	it("stops sharing when disconnected", async () => {
+		connections[0].disconnect();
+		assert.equal(connections[0].sharePort, undefined);
+
+		assert.equal(await connections[1].setSharePort(port), true);
+		assert.equal(connections[1].sharePort, port);
+	});
+});
+
+describe("AVRConnection shared with other tools", () => {
+	const receiver = new FakeReceiver();
+
+	/** @type {AVRConnection} */
+	let connection;
+
+	/** @type {net.Socket} */
+	let client;
+
+	/** @type {string[]} */
+	const clientLines = [];
+
+	// Kept before it's pointed at the stand-in, for the tools to connect to the shared port
+	const createConnection = net.createConnection;
+
+	before(async () => {
+		const port = await receiver.listen();
+		mock.method(net, "createConnection", () => createConnection(port, "127.0.0.1"));
+
+		connection = new AVRConnection(/** @type {any} */ ({ logger: streamDeck.logger }), "test-uuid", "127.0.0.1", "telnet");
+		await new Promise((resolve) => connection.on(function onConnected(ev) {
+			if (ev.type === "connected") resolve(undefined);
+		}, "test"));
+		await waitForQuiet(receiver);
+
+		// Find a free local port to share on
+		const server = net.createServer().listen(0, "127.0.0.1");
+		await once(server, "listening");
+		const sharePort = /** @type {net.AddressInfo} */ (server.address()).port;
+		server.close();
+		await once(server, "close");
+
+		assert.equal(await connection.setSharePort(sharePort), true);
+
+		client = createConnection(sharePort, "127.0.0.1");
+		await once(client, "connect");
+
+		let buffer = "";
+		client.on("data", (data) => {
+			const lines = (buffer + data.toString()).split("\r");
+			buffer = lines.pop() ?? "";
+			clientLines.push(...lines);
+		});
+	});
+
+	after(() => {
+		client.destroy();
+		connection.disconnect();
+		receiver.close();
+		mock.restoreAll();
+	});
+
+	/**
+	 * Wait until the tool received a line
+	 * @param {string} line
+	 */
+	async function received(line) {
+		while (!clientLines.includes(line)) {
+			await new Promise((resolve) => setTimeout(resolve, 10));
+		}
+	}
+
+	it("sends what the receiver reports to the tools", async () => {
+		receiver.report(["MV50", "SICD"]);
+
+		await received("MV50");
+		await received("SICD");
+	});
+
+	it("sends the tools' commands to the receiver", async () => {
+		client.write("PWON\rMVUP\n");
+		await waitForQuiet(receiver);
+
+		assert.deepEqual(receiver.commands.slice(-2), ["PWON", "MVUP"]);
+	});
+
+	it("keeps the tools connected while reconnecting to the receiver", async () => {
+		const reconnected = new Promise((resolve) => connection.on(function onReconnected(ev) {
+			if (ev.type === "connected") resolve(undefined);
+		}, "test"));
+
+		connection.reconnect();
+		await reconnected;
+
+		assert.equal(client.destroyed, false);
+		assert.ok(connection.sharePort);
+
+		// The new session is shared the same way
+		receiver.report(["MUON"]);
+		await received("MUON");
+
+		client.write("MUOFF\r");
+		await waitForQuiet(receiver);
+		assert.equal(receiver.commands.at(-1), "MUOFF");
+	});
+});
+
+describe("AVRConnection source list", () => {
+	const receiver = new FakeReceiver();
+
+	/** @type {AVRConnection} */
+	let connection;
+
+	let waits = 0;
+
+	before(async () => {
+		const port = await receiver.listen();
+
+		const createConnection = net.createConnection;
+		mock.method(net, "createConnection", () => createConnection(port, "127.0.0.1"));
+
+		connection = new AVRConnection(/** @type {any} */ ({ logger: streamDeck.logger }), "test-uuid", "127.0.0.1", "telnet");
+
+		await new Promise((resolve) => connection.on(function onConnected(ev) {
+			if (ev.type === "connected") resolve(undefined);
+		}, "test"));
+
+		await waitForQuiet(receiver);
+	});
+
+	after(() => {
+		connection.disconnect();
+		receiver.close();
+		mock.restoreAll();
+	});
+
+	/**
+	 * Report the input setup lines and wait for the list of inputs to match
+	 * @param {string[]} lines
+	 * @param {Record<string, string>} expected
+	 */
+	async function reportSources(lines, expected) {
+		const changed = new Promise((resolve) => connection.on(function onSourceListChanged(ev) {
+			if (ev.type === "sourceListChanged" && JSON.stringify(connection.status.sources) === JSON.stringify(expected)) resolve(undefined);
+		}, `test-${++waits}`));
+
+		receiver.report(lines);
+		await changed;
+	}
+
+	it("asks for the used inputs and their names", async () => {
+		receiver.commands = [];
+		connection.requestSourceList();
+		await waitForQuiet(receiver);
+
+		assert.deepEqual(receiver.commands, ["SSSOD ?", "SSFUN ?"]);
+	});
+
+	it("falls back to the named inputs on models that don't report the used ones", async () => {
+		await reportSources(["SSFUNCD CD Player", "SSFUNSAT/CBL Cable Box", "SSFUN END"], { "CD": "CD Player", "SAT/CBL": "Cable Box" });
+	});
+
+	it("lists the used inputs under the names they were given", async () => {
+		await reportSources([
+			"SSSODCD USE", "SSSODDVD DEL", "SSSODSAT/CBL USE", "SSSODGAME USE", "SSSOD END",
+			"SSFUNCD CD Player", "SSFUNDVD DVD", "SSFUNSAT/CBL Cable Box", "SSFUNBROKEN", "SSFUN END"
+		], { "CD": "CD Player", "SAT/CBL": "Cable Box", "GAME": "Game" });
+	});
+
+	it("starts the list over, so removed inputs don't linger", async () => {
+		await reportSources(["SSSODCD DEL", "SSSODSAT/CBL USE", "SSSODGAME USE", "SSSOD END"], { "SAT/CBL": "Cable Box", "GAME": "Game" });
+	});
+});
@@ -0,0 +1,264 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import dns from "dns";
+import net from "net";
+import { once } from "events";
+
+import streamDeck from "@elgato/streamdeck";
+
+import { HEOSConnection, getPlayersFromHostByTelnet } from "../src/modules/heos";
+
+/** @typedef {import("../src/modules/heos").HEOSEvent} HEOSEvent */
+
+/**
+ * A stand-in for the HEOS CLI, which answers commands with one JSON object per line.
+ * Commands are answered by the handler set for them, or left unanswered.
+ */
+class FakeHEOSCLI {
+	/** @type {net.Socket[]} */
+	sockets = [];
+
+	/** @type {string[]} */
+	commands = [];
+
+	/** @type {Record<string, (socket: net.Socket, message: string) => void>} */
+	handlers = {
+		"system/register_for_change_events": (socket, message) => reply(socket, "system/register_for_change_events", "success", message),
+		"player/get_players": (socket) => reply(socket, "player/get_players", "success", "", [
+			{ name: "Living Room", pid: 101, model: "AVR", version: "1", ip: "127.0.0.1", network: "wired", lineout: 0, serial: "1" }
+		])
+	};
+
+	server = net.createServer((socket) => {
+		this.sockets.push(socket);
+		socket.on("error", () => {});
+
+		let buffer = "";
+		socket.on("data", (data) => {
+			buffer += data.toString();
+			const lines = buffer.split("\r\n");
+			buffer = lines.pop() ?? "";
+
+			for (const line of lines) {
+				const [command, message = ""] = line.replace("heos://", "").split("?");
+				this.commands.push(command);
+				this.handlers[command]?.(socket, message);
+			}
+		});
+	});
+
+	async listen() {
+		this.server.listen(0, "127.0.0.1");
+		await once(this.server, "listening");
+		return /** @type {net.AddressInfo} */ (this.server.address()).port;
+	}
+
+	/**
+	 * Drop every client, as a player does when it reboots
+	 */
+	dropClients() {
+		this.sockets.forEach((socket) => socket.destroy());
+		this.sockets = [];
+	}
+
+	close() {
+		this.dropClients();
+		this.server.close();
+	}
+}
+
+/**
+ * Send a HEOS response line
+ * @param {net.Socket} socket
+ * @param {string} command
+ * @param {"success" | "fail"} result
+ * @param {string} message
+ * @param {any} [payload]
+ */
+function reply(socket, command, result, message, payload) {
+	socket.write(JSON.stringify({ heos: { command, result, message }, payload }) + "\r\n");
+}
+
+/**
+ * Wait for an event from a HEOS connection
+ * @param {HEOSConnection} connection
+ * @param {(ev: HEOSEvent) => boolean} predicate
+ * @param {string} name - Listeners are told apart by name, so each wait needs its own
+ */
+function waitForEvent(connection, predicate, name) {
+	return new Promise((resolve) => {
+		let done = false;
+		connection.on({ [name]: (/** @type {HEOSEvent} */ ev) => {
+			if (!done && predicate(ev)) {
+				done = true;
+				resolve(ev);
+			}
+		} }[name], "test");
+	});
+}
+
+describe("HEOSConnection", () => {
+	const cli = new FakeHEOSCLI();
+
+	/** @type {HEOSConnection} */
+	let connection;
+
+	before(async () => {
+		const port = await cli.listen();
+
+		// The connection always uses the HEOS CLI port, point it at the stand-in instead
+		const createConnection = net.createConnection;
+		mock.method(net, "createConnection", () => createConnection(port, "127.0.0.1"));
+
+		connection = new HEOSConnection(/** @type {any} */ ({ logger: streamDeck.logger }), "test-uuid", "127.0.0.1");
+		await waitForEvent(connection, (ev) => ev.type === "playerFound", "onPlayerFound");
+	});
+
+	after(() => {
+		connection.disconnect();
+		cli.close();
+		mock.restoreAll();
+	});
+
+	it("finds the receiver's player by its address", () => {
+		assert.equal(connection.pid, 101);
+		assert.equal(connection.state.name, "connected");
+	});
+
+	it("finds the player of a receiver connected to by hostname", async (t) => {
+		t.mock.method(dns.promises, "lookup", async () => ({ address: "127.0.0.1", family: 4 }));
+
+		const byHostname = new HEOSConnection(/** @type {any} */ ({ logger: streamDeck.logger }), "hostname-uuid", "receiver.local");
+		await waitForEvent(byHostname, (ev) => ev.type === "playerFound", "onPlayerFoundByHostname");
+		byHostname.disconnect();
+
+		assert.equal(byHostname.pid, 101);
+	});
+
+	it("matches responses to requests of the same command in order", async () => {
+		/** @type {net.Socket[]} */
+		const pending = [];
+		cli.handlers["browse/browse"] = (socket) => pending.push(socket);
+
+		const first = connection.request("browse/browse", { sid: 1 });
+		const second = connection.request("browse/browse", { sid: 2 });
+		while (pending.length < 2) await new Promise((resolve) => setTimeout(resolve, 10));
+
+		reply(pending[0], "browse/browse", "success", "sid=1", ["first"]);
+		reply(pending[1], "browse/browse", "success", "sid=2", ["second"]);
+
+		assert.deepEqual((await first).payload, ["first"]);
+		assert.deepEqual((await second).payload, ["second"]);
+	});
+
+	it("waits for the actual response after a command under process", async () => {
+		cli.handlers["browse/get_music_sources"] = (socket) => {
+			reply(socket, "browse/get_music_sources", "success", "command under process");
+			setTimeout(() => reply(socket, "browse/get_music_sources", "success", "", [{ name: "Favorites", sid: 1028 }]), 50);
+		};
+
+		const response = await connection.request("browse/get_music_sources");
+		assert.deepEqual(response.payload, [{ name: "Favorites", sid: 1028 }]);
+	});
+
+	it("rejects a request whose command fails", async () => {
+		cli.handlers["player/play_preset"] = (socket) => reply(socket, "player/play_preset", "fail", "eid=2&text=ID Not Valid");
+
+		await assert.rejects(connection.request("player/play_preset", { pid: 101, preset: 99 }), { message: "ID Not Valid" });
+	});
+
+	it("handles responses split over several chunks", async () => {
+		cli.handlers["player/get_volume"] = (socket) => {
+			const line = JSON.stringify({ heos: { command: "player/get_volume", result: "success", message: "pid=101&level=42" } }) + "\r\n";
+			socket.write(line.slice(0, 20));
+			setTimeout(() => socket.write(line.slice(20)), 20);
+		};
+
+		await connection.request("player/get_volume", { pid: 101 });
+		assert.equal(connection.volume, 42);
+	});
+
+	it("adds up volume changes made before the player reports the new level", async () => {
+		/** @type {string[]} */
+		const levels = [];
+		cli.handlers["player/set_volume"] = (socket, message) => {
+			const level = new URLSearchParams(message).get("level") ?? "";
+			levels.push(level);
+			setTimeout(() => socket.write(JSON.stringify({ heos: { command: "event/player_volume_changed", message: `pid=101&level=${level}&mute=off` } }) + "\r\n"), 200);
+		};
+		cli.handlers["player/get_volume"] = (socket) => reply(socket, "player/get_volume", "success", "pid=101&level=30");
+		await connection.request("player/get_volume", { pid: 101 });
+
+		connection.changeVolume(1);
+		connection.changeVolume(1);
+		connection.changeVolume(2);
+		while (levels.length < 3) await new Promise((resolve) => setTimeout(resolve, 10));
+
+		assert.deepEqual(levels, ["31", "32", "34"]);
+		await waitForEvent(connection, () => connection.volume === 34, "onVolumeReached");
+	});
+
+	it("lists the players through the persistent connection", async () => {
+		const sockets = cli.sockets.length;
+
+		const players = await getPlayersFromHostByTelnet("127.0.0.1");
+
+		assert.deepEqual(players?.map((player) => player.pid), [101]);
+		assert.equal(cli.sockets.length, sockets);
+	});
+
+	it("lists the players of a slow receiver whose answer is split over several chunks", async () => {
+		const getPlayers = cli.handlers["player/get_players"];
+		cli.handlers["player/get_players"] = (socket) => {
+			const line = JSON.stringify({
+				heos: { command: "player/get_players", result: "success", message: "" },
+				payload: [{ name: "Kitchen", pid: 202, model: "Denon Home 150", version: "1", ip: "192.168.1.30", network: "wifi", lineout: 0, serial: "2" }]
+			}) + "\r\n";
+			setTimeout(() => socket.write(line.slice(0, 40)), 1200);
+			setTimeout(() => socket.write(line.slice(40)), 1300);
+		};
+
+		// Nothing is connected to this host, so the players are requested on a connection of its own
+		const sockets = cli.sockets.length;
+		const players = await getPlayersFromHostByTelnet("receiver.local");
+		cli.handlers["player/get_players"] = getPlayers;
+
+		assert.deepEqual(players?.map((player) => player.name), ["Kitchen"]);
+		assert.equal(cli.sockets.length, sockets + 1);
+	});
+
+	it("reconnects with a backoff after the player drops the connection", async () => {
+		const backingOff = waitForEvent(connection, (ev) => ev.type === "stateChanged" && ev.connection.state.name === "backingOff", "onBackingOff");
+		const reconnected = waitForEvent(connection, (ev) => ev.type === "connected", "onReconnected");
+
+		cli.dropClients();
+
+		await backingOff;
+		assert.equal(connection.connected, false);
+		assert.ok((connection.state.retryAt ?? 0) > Date.now());
+
+		await reconnected;
+		assert.equal(connection.state.name, "connected");
+		assert.equal(connection.state.attempts, 0);
+	});
+
+	it("skips the wait when asked to reconnect now", async () => {
+		const port = /** @type {net.AddressInfo} */ (cli.server.address()).port;
+
+		// Refuse connections for a while, so the wait grows
+		cli.server.close();
+		cli.dropClients();
+		/** @type {any} */
+		const ev = await waitForEvent(connection, (ev) => ev.type === "stateChanged" && ev.connection.state.attempts >= 2, "onSecondAttempt");
+		const retryAt = ev.connection.state.retryAt;
+
+		cli.server.listen(port, "127.0.0.1");
+		await once(cli.server, "listening");
+
+		const reconnected = waitForEvent(connection, (ev) => ev.type === "connected", "onReconnectedNow");
+		connection.reconnectNow();
+		await reconnected;
+
+		assert.ok(Date.now() < retryAt);
+	});
+});
@@ -0,0 +1,234 @@
+import { describe, it, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { once } from "events";
+
+import streamDeck from "@elgato/streamdeck";
+
+import { AVRConnection } from "../src/modules/connection";
+import { AVRHTTPSocket } from "../src/modules/http";
+
+/**
+ * A stand-in for the receiver's web interface, with a main zone and zone 2
+ */
+class FakeWebInterface {
+	/** @type {string[]} */
+	commands = [];
+
+	/**
+	 * The status of each zone, lists are reported as several values
+	 * @type {Record<string, Record<string, string | string[]>>}
+	 */
+	zones = {
+		"MAIN ZONE": { ZonePower: "ON", MasterVolume: "-39.5", Mute: "off", InputFuncSelect: "CD", selectSurround: "STEREO" },
+		"ZONE2": { ZonePower: "ON", MasterVolume: "-30.0", Mute: "on", InputFuncSelect: "Tuner" }
+	};
+
+	server = http.createServer((req, res) => {
+		const url = new URL(req.url ?? "/", "http://localhost");
+
+		if (url.pathname === "/goform/AppCommand.xml") {
+			res.end("<?xml version=\"1.0\" encoding=\"utf-8\"?><rx><cmd><zone1>ON</zone1><zone2>ON</zone2></cmd></rx>");
+		} else if (url.pathname === "/goform/formMainZone_MainZoneXml.xml") {
+			const zone = this.zones[url.searchParams.get("ZoneName") ?? ""] ?? {};
+			const items = Object.entries(zone).map(([tag, value]) => `<${tag}>${[value].flat().map((item) => `<value>${item}</value>`).join("")}</${tag}>`);
+			res.end(`<?xml version="1.0" encoding="utf-8"?><item>${items.join("")}</item>`);
+		} else if (url.pathname === "/goform/formiPhoneAppDirect.xml") {
+			const command = decodeURIComponent(url.search.slice(1));
+			this.commands.push(command);
+
+			// Models answer commands they don't know with an error
+			res.statusCode = command.startsWith("UNKNOWN") ? 403 : 200;
+			res.end();
+		} else {
+			res.statusCode = 404;
+			res.end();
+		}
+	});
+
+	async listen() {
+		this.server.listen(0, "127.0.0.1");
+		await once(this.server, "listening");
+		return `127.0.0.1:${/** @type {import("net").AddressInfo} */ (this.server.address()).port}`;
+	}
+
+	close() {
+		this.server.closeAllConnections();
+		this.server.close();
+	}
+}
+
+/**
+ * Collect the lines of the next data event from an HTTP socket
+ * @param {AVRHTTPSocket} socket
+ * @returns {Promise<string[]>}
+ */
+async function nextLines(socket) {
+	const [data] = await once(socket, "data");
+	return data.split("\r").filter((/** @type {string} */ line) => line.length > 0);
+}
+
+describe("AVRHTTPSocket", () => {
+	const receiver = new FakeWebInterface();
+
+	/** @type {string} */
+	let host;
+
+	/** @type {AVRHTTPSocket | undefined} */
+	let socket;
+
+	before(async () => {
+		host = await receiver.listen();
+	});
+
+	afterEach(() => {
+		socket?.destroy();
+		receiver.commands = [];
+	});
+
+	after(() => receiver.close());
+
+	it("translates the zone status into telnet protocol lines", async () => {
+		socket = new AVRHTTPSocket(host, AVRConnection.zones, AVRConnection.sources, streamDeck.logger);
+
+		// The main zone and zone 2 are reported in separate data events
+		const lines = [...await nextLines(socket), ...await nextLines(socket)];
+
+		assert.deepEqual(lines, [
+			"PWON", "MV405", "MUOFF", "SICD", "MSSTEREO",
+			"Z2ON", "Z250", "Z2MUON", "Z2TUNER"
+		]);
+	});
+
+	it("only reports the values that changed since the last poll", async () => {
+		socket = new AVRHTTPSocket(host, AVRConnection.zones, AVRConnection.sources, streamDeck.logger);
+		await nextLines(socket);
+		await nextLines(socket);
+
+		receiver.zones["MAIN ZONE"].MasterVolume = "-40.0";
+		socket.write("MV?\r");
+
+		assert.deepEqual(await nextLines(socket), ["MV40"]);
+		receiver.zones["MAIN ZONE"].MasterVolume = "-39.5";
+	});
+
+	it("sends the commands written before the web interface was found", async () => {
+		socket = new AVRHTTPSocket(host, AVRConnection.zones, AVRConnection.sources, streamDeck.logger);
+		socket.write("SIDVD\r");
+		socket.write("MVUP\r");
+
+		await once(socket, "connect");
+		await nextLines(socket);
+		await nextLines(socket);
+
+		assert.deepEqual(receiver.commands, ["SIDVD", "MVUP"]);
+	});
+
+	it("reports the source code of the selected input's name", async () => {
+		socket = new AVRHTTPSocket(host, AVRConnection.zones, AVRConnection.sources, streamDeck.logger);
+		await nextLines(socket);
+		await nextLines(socket);
+
+		receiver.zones["MAIN ZONE"].InputFuncSelect = "Media Player";
+		socket.write("SI?\r");
+		assert.deepEqual(await nextLines(socket), ["SIMPLAY"]);
+
+		receiver.zones["MAIN ZONE"].InputFuncSelect = "CBL/SAT";
+		socket.write("SI?\r");
+		assert.deepEqual(await nextLines(socket), ["SISAT/CBL"]);
+
+		// Renamed inputs are listed under their new name next to the original one
+		receiver.zones["MAIN ZONE"].InputFuncList = ["CD", "Blu-ray", "Media Player"];
+		receiver.zones["MAIN ZONE"].RenameSource = ["Turntable", "Movies", "Media Player"];
+		receiver.zones["MAIN ZONE"].InputFuncSelect = "Movies";
+		socket.write("SI?\r");
+		assert.deepEqual(await nextLines(socket), ["SIBD"]);
+
+		receiver.zones["MAIN ZONE"].InputFuncSelect = "CD";
+		delete receiver.zones["MAIN ZONE"].InputFuncList;
+		delete receiver.zones["MAIN ZONE"].RenameSource;
+	});
+
+	it("stays connected when the receiver refuses a command", async () => {
+		socket = new AVRHTTPSocket(host, AVRConnection.zones, AVRConnection.sources, streamDeck.logger);
+		await nextLines(socket);
+		await nextLines(socket);
+
+		let closed = false;
+		socket.on("close", () => closed = true);
+		socket.on("error", () => closed = true);
+
+		socket.write("UNKNOWN\r");
+		receiver.zones["MAIN ZONE"].Mute = "on";
+		socket.write("MUON\r");
+
+		assert.deepEqual(await nextLines(socket), ["MUON"]);
+		assert.deepEqual(receiver.commands, ["UNKNOWN", "MUON"]);
+		assert.equal(closed, false);
+		receiver.zones["MAIN ZONE"].Mute = "off";
+	});
+
+	it("closes with an error when there's no web interface", async () => {
+		const server = http.createServer((_, res) => { res.statusCode = 404; res.end(); });
+		server.listen(0, "127.0.0.1");
+		await once(server, "listening");
+
+		socket = new AVRHTTPSocket(`127.0.0.1:${/** @type {import("net").AddressInfo} */ (server.address()).port}`, AVRConnection.zones, AVRConnection.sources, streamDeck.logger);
+		const [error] = await once(socket, "error");
+		server.close();
+
+		assert.equal(error.code, "EHTTP");
+	});
+});
+
+describe("AVRConnection over HTTP", () => {
+	const receiver = new FakeWebInterface();
+
+	/** @type {AVRConnection} */
+	let connection;
+
+	before(async () => {
+		connection = new AVRConnection(/** @type {any} */ ({ logger: streamDeck.logger }), "test-uuid", await receiver.listen(), "http");
+	});
+
+	after(() => {
+		connection.disconnect();
+		receiver.close();
+	});
+
+	it("reads the status from the polled lines", async () => {
+		await new Promise((resolve) => connection.on(function onSourceChanged(ev) {
+			if (ev.type === "sourceChanged" && ev.zone === 1) resolve(undefined);
+		}, "test"));
+
+		assert.equal(connection.status.zones[0].source, "CD");
+		assert.equal(connection.status.zones[0].volume, 40.5);
+		assert.equal(connection.status.zones[1].source, "TUNER");
+		assert.equal(connection.status.zones[1].muted, true);
+	});
+
+	it("doesn't report the features only telnet has", () => {
+		assert.equal(connection.reportsFeature("tuner"), false);
+		assert.equal(connection.reportsFeature("channelLevel"), false);
+	});
+
+	it("informs each listener once after reconnecting", async () => {
+		let count = 0;
+		function onConnected(/** @type {import("../src/modules/connection").ReceiverEvent} */ ev) {
+			if (ev.type === "connected") count++;
+		}
+
+		connection.on(onConnected, "test");
+		connection.disconnect();
+		connection.connect();
+
+		// Actions register their listeners again when they reappear
+		connection.on(onConnected, "test");
+
+		await new Promise((resolve) => connection.on(function onReconnected(ev) {
+			if (ev.type === "connected") resolve(undefined);
+		}, "test"));
+
+		assert.equal(count, 1);
+	});
+});
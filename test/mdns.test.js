@@ -0,0 +1,145 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { collectServices, createServiceQuery, parseResponse } from "../src/modules/mdns";
+
+const SERVICE_TYPE = "_heos-audio._tcp.local";
+
+/**
+ * Encode a name as uncompressed DNS labels
+ * @param {string} name
+ */
+function name(name) {
+	return Buffer.concat([
+		...name.split(".").map((label) => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])),
+		Buffer.from([0])
+	]);
+}
+
+/**
+ * Encode a resource record
+ * @param {Buffer} owner - The encoded name the record is for
+ * @param {number} type
+ * @param {Buffer} data
+ * @param {number} [ttl=120]
+ */
+function record(owner, type, data, ttl = 120) {
+	const fields = Buffer.alloc(10);
+	fields.writeUInt16BE(type, 0);
+	fields.writeUInt16BE(0x8001, 2); // IN, with the cache flush bit
+	fields.writeUInt32BE(ttl, 4);
+	fields.writeUInt16BE(data.length, 8);
+	return Buffer.concat([owner, fields, data]);
+}
+
+/**
+ * Encode a response with the given answers
+ * @param {Buffer[]} answers
+ */
+function response(answers) {
+	const header = Buffer.alloc(12);
+	header.writeUInt16BE(0x8400, 2); // Authoritative response
+	header.writeUInt16BE(answers.length, 6);
+	return Buffer.concat([header, ...answers]);
+}
+
+/**
+ * A receiver's answer to a HEOS service query: PTR, SRV, TXT and A records
+ */
+function receiverResponse() {
+	const instance = name(`Living Room.${SERVICE_TYPE}`);
+	const srv = Buffer.concat([Buffer.from([0, 0, 0, 0, 0x04, 0xe7]), name("Denon-AVR.local")]);
+	const txt = Buffer.concat([Buffer.from([8]), Buffer.from("model=X3"), Buffer.from([5]), Buffer.from("vers1")]);
+
+	return response([
+		record(name(SERVICE_TYPE), 12, instance),
+		record(instance, 33, srv),
+		record(instance, 16, txt),
+		record(name("Denon-AVR.local"), 1, Buffer.from([192, 168, 1, 20]))
+	]);
+}
+
+describe("parseResponse", () => {
+	it("reads the records of a response", () => {
+		const records = parseResponse(receiverResponse());
+
+		assert.deepEqual(records.map((record) => record.type), [12, 33, 16, 1]);
+		assert.equal(records[0].data, `Living Room.${SERVICE_TYPE}`);
+		assert.deepEqual(records[1].data, { port: 1255, target: "Denon-AVR.local" });
+		assert.deepEqual(records[2].data, ["model=X3", "vers1"]);
+		assert.equal(records[3].data, "192.168.1.20");
+	});
+
+	it("follows compressed names", () => {
+		// The label "Room", followed by a pointer to the owner name right after the header
+		const data = Buffer.concat([Buffer.from([4]), Buffer.from("Room"), Buffer.from([0xc0, 0x0c])]);
+
+		const records = parseResponse(response([record(name(SERVICE_TYPE), 12, data)]));
+		assert.equal(records[0].data, `Room.${SERVICE_TYPE}`);
+	});
+
+	it("ignores queries", () => {
+		assert.deepEqual(parseResponse(createServiceQuery([SERVICE_TYPE])), []);
+	});
+
+	it("rejects every truncation of a response without a RangeError", () => {
+		const message = receiverResponse();
+
+		for (let length = 12; length < message.length; length++) {
+			assert.throws(() => parseResponse(message.subarray(0, length)), (error) => {
+				assert.ok(!(error instanceof RangeError), `RangeError at length ${length}: ${error.message}`);
+				return true;
+			});
+		}
+	});
+
+	it("rejects a name that runs past the end of the message", () => {
+		// The first answer's name claims a 24 byte label, but the message ends first
+		const message = Buffer.concat([response([]), Buffer.from([24]), Buffer.from("short")]);
+		message.writeUInt16BE(1, 6);
+
+		assert.throws(() => parseResponse(message), /Truncated mDNS message/);
+	});
+
+	it("rejects an SRV record too short for its fields", () => {
+		const message = response([record(name(`Living Room.${SERVICE_TYPE}`), 33, Buffer.from([0, 0, 0]))]);
+
+		assert.throws(() => parseResponse(message), /SRV record .* too short/);
+	});
+
+	it("rejects a TXT entry longer than its record", () => {
+		const message = response([record(name(`Living Room.${SERVICE_TYPE}`), 16, Buffer.from([9, 0x61]))]);
+
+		assert.throws(() => parseResponse(message), /TXT entry/);
+	});
+
+	it("rejects compression pointers that loop", () => {
+		// The answer's name points at itself
+		const message = Buffer.concat([response([]), Buffer.from([0xc0, 12])]);
+		message.writeUInt16BE(1, 6);
+
+		assert.throws(() => parseResponse(message), /compression pointers/);
+	});
+});
+
+describe("collectServices", () => {
+	it("combines the records of a service instance", () => {
+		const services = collectServices(parseResponse(receiverResponse()), [SERVICE_TYPE]);
+
+		assert.deepEqual(services, [{
+			name: "Living Room",
+			type: SERVICE_TYPE,
+			host: "Denon-AVR.local",
+			port: 1255,
+			addresses: ["192.168.1.20"],
+			txt: { model: "X3", vers1: "" }
+		}]);
+	});
+
+	it("leaves out services that are going away", () => {
+		const instance = name(`Living Room.${SERVICE_TYPE}`);
+		const records = parseResponse(response([record(name(SERVICE_TYPE), 12, instance, 0)]));
+
+		assert.deepEqual(collectServices(records, [SERVICE_TYPE]), []);
+	});
+});
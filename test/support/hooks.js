@@ -0,0 +1,24 @@
+/**
+ * Module resolution hooks for running the plugin sources under the Node.js test runner.
+ * The sources import each other without file extensions, as rollup resolves them when bundling,
+ * and the Stream Deck SDK can only run inside the Stream Deck app, so it's replaced by a stand-in.
+ */
+
+const STREAM_DECK_STAND_IN = new URL("./streamdeck.js", import.meta.url).href;
+
+/**
+ * @param {string} specifier
+ * @param {{ parentURL?: string }} context
+ * @param {Function} nextResolve
+ */
+export async function resolve(specifier, context, nextResolve) {
+	if (specifier === "@elgato/streamdeck") {
+		return nextResolve(STREAM_DECK_STAND_IN, context);
+	}
+
+	if (specifier.startsWith(".") && !/\.[cm]?js$/.test(specifier)) {
+		return nextResolve(`${specifier}.js`, context);
+	}
+
+	return nextResolve(specifier, context);
+}
@@ -0,0 +1,39 @@
+/**
+ * A stand-in for the parts of the Stream Deck SDK the plugin modules use outside of actions
+ */
+
+/** @type {any} */
+const logger = {
+	trace() {},
+	debug() {},
+	info() {},
+	warn() {},
+	error() {},
+	createScope() { return logger; }
+};
+
+/** @type {Record<string, any>} */
+let globalSettings = {};
+
+/** @type {((ev: { settings: Record<string, any> }) => void)[]} */
+const globalSettingsListeners = [];
+
+export const LogLevel = { ERROR: 0, WARN: 1, INFO: 2, DEBUG: 3, TRACE: 4 };
+
+/**
+ * Change the global settings the way the property inspector does, which the plugin is told about
+ * @param {Record<string, any>} settings
+ */
+export function changeGlobalSettings(settings) {
+	globalSettings = settings;
+	globalSettingsListeners.forEach((listener) => listener({ settings }));
+}
+
+export default {
+	logger,
+	settings: {
+		getGlobalSettings: async () => globalSettings,
+		setGlobalSettings: async (/** @type {Record<string, any>} */ settings) => { globalSettings = settings; },
+		onDidReceiveGlobalSettings: (/** @type {(ev: { settings: Record<string, any> }) => void} */ listener) => { globalSettingsListeners.push(listener); }
+	}
+};
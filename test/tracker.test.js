@@ -0,0 +1,182 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import dgram from "dgram";
+import dns from "dns";
+import net from "net";
+import { EventEmitter, once } from "events";
+
+import streamDeck from "@elgato/streamdeck";
+import { changeGlobalSettings } from "./support/streamdeck";
+
+import { AVRTracker } from "../src/modules/tracker";
+
+const TELNET_PORT = 23;
+
+/** The addresses the stand-in DNS knows */
+const hosts = { "receiver.local": "127.0.0.1", "avr.example": "127.0.0.1" };
+
+/** The players the stand-in HEOS CLI lists */
+const players = [
+	{ name: "Living Room", pid: 101, model: "AVR-X2400H", version: "1", ip: "127.0.0.1", network: "wired", lineout: 0, serial: "BBW36180312345" },
+	{ name: "Kitchen", pid: 102, model: "NR1200", version: "1", ip: "127.0.0.5", network: "wired", lineout: 0, serial: "BBW36180354321" }
+];
+
+/**
+ * Start a local server for a stand-in
+ * @param {net.Server} server
+ * @returns {Promise<number>} The port it listens on
+ */
+async function listen(server) {
+	server.listen(0, "127.0.0.1");
+	await once(server, "listening");
+	return /** @type {net.AddressInfo} */ (server.address()).port;
+}
+
+/**
+ * Wait until the receiver list has been written to the global settings
+ * @param {string} uuid - The receiver to wait for
+ */
+async function waitForCache(uuid) {
+	for (;;) {
+		const settings = await streamDeck.settings.getGlobalSettings();
+		if (settings.receiverList?.[uuid]) return settings;
+		await new Promise((resolve) => setTimeout(resolve, 10));
+	}
+}
+
+describe("AVRTracker manual receivers", () => {
+	/** @type {net.Socket[]} */
+	const sockets = [];
+
+	// The receiver only needs to accept the telnet probe
+	const telnet = net.createServer((socket) => {
+		sockets.push(socket);
+		socket.on("error", () => {});
+	});
+
+	// The HEOS CLI lists the receivers' players
+	const heos = net.createServer((socket) => {
+		sockets.push(socket);
+		socket.on("error", () => {});
+		socket.on("data", (data) => {
+			if (!data.toString().includes("player/get_players")) return;
+
+			socket.write(JSON.stringify({
+				heos: { command: "player/get_players", result: "success", message: "" },
+				payload: players
+			}) + "\r\n");
+		});
+	});
+
+	before(async () => {
+		const telnetPort = await listen(telnet);
+		const heosPort = await listen(heos);
+
+		// Point the telnet probe and the HEOS CLI at the stand-ins
+		const createConnection = net.createConnection;
+		mock.method(net, "createConnection", (/** @type {any} */ options) => {
+			const port = typeof options === "object" ? options.port : options;
+			return createConnection(port === TELNET_PORT ? telnetPort : heosPort, "127.0.0.1");
+		});
+
+		mock.method(dns.promises, "lookup", async (/** @type {string} */ host) => {
+			const address = net.isIP(host) ? host : hosts[/** @type {keyof hosts} */ (host)];
+			if (!address) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), { code: "ENOTFOUND" });
+			return { address, family: 4 };
+		});
+	});
+
+	after(() => {
+		sockets.forEach((socket) => socket.destroy());
+		telnet.close();
+		heos.close();
+		mock.restoreAll();
+	});
+
+	it("adds a receiver by hostname at the address it resolves to", async () => {
+		const uuid = await AVRTracker.addManualReceiver("receiver.local");
+
+		assert.equal(uuid, "manual-BBW36180312345");
+		assert.deepEqual(AVRTracker.getReceivers()[uuid], {
+			currentIP: "127.0.0.1",
+			lastSeen: AVRTracker.getReceivers()[uuid].lastSeen,
+			name: "Living Room",
+			serial: "BBW36180312345",
+			manual: true,
+			hostname: "receiver.local"
+		});
+	});
+
+	it("remembers the receiver in the global settings", async () => {
+		const settings = await waitForCache("manual-BBW36180312345");
+
+		assert.equal(settings.receiverList["manual-BBW36180312345"].currentIP, "127.0.0.1");
+		assert.equal(settings.receiverList["manual-BBW36180312345"].hostname, "receiver.local");
+	});
+
+	it("doesn't add the same receiver twice by another name or its address", async () => {
+		assert.equal(await AVRTracker.addManualReceiver("avr.example"), "manual-BBW36180312345");
+		assert.equal(await AVRTracker.addManualReceiver("127.0.0.1"), "manual-BBW36180312345");
+
+		assert.deepEqual(Object.keys(AVRTracker.getReceivers()), ["manual-BBW36180312345"]);
+	});
+
+	it("follows the hostname to the receiver's new address", async () => {
+		hosts["receiver.local"] = "127.0.0.2";
+		players[0].ip = "127.0.0.2";
+
+		assert.equal(await AVRTracker.locateReceiver("manual-BBW36180312345"), "127.0.0.2");
+		assert.equal(AVRTracker.getReceivers()["manual-BBW36180312345"].currentIP, "127.0.0.2");
+	});
+
+	it("finds a receiver added by its IP address again by its serial number", async () => {
+		const uuid = await AVRTracker.addManualReceiver("127.0.0.5");
+		assert.equal(uuid, "manual-BBW36180354321");
+		assert.equal(AVRTracker.getReceivers()[uuid].hostname, undefined);
+
+		players[1].ip = "127.0.0.6";
+
+		assert.equal(await AVRTracker.locateReceiver(uuid), "127.0.0.6");
+		assert.deepEqual(Object.keys(AVRTracker.getReceivers()), ["manual-BBW36180312345", uuid]);
+	});
+
+	it("doesn't add a hostname that doesn't resolve", async () => {
+		assert.equal(await AVRTracker.addManualReceiver("nothing.local"), undefined);
+	});
+});
+
+describe("AVRTracker cache", () => {
+	before(async () => {
+		// Another program has the SSDP port, so the tracker starts without listening for announcements
+		mock.method(dgram, "createSocket", () => {
+			const socket = new EventEmitter();
+			return Object.assign(socket, { bind: () => process.nextTick(() => socket.emit("error", new Error("bind EADDRINUSE"))) });
+		});
+
+		await streamDeck.settings.setGlobalSettings({
+			apiToken: "old-token",
+			receiverList: { "test-uuid": { currentIP: "192.168.1.20", lastSeen: 1, name: "Living Room", online: true } }
+		});
+		await AVRTracker.init();
+	});
+
+	after(() => mock.restoreAll());
+
+	it("restores the receivers from the global settings", () => {
+		assert.deepEqual(AVRTracker.getReceivers(), { "test-uuid": { currentIP: "192.168.1.20", lastSeen: 1, name: "Living Room" } });
+	});
+
+	it("doesn't revert settings the user changes while the receivers are written", async () => {
+		const before = await streamDeck.settings.getGlobalSettings();
+
+		AVRTracker.setReceiverTransport("test-uuid", "http");
+		changeGlobalSettings({ ...before, apiToken: "new-token" });
+		await new Promise((resolve) => setImmediate(resolve));
+		AVRTracker.setReceiverSharePort("test-uuid", 2323);
+
+		const settings = await streamDeck.settings.getGlobalSettings();
+		assert.equal(settings.apiToken, "new-token");
+		assert.equal(settings.receiverList["test-uuid"].transport, "http");
+		assert.equal(settings.receiverList["test-uuid"].sharePort, 2323);
+	});
+});